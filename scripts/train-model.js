@@ -0,0 +1,47 @@
+// Train the landmark classifier from fixture recordings and write a model file
+// for the app's "Load model…" button.
+//
+//   npm run train -- [fixture dir] [--type knn|mlp] [--out model.json]
+//
+// Fixtures default to tests/fixtures/landmarks/. The report replays the same
+// fixtures through recognize() with the new model preferred, so it measures
+// fit rather than accuracy on unseen sessions.
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseFixture } from '../src/utils/recording.js';
+import {
+  datasetFromFixtures,
+  trainModel,
+  modelSigns,
+  modelFilename,
+  primeModel,
+  setModelPreferred,
+} from '../src/utils/classifier.js';
+import { evaluateFixtures, formatReport } from '../src/utils/replay.js';
+
+function parseArgs(argv) {
+  const args = { dir: 'tests/fixtures/landmarks', type: 'knn', out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--type') args.type = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else args.dir = argv[i];
+  }
+  return args;
+}
+
+const { dir, type, out } = parseArgs(process.argv.slice(2));
+const fixtures = readdirSync(dir)
+  .filter((f) => f.endsWith('.json'))
+  .map((f) => parseFixture(readFileSync(join(dir, f), 'utf8')));
+
+const samples = datasetFromFixtures(fixtures);
+const model = trainModel(samples, { type });
+const file = out || modelFilename(model);
+writeFileSync(file, JSON.stringify(model));
+console.log(
+  `Trained ${type} on ${samples.length} frame(s) from ${fixtures.length} fixture(s) → ${file}`
+);
+
+primeModel(model);
+setModelPreferred(true);
+console.log(formatReport(evaluateFixtures(fixtures, modelSigns(model))));
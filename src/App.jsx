@@ -1,15 +1,57 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import PracticeView from './components/PracticeView.jsx';
+import GradeButtons from './components/GradeButtons.jsx';
+import StatsView from './components/StatsView.jsx';
+import BackupPanel from './components/BackupPanel.jsx';
+import ProfileSwitcher from './components/ProfileSwitcher.jsx';
+import DeckManager from './components/DeckManager.jsx';
+import SignReference from './components/SignReference.jsx';
+import CalibrationWizard from './components/CalibrationWizard.jsx';
+import CameraSettings from './components/CameraSettings.jsx';
+import DetectorSettings from './components/DetectorSettings.jsx';
+import ModelPanel from './components/ModelPanel.jsx';
+import QuizView from './components/QuizView.jsx';
+import ConversationView from './components/ConversationView.jsx';
+import SessionSettings from './components/SessionSettings.jsx';
+import SessionSummary from './components/SessionSummary.jsx';
 import useHandsDetector from './hooks/useHandsDetector.js';
-import { ALL_SIGNS, AI_SUPPORTED } from './data/signs.js';
+import { isRecognizable, explain } from './recognizers/index.js';
 import {
   loadSrs,
   saveSrs,
   todayISO,
   isDue,
   schedule,
-  recognize,
+  reconcileSrs,
+  SCHEDULERS,
 } from './utils/srs.js';
+import { loadSettings, saveSettings } from './utils/settings.js';
+import { buildQuiz, QUIZ_LENGTH } from './utils/quiz.js';
+import { buildSession, buildAheadSession } from './utils/session.js';
+import { setThresholds } from './utils/thresholds.js';
+import { HAND_SIDES, setDominantHand } from './utils/handedness.js';
+import { loadHistory, saveHistory, recordReview } from './utils/history.js';
+import {
+  initTemplates,
+  loadTemplates,
+  saveTemplates,
+  clearTemplates,
+} from './utils/templates.js';
+import { initModel, loadModel, setModelPreferred } from './utils/classifier.js';
+import { onStorageError } from './utils/storage.js';
+import { loadProfiles } from './utils/profiles.js';
+import {
+  ALL_DECK_ID,
+  allSigns,
+  deckSigns,
+  loadCustomSigns,
+  saveCustomSigns,
+  loadDecks,
+  saveDecks,
+  removeSignFromDecks,
+  saveSignMedia,
+  deleteSignMedia,
+} from './utils/decks.js';
 
 // ============================================
 // ASL Baby Signs – Web POC (Webcam + AI + SRS)
@@ -24,20 +66,16 @@ import {
 //
 // ✅ Webcam preview with hand landmark overlay (MediaPipe Hands via TFJS hand-pose-detection)
 // ✅ Minimal AI recognition for demo signs: I LOVE YOU (ILY), MORE, HELP, STOP
-// ✅ Spaced repetition (SM2‑lite) persisted in localStorage
+// ✅ Motion signs over a landmark history window: EAT, SLEEP, OPEN, CLOSE, ALL DONE
+// ✅ Spaced repetition (SM-2 or FSRS, graded Again/Hard/Good/Easy) persisted in localStorage
 // ✅ Practice flow for due signs + free practice
 // ✅ Dev test panel (append #tests to URL)
 //
 // Notes:
 // - Serve over HTTPS for camera permissions.
 // - Some ASL signs require motion/body/face context; this POC uses simple heuristics.
-// - You can later replace heuristics with a TF.js model to expand coverage.
-
-/*************************
- * Camera + Detector Hook (robust init)
- *************************/
-
-
+// - A landmark classifier trained from recorded fixtures (k-NN or MLP, see
+//   utils/classifier.js) can stand in for the heuristics; see Trained Model.
 
 /*************************
  * UI Helpers
@@ -60,11 +98,59 @@ function LoadingCard({ title, subtitle }) {
  *************************/
 
 export default function App() {
-  const { videoRef, canvasRef, detector, ready, err } = useHandsDetector();
-  const [srs, setSrs] = useState(() => loadSrs());
+  // Must load first: it selects the storage namespace the loaders below read
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [customSigns, setCustomSigns] = useState(() => loadCustomSigns());
+  const [decks, setDecks] = useState(() => loadDecks());
+  const [srs, setSrs] = useState(() => loadSrs(allSigns()));
+  // Receptive track: recognizing signs in the quiz
+  const [receptiveSrs, setReceptiveSrs] = useState(() =>
+    loadSrs(allSigns(), 'receptive')
+  );
+  const [settings, setSettings] = useState(() => loadSettings());
+  const { videoRef, canvasRef, stream, devices, detector, pose, ready, err } =
+    useHandsDetector(settings.camera, settings.detector);
+  // Location signs (Mommy, Daddy, …) need the face/body detector
+  const tracksBody = !!pose || !!detector?.body;
+  const [history, setHistory] = useState([]);
+  const [storageErr, setStorageErr] = useState('');
+  // Bumped when templates or the model load or change so AI badges refresh
+  const [, setTemplatesVersion] = useState(0);
   const [practiceQueue, setPracticeQueue] = useState([]);
+  // Grades given in the current review session, for its summary
+  const [sessionResults, setSessionResults] = useState([]);
+  const [quizQueue, setQuizQueue] = useState([]);
   const [current, setCurrent] = useState(null);
-  const [mode, setMode] = useState('home'); // "home" | "practice" | "free"
+  const [mode, setMode] = useState('home'); // "home" | "practice" | "summary" | "free" | "quiz" | "converse" | "stats" | "calibrate"
+  const [showDecks, setShowDecks] = useState(false);
+  const [showSession, setShowSession] = useState(false);
+  const [devTools, setDevTools] = useState(() => window.location.hash === '#tests');
+
+  const signs = useMemo(() => allSigns(customSigns), [customSigns]);
+  const scopedSigns = useMemo(
+    () => deckSigns(signs, decks, settings.deckId),
+    [signs, decks, settings.deckId]
+  );
+
+  // Also hears errors from the loaders above, which ran before this
+  useEffect(() => onStorageError((e) => setStorageErr(e.message)), []);
+
+  // Dev test panel follows the #tests hash
+  useEffect(() => {
+    const onHash = () => setDevTools(window.location.hash === '#tests');
+    window.addEventListener('hashchange', onHash);
+    return () => window.removeEventListener('hashchange', onHash);
+  }, []);
+
+  useEffect(() => {
+    let live = true;
+    loadHistory().then((h) => live && setHistory(h));
+    initTemplates().then(() => live && setTemplatesVersion((v) => v + 1));
+    initModel().then(() => live && setTemplatesVersion((v) => v + 1));
+    return () => {
+      live = false;
+    };
+  }, [profiles.activeId]);
 
   // Manual-only fallback timeout: after N seconds, proceed without AI if still not ready
   const [aiTimeout, setAiTimeout] = useState(false);
@@ -75,48 +161,174 @@ export default function App() {
 
   const dueToday = useMemo(() => {
     const today = todayISO();
-    return ALL_SIGNS.filter((s) => isDue(srs[s.id], today)).map((s) => s.id);
-  }, [srs]);
+    return scopedSigns.filter((s) => isDue(srs[s.id], today)).map((s) => s.id);
+  }, [srs, scopedSigns]);
+
+  // Today's queue under the daily limits; reviews logged today count
+  const session = useMemo(
+    () => buildSession(srs, scopedSigns, history, settings.session),
+    [srs, scopedSigns, history, settings.session]
+  );
+  const aheadQueue = useMemo(
+    () => buildAheadSession(srs, scopedSigns, settings.session),
+    [srs, scopedSigns, settings.session]
+  );
+
+  const quizDue = useMemo(() => {
+    const today = todayISO();
+    const due = scopedSigns
+      .filter((s) => isDue(receptiveSrs[s.id], today))
+      .map((s) => s.id);
+    return buildQuiz(due, scopedSigns, { limit: Infinity });
+  }, [receptiveSrs, scopedSigns]);
 
   useEffect(() => {
     saveSrs(srs);
   }, [srs]);
 
-  function handleStartPractice() {
-    const q = dueToday.slice(0, 8);
-    if (q.length === 0) {
-      alert('Nothing due today — pick any sign for free practice.');
-      return;
-    }
+  useEffect(() => {
+    saveSrs(receptiveSrs, 'receptive');
+  }, [receptiveSrs]);
+
+  useEffect(() => {
+    saveCustomSigns(customSigns);
+    // Keep SRS items in step with added/removed custom signs
+    const reconcile = (prev) => {
+      const { items, changed } = reconcileSrs(
+        prev,
+        allSigns(customSigns).map((s) => s.id)
+      );
+      return changed ? items : prev;
+    };
+    setSrs(reconcile);
+    setReceptiveSrs(reconcile);
+  }, [customSigns]);
+
+  useEffect(() => {
+    saveDecks(decks);
+  }, [decks]);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  // Recognizers read the profile's calibrated thresholds at runtime
+  useEffect(() => {
+    setThresholds(settings.thresholds);
+  }, [settings.thresholds]);
+
+  useEffect(() => {
+    setDominantHand(settings.dominantHand);
+  }, [settings.dominantHand]);
+
+  useEffect(() => {
+    setModelPreferred(settings.preferModel);
+    setTemplatesVersion((v) => v + 1);
+  }, [settings.preferModel]);
+
+  // meta: { source: 'ai' | 'manual', confidence, ms } for the review log
+  function gradeSign(sign, grade, meta) {
+    const srsCopy = { ...srs };
+    schedule(srsCopy, sign, grade, todayISO(), settings.scheduler);
+    setSrs(srsCopy);
+    setHistory(recordReview(history, sign, grade, meta));
+  }
+
+  // Quiz answers: meta carries track 'receptive' for the review log
+  function gradeQuiz(sign, grade, meta) {
+    const srsCopy = { ...receptiveSrs };
+    schedule(srsCopy, sign, grade, todayISO(), settings.scheduler, 'receptive');
+    setReceptiveSrs(srsCopy);
+    setHistory(recordReview(history, sign, grade, meta));
+  }
+
+  function handleStartQuiz() {
+    const q = quizDue.slice(0, QUIZ_LENGTH);
+    if (q.length === 0) return;
+    setQuizQueue(q);
+    setMode('quiz');
+  }
+
+  // `q` defaults to today's session; Practice Ahead passes its own queue
+  function handleStartPractice(q = session.queue) {
+    if (q.length === 0) return;
     setPracticeQueue(q);
+    setSessionResults([]);
     setCurrent(q[0]);
     setMode('practice');
   }
 
-  function handlePracticeResult(success) {
+  // grade: 'again' | 'hard' | 'good' | 'easy'
+  function handlePracticeResult(grade, meta) {
     if (!current) return;
-    const srsCopy = { ...srs };
-    schedule(srsCopy, current, success);
-    setSrs(srsCopy);
+    gradeSign(current, grade, meta);
+    setSessionResults([
+      ...sessionResults,
+      { id: current, grade, source: meta?.source || 'manual' },
+    ]);
 
     const idx = practiceQueue.indexOf(current);
     const next = practiceQueue[idx + 1];
     if (next) setCurrent(next);
     else {
-      setMode('home');
+      setMode('summary');
       setPracticeQueue([]);
       setCurrent(null);
     }
   }
 
+  function handleProfilesChange(next) {
+    const switched = next.activeId !== profiles.activeId;
+    setProfiles(next);
+    if (!switched) return;
+    // Storage namespace already points at the new profile
+    const nextCustom = loadCustomSigns();
+    setCustomSigns(nextCustom);
+    setDecks(loadDecks());
+    setSrs(loadSrs(allSigns(nextCustom)));
+    setReceptiveSrs(loadSrs(allSigns(nextCustom), 'receptive'));
+    setSettings(loadSettings());
+    setHistory([]);
+    setPracticeQueue([]);
+    setSessionResults([]);
+    setQuizQueue([]);
+    setCurrent(null);
+    setMode('home');
+  }
+
+  function handleImport(merged) {
+    const ids = allSigns(merged.customSigns).map((s) => s.id);
+    setSrs(reconcileSrs(merged.srs, ids).items);
+    setReceptiveSrs(reconcileSrs(merged.receptiveSrs, ids).items);
+    setCustomSigns(merged.customSigns);
+    setDecks(merged.decks);
+    saveHistory(merged.history);
+    setHistory(merged.history);
+    saveTemplates(merged.templates);
+    setTemplatesVersion((v) => v + 1);
+    setSettings(merged.settings);
+  }
+
+  async function handleAddSign(sign, file) {
+    if (file) await saveSignMedia(sign.id, file);
+    setCustomSigns((prev) => [...prev, sign]);
+  }
+
+  function handleDeleteSign(id) {
+    setCustomSigns(customSigns.filter((s) => s.id !== id));
+    setDecks(removeSignFromDecks(decks, id));
+    deleteSignMedia(id);
+    clearTemplates(id);
+  }
+
   function handleFreePractice(sign) {
     setCurrent(sign);
     setMode('free');
   }
 
   function SignCard({ sign }) {
-    const meta = ALL_SIGNS.find((s) => s.id === sign) || { category: '' };
-    const ai = !!AI_SUPPORTED[sign];
+    const meta = signs.find((s) => s.id === sign) || { category: '' };
+    const ai = isRecognizable(sign, { body: tracksBody });
     const item = srs[sign];
     const dueStr = item && item.due ? `Due: ${item.due}` : '';
     return (
@@ -136,7 +348,11 @@ export default function App() {
         <div className="text-xs text-gray-500">
           {meta.category}
           {meta.gloss ? ` · Gloss: ${meta.gloss}` : ''}
+          {meta.custom ? ' · Custom' : ''}
         </div>
+        {meta.notes && (
+          <div className="text-xs text-gray-600">{meta.notes}</div>
+        )}
         <div className="text-xs text-gray-500">{dueStr}</div>
         <div className="flex gap-2 pt-1">
           <button
@@ -147,11 +363,7 @@ export default function App() {
           </button>
           <button
             className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-slate-800"
-            onClick={() => {
-              const srsCopy = { ...srs };
-              schedule(srsCopy, sign, true);
-              setSrs(srsCopy);
-            }}
+            onClick={() => gradeSign(sign, 'easy', { source: 'known' })}
           >
             Mark Known
           </button>
@@ -177,6 +389,19 @@ export default function App() {
             ASL Baby Signs · POC
           </h1>
           <div className="flex items-center gap-2 text-sm">
+            <ProfileSwitcher
+              profiles={profiles}
+              onChange={handleProfilesChange}
+            />
+            <button
+              className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200"
+              onClick={() => {
+                setMode(mode === 'stats' ? 'home' : 'stats');
+                setCurrent(null);
+              }}
+            >
+              {mode === 'stats' ? 'Home' : 'Stats'}
+            </button>
             <span className={statusBadgeClass}>
               <span className="w-2 h-2 rounded-full bg-current"></span>
               {detectorReady
@@ -190,6 +415,17 @@ export default function App() {
       </header>
 
       <main className="max-w-6xl mx-auto px-4 py-6">
+        {storageErr && (
+          <div className="mb-4 p-3 rounded-xl border bg-amber-50 text-amber-800 text-sm flex items-center justify-between gap-3">
+            <span>Progress may not be saved: {storageErr}</span>
+            <button
+              className="px-2 py-1 rounded-lg hover:bg-amber-100"
+              onClick={() => setStorageErr('')}
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
         {mode === 'home' && (
           <div className="space-y-6">
             <section className="rounded-2xl p-5 bg-white shadow">
@@ -197,42 +433,192 @@ export default function App() {
                 <div>
                   <h2 className="text-lg font-semibold">Today’s Review</h2>
                   <p className="text-sm text-gray-600">
-                    {dueToday.length > 0
-                      ? `${dueToday.length} sign(s) due`
+                    {session.queue.length > 0
+                      ? `${session.queue.length} sign(s) in today’s session` +
+                        (session.newSigns.length
+                          ? ` (${session.newSigns.length} new)`
+                          : '')
+                      : dueToday.length > 0
+                      ? 'Daily limit reached — practice ahead or explore below.'
                       : 'Nothing due — explore free practice below.'}
+                    {session.held > 0 &&
+                      ` · ${session.held} more due beyond today’s limits`}
+                    {quizDue.length > 0 &&
+                      ` · ${quizDue.length} to recognize in the quiz`}
                   </p>
                 </div>
+                <div className="flex gap-2">
+                  {session.queue.length === 0 && aheadQueue.length > 0 ? (
+                    <button
+                      className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700"
+                      onClick={() => handleStartPractice(aheadQueue)}
+                    >
+                      Practice Ahead
+                    </button>
+                  ) : (
+                    <button
+                      className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+                      disabled={session.queue.length === 0}
+                      onClick={() => handleStartPractice()}
+                    >
+                      Start Review
+                    </button>
+                  )}
+                  <button
+                    className="px-4 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                    disabled={quizDue.length === 0}
+                    onClick={handleStartQuiz}
+                  >
+                    Quiz
+                  </button>
+                  <button
+                    className="px-4 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-slate-800"
+                    onClick={() => setMode('converse')}
+                  >
+                    Free Signing
+                  </button>
+                </div>
+              </div>
+              <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-600">
+                <label className="flex items-center gap-2">
+                  Deck
+                  <select
+                    className="px-2 py-1 rounded-lg border bg-white"
+                    value={settings.deckId}
+                    onChange={(e) =>
+                      setSettings({ ...settings, deckId: e.target.value })
+                    }
+                  >
+                    <option value={ALL_DECK_ID}>All signs</option>
+                    {decks.map((d) => (
+                      <option key={d.id} value={d.id}>
+                        {d.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  Scheduler
+                  <select
+                    className="px-2 py-1 rounded-lg border bg-white"
+                    value={settings.scheduler}
+                    onChange={(e) =>
+                      setSettings({ ...settings, scheduler: e.target.value })
+                    }
+                  >
+                    {Object.entries(SCHEDULERS).map(([key, { label }]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  Dominant hand
+                  <select
+                    className="px-2 py-1 rounded-lg border bg-white"
+                    value={settings.dominantHand}
+                    onChange={(e) =>
+                      setSettings({ ...settings, dominantHand: e.target.value })
+                    }
+                  >
+                    {HAND_SIDES.map((side) => (
+                      <option key={side} value={side}>
+                        {side === 'right' ? 'Right' : 'Left'}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 text-slate-800"
+                  onClick={() => setShowDecks(!showDecks)}
+                >
+                  {showDecks ? 'Hide deck editor' : 'Manage decks & signs'}
+                </button>
                 <button
-                  className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
-                  disabled={dueToday.length === 0}
-                  onClick={handleStartPractice}
+                  className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 text-slate-800"
+                  onClick={() => setShowSession(!showSession)}
                 >
-                  Start Review
+                  {showSession ? 'Hide session options' : 'Session options'}
+                </button>
+                <button
+                  className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 text-slate-800"
+                  onClick={() => setMode('calibrate')}
+                >
+                  {settings.thresholds ? 'Recalibrate hand' : 'Calibrate hand'}
                 </button>
               </div>
-              {dueToday.length > 0 && (
+              {showSession && (
+                <div className="mt-3">
+                  <SessionSettings
+                    session={settings.session}
+                    onChange={(next) =>
+                      setSettings({ ...settings, session: next })
+                    }
+                  />
+                </div>
+              )}
+              {session.queue.length > 0 && (
                 <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3">
-                  {dueToday.slice(0, 8).map((s) => (
+                  {session.queue.slice(0, 8).map((s) => (
                     <div
                       key={s}
                       className="px-3 py-2 rounded-xl bg-slate-100 text-sm"
                     >
                       {s}
+                      {session.newSigns.includes(s) && (
+                        <span className="ml-1 text-xs text-indigo-600">
+                          new
+                        </span>
+                      )}
                     </div>
                   ))}
                 </div>
               )}
             </section>
 
+            {showDecks && (
+              <DeckManager
+                signs={signs}
+                customSigns={customSigns}
+                decks={decks}
+                onDecksChange={setDecks}
+                onAddSign={handleAddSign}
+                onDeleteSign={handleDeleteSign}
+              />
+            )}
+
             <section className="space-y-3">
               <h2 className="text-lg font-semibold">All Signs</h2>
               <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {ALL_SIGNS.map((s) => (
+                {scopedSigns.map((s) => (
                   <SignCard key={s.id} sign={s.id} />
                 ))}
               </div>
             </section>
 
+            <ModelPanel
+              model={loadModel()}
+              preferModel={settings.preferModel}
+              onPreferChange={(preferModel) =>
+                setSettings({ ...settings, preferModel })
+              }
+              onChange={() => setTemplatesVersion((v) => v + 1)}
+            />
+
+            <BackupPanel
+              data={{
+                srs,
+                receptiveSrs,
+                history,
+                templates: loadTemplates(),
+                customSigns,
+                decks,
+                settings,
+              }}
+              onImport={handleImport}
+            />
+
             <section className="prose max-w-none">
               <h2>How to Use</h2>
               <ol>
@@ -245,12 +631,14 @@ export default function App() {
                   frame.
                 </li>
                 <li>
-                  For AI-supported signs (ILY, More, Help, Stop), the app
-                  auto-checks your signing.
+                  For AI-supported signs (ILY, More, Help, Stop, and moving
+                  signs like Eat or All Done), the app auto-checks your
+                  signing.
                 </li>
                 <li>
-                  For other signs, use <em>Mark Correct</em> /{' '}
-                  <em>Mark Again</em> to drive spaced repetition.
+                  For other signs, grade yourself <em>Again</em>,{' '}
+                  <em>Hard</em>, <em>Good</em> or <em>Easy</em> to drive
+                  spaced repetition.
                 </li>
               </ol>
               <p className="text-sm text-gray-600">
@@ -262,13 +650,122 @@ export default function App() {
           </div>
         )}
 
+        {mode === 'stats' && (
+          <StatsView
+            history={history}
+            srs={srs}
+            receptiveSrs={receptiveSrs}
+            signs={signs}
+          />
+        )}
+
+        {mode === 'converse' && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-semibold">Free Signing</h2>
+                <p className="text-sm text-gray-600">
+                  Sign freely; recognized signs are written to the transcript.
+                </p>
+              </div>
+              <button
+                className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+                onClick={() => setMode('home')}
+              >
+                Done
+              </button>
+            </div>
+            {!detectorReady && !err ? (
+              <LoadingCard
+                title="Initializing camera & AI…"
+                subtitle="Please allow camera access."
+              />
+            ) : (
+              <ConversationView
+                signIds={signs
+                  .filter((s) => isRecognizable(s.id, { body: tracksBody }))
+                  .map((s) => s.id)}
+                signs={signs}
+                detector={detectorReady ? detector : null}
+                pose={detectorReady ? pose : null}
+                videoRef={videoRef}
+                canvasRef={canvasRef}
+                stream={stream}
+                explain={explain}
+                mirror={settings.mirrorPreview}
+              />
+            )}
+          </div>
+        )}
+
+        {mode === 'summary' && (
+          <SessionSummary
+            results={sessionResults}
+            srs={srs}
+            onContinue={
+              session.queue.length > 0
+                ? () => handleStartPractice()
+                : aheadQueue.length > 0
+                ? () => handleStartPractice(aheadQueue)
+                : null
+            }
+            continueLabel={
+              session.queue.length > 0
+                ? `Keep going (${session.queue.length} more)`
+                : 'Practice ahead'
+            }
+            onDone={() => {
+              setMode('home');
+              setSessionResults([]);
+            }}
+          />
+        )}
+
+        {mode === 'quiz' && (
+          <QuizView
+            queue={quizQueue}
+            signs={signs}
+            mirrored={settings.dominantHand === 'left'}
+            onAnswer={gradeQuiz}
+            onExit={() => {
+              setMode('home');
+              setQuizQueue([]);
+            }}
+          />
+        )}
+
+        {mode === 'calibrate' && (
+          <div className="space-y-4">
+            <div>
+              <h2 className="text-xl font-semibold">Calibrate Hand</h2>
+              <p className="text-sm text-gray-600">
+                Show three reference shapes so recognition fits this learner’s
+                hand and camera. Saved to the current profile.
+              </p>
+            </div>
+            <CalibrationWizard
+              detector={detectorReady ? detector : null}
+              videoRef={videoRef}
+              canvasRef={canvasRef}
+              stream={stream}
+              mirror={settings.mirrorPreview}
+              thresholds={settings.thresholds}
+              onSave={(thresholds) => {
+                setSettings({ ...settings, thresholds });
+                setMode('home');
+              }}
+              onCancel={() => setMode('home')}
+            />
+          </div>
+        )}
+
         {(mode === 'practice' || mode === 'free') && current && (
           <div className="space-y-4">
             <div className="flex items-center justify-between">
               <div>
                 <h2 className="text-xl font-semibold">Practice: {current}</h2>
                 <p className="text-sm text-gray-600">
-                  {AI_SUPPORTED[current]
+                  {isRecognizable(current, { body: tracksBody })
                     ? 'AI will attempt to recognize your sign in real time.'
                     : 'Manual grading for this sign (POC).'}
                 </p>
@@ -303,21 +800,24 @@ export default function App() {
               <div className="grid md:grid-cols-2 gap-6 items-start">
                 <PracticeView
                   target={current}
-                  onResult={(ok) => {
+                  onResult={(grade, meta) => {
                     if (mode === 'free') {
-                      if (ok) {
-                        const copy = { ...srs };
-                        schedule(copy, current, true);
-                        setSrs(copy);
-                      }
+                      if (grade !== 'again') gradeSign(current, grade, meta);
                       return;
                     }
-                    handlePracticeResult(ok);
+                    handlePracticeResult(grade, meta);
                   }}
                   detector={detectorReady ? detector : null}
+                  pose={detectorReady ? pose : null}
                   videoRef={videoRef}
                   canvasRef={canvasRef}
-                  recognize={recognize}
+                  stream={stream}
+                  explain={explain}
+                  debug={devTools}
+                  mirror={settings.mirrorPreview}
+                  onMirrorChange={(mirrorPreview) =>
+                    setSettings({ ...settings, mirrorPreview })
+                  }
                 />
 
                 <div className="space-y-3">
@@ -331,57 +831,33 @@ export default function App() {
                     </div>
                   )}
 
-                  <div className="p-4 rounded-2xl bg-white border shadow">
-                    <h3 className="font-semibold mb-2">Tips</h3>
-                    <ul className="list-disc pl-4 text-sm text-gray-700 space-y-1">
-                      <li>Keep your hands in the frame and well lit.</li>
-                      <li>
-                        Hold the final position for a moment so the app can
-                        confirm.
-                      </li>
-                      <li>
-                        For <strong>More</strong>: make an “O” with each hand
-                        (thumb to index) and bring them together.
-                      </li>
-                      <li>
-                        For <strong>Help</strong>: make a fist on top of your
-                        open palm, fist slightly above.
-                      </li>
-                      <li>
-                        For <strong>Stop</strong>: flat open palm toward the
-                        camera.
-                      </li>
-                      <li>
-                        For <strong>I Love You</strong>: thumb, index, and pinky
-                        extended; middle and ring curled.
-                      </li>
-                    </ul>
+                  <SignReference
+                    sign={signs.find((s) => s.id === current) || { id: current }}
+                    mirrored={settings.dominantHand === 'left'}
+                  />
+
+                  <div className="p-4 rounded-2xl bg-white border shadow space-y-3">
+                    {(stream || devices.length > 0) && (
+                      <CameraSettings
+                        camera={settings.camera}
+                        devices={devices}
+                        onChange={(camera) => setSettings({ ...settings, camera })}
+                      />
+                    )}
+                    <DetectorSettings
+                      backend={settings.detector}
+                      onChange={(detector) => setSettings({ ...settings, detector })}
+                    />
                   </div>
 
                   <div className="p-4 rounded-2xl bg-white border shadow space-y-3">
                     <h3 className="font-semibold">Did it register?</h3>
-                    <div className="flex gap-2">
-                      <button
-                        className="px-3 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700"
-                        onClick={() =>
-                          mode === 'practice'
-                            ? handlePracticeResult(true)
-                            : null
-                        }
-                      >
-                        Mark Correct
-                      </button>
-                      <button
-                        className="px-3 py-2 rounded-xl bg-rose-600 text-white hover:bg-rose-700"
-                        onClick={() =>
-                          mode === 'practice'
-                            ? handlePracticeResult(false)
-                            : null
-                        }
-                      >
-                        Mark Again
-                      </button>
-                    </div>
+                    <GradeButtons
+                      disabled={mode !== 'practice'}
+                      onGrade={(grade) =>
+                        handlePracticeResult(grade, { source: 'manual' })
+                      }
+                    />
                     <p className="text-xs text-gray-500">
                       Manual buttons are always available so you’re never
                       blocked.
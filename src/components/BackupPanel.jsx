@@ -0,0 +1,101 @@
+import React, { useRef, useState } from 'react';
+import {
+  MERGE_STRATEGIES,
+  buildBackup,
+  backupFilename,
+  parseBackup,
+  mergeBackup,
+  historyToCsv,
+} from '../utils/backup.js';
+import { downloadJson, downloadText, readFileText } from '../utils/download.js';
+
+// `data` is { srs, history, templates, customSigns, settings }; `onImport`
+// receives the merged result.
+export default function BackupPanel({ data, onImport }) {
+  const [strategy, setStrategy] = useState('keep-newer');
+  const [message, setMessage] = useState(null);
+  const fileRef = useRef(null);
+
+  function handleExport() {
+    downloadJson(backupFilename(), buildBackup(data));
+  }
+
+  function handleExportCsv() {
+    const name = backupFilename().replace(/\.json$/, '-history.csv');
+    downloadText(name, historyToCsv(data.history), 'text/csv');
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const incoming = parseBackup(await readFileText(file));
+      onImport(mergeBackup(data, incoming, strategy));
+      setMessage({
+        ok: true,
+        text: `Imported ${Object.keys(incoming.srs).length} sign(s) and ${incoming.history.length} review(s).`,
+      });
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    }
+  }
+
+  return (
+    <section className="rounded-2xl p-5 bg-white shadow space-y-3">
+      <h2 className="text-lg font-semibold">Backup & Restore</h2>
+      <p className="text-sm text-gray-600">
+        Move progress between devices or keep a copy before clearing site data.
+        Clips attached to signs are not included.
+      </p>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700"
+          onClick={handleExport}
+        >
+          Export progress
+        </button>
+        <button
+          className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+          onClick={handleExportCsv}
+        >
+          Export history (CSV)
+        </button>
+        <span className="mx-2 text-gray-300">|</span>
+        <select
+          className="px-2 py-2 rounded-xl border bg-white"
+          value={strategy}
+          onChange={(e) => setStrategy(e.target.value)}
+        >
+          {Object.entries(MERGE_STRATEGIES).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+          onClick={() => fileRef.current && fileRef.current.click()}
+        >
+          Import…
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleFile}
+        />
+      </div>
+      {message && (
+        <div
+          className={`text-sm ${
+            message.ok ? 'text-emerald-700' : 'text-rose-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+    </section>
+  );
+}
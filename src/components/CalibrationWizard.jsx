@@ -0,0 +1,275 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { drawHands, drawVideo, previewHands } from '../utils/draw.js';
+import { palmSize } from '../utils/landmarks.js';
+import {
+  CALIBRATION_POSES,
+  SAMPLES_PER_POSE,
+  deriveThresholds,
+} from '../utils/calibration.js';
+import { DEFAULT_THRESHOLDS } from '../utils/thresholds.js';
+import useVideoStream from '../hooks/useVideoStream.js';
+
+const SAMPLE_INTERVAL_MS = 100;
+
+const ROWS = [
+  { key: 'extendedAngle', label: 'Finger straight above', unit: '°' },
+  { key: 'curledAngle', label: 'Finger curled below', unit: '°' },
+  { key: 'pinchRatio', label: 'Pinch closer than', unit: '× palm' },
+];
+
+// Steps through the reference poses, capturing SAMPLES_PER_POSE frames of
+// each, then shows the derived thresholds for review before saving.
+// onSave(thresholds) stores them on the profile; onSave(null) resets.
+export default function CalibrationWizard({
+  detector,
+  videoRef,
+  canvasRef,
+  stream,
+  mirror = true,
+  thresholds,
+  onSave,
+  onCancel,
+}) {
+  const [step, setStep] = useState(0);
+  const [capturing, setCapturing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [derived, setDerived] = useState(null);
+  const [error, setError] = useState('');
+  const [acceptance, setAcceptance] = useState(() => ({
+    minConfidence: (thresholds || DEFAULT_THRESHOLDS).minConfidence,
+    stableFrames: (thresholds || DEFAULT_THRESHOLDS).stableFrames,
+  }));
+  // { open: [hand], fist: [hand], pinch: [hand] }
+  const samplesRef = useRef({});
+  const lastSampleRef = useRef(0);
+  useVideoStream(videoRef, stream);
+
+  const pose = CALIBRATION_POSES[step];
+
+  useEffect(() => {
+    if (!detector) return;
+    let running = true;
+    let raf = null;
+    const poseId = CALIBRATION_POSES[step]?.id;
+
+    function finishPose() {
+      if (step + 1 < CALIBRATION_POSES.length) {
+        setStep(step + 1);
+        setProgress(0);
+        return;
+      }
+      try {
+        setDerived(deriveThresholds(samplesRef.current));
+        setError('');
+      } catch (e) {
+        setError(e.message);
+      }
+      setStep(CALIBRATION_POSES.length);
+    }
+
+    async function loop(ts) {
+      if (!running) return;
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      const ctx = canvas?.getContext('2d');
+      if (!video || !ctx) {
+        raf = requestAnimationFrame(loop);
+        return;
+      }
+      canvas.width = video.videoWidth || 640;
+      canvas.height = video.videoHeight || 480;
+      drawVideo(ctx, video, mirror);
+
+      let hands = [];
+      try {
+        hands = await detector.estimateHands(video, { flipHorizontal: true });
+      } catch {
+        // ignore
+      }
+      if (!running) return;
+      drawHands(ctx, previewHands(hands, canvas.width, mirror));
+
+      // The hand nearest the camera is the one being shown
+      const hand = [...hands].sort((a, b) => palmSize(b) - palmSize(a))[0];
+      const due = ts - lastSampleRef.current >= SAMPLE_INTERVAL_MS;
+      if (capturing && poseId && hand && due) {
+        lastSampleRef.current = ts;
+        const list = (samplesRef.current[poseId] ||= []);
+        list.push(hand);
+        setProgress(list.length);
+        if (list.length >= SAMPLES_PER_POSE) {
+          running = false;
+          setCapturing(false);
+          finishPose();
+          return;
+        }
+      }
+      raf = requestAnimationFrame(loop);
+    }
+
+    raf = requestAnimationFrame(loop);
+    return () => {
+      running = false;
+      if (raf) cancelAnimationFrame(raf);
+    };
+  }, [detector, videoRef, canvasRef, capturing, step, mirror]);
+
+  function restart() {
+    samplesRef.current = {};
+    setStep(0);
+    setProgress(0);
+    setDerived(null);
+    setError('');
+  }
+
+  if (!detector) {
+    return (
+      <div className="p-4 rounded-2xl border bg-white shadow space-y-3">
+        <p className="text-sm text-gray-600">
+          Calibration needs the camera and hand detector, which are not available.
+        </p>
+        <button
+          onClick={onCancel}
+          className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+        >
+          Back
+        </button>
+      </div>
+    );
+  }
+
+  const current = thresholds || DEFAULT_THRESHOLDS;
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6 items-start">
+      <div className="relative w-full aspect-video rounded-2xl overflow-hidden shadow">
+        <video ref={videoRef} className="hidden" playsInline muted />
+        <canvas ref={canvasRef} className="w-full h-full bg-black" />
+      </div>
+
+      <div className="p-4 rounded-2xl border bg-white shadow space-y-3">
+        {pose ? (
+          <>
+            <div className="text-sm text-gray-500">
+              Step {step + 1} of {CALIBRATION_POSES.length}
+            </div>
+            <h3 className="font-semibold">{pose.label}</h3>
+            <p className="text-sm text-gray-700">{pose.instructions}</p>
+            <button
+              onClick={() => {
+                samplesRef.current[pose.id] = [];
+                setProgress(0);
+                setCapturing(true);
+              }}
+              disabled={capturing}
+              className="px-3 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+            >
+              {capturing
+                ? `Capturing ${progress}/${SAMPLES_PER_POSE}… hold still`
+                : 'Capture'}
+            </button>
+          </>
+        ) : (
+          <>
+            <h3 className="font-semibold">Your thresholds</h3>
+            {error && <p className="text-sm text-rose-700">{error}</p>}
+            {derived && (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th>Check</th>
+                    <th>Default</th>
+                    <th>Current</th>
+                    <th>New</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ROWS.map(({ key, label, unit }) => (
+                    <tr key={key} className="border-t">
+                      <td className="py-1 pr-2">{label}</td>
+                      <td>
+                        {DEFAULT_THRESHOLDS[key]}
+                        {unit}
+                      </td>
+                      <td>
+                        {current[key]}
+                        {unit}
+                      </td>
+                      <td className="font-medium">
+                        {derived.thresholds[key]}
+                        {unit}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <label className="flex items-center gap-2 text-sm">
+              Required confidence
+              <input
+                type="range"
+                min="0.5"
+                max="0.95"
+                step="0.05"
+                value={acceptance.minConfidence}
+                onChange={(e) =>
+                  setAcceptance({
+                    ...acceptance,
+                    minConfidence: Number(e.target.value),
+                  })
+                }
+              />
+              {acceptance.minConfidence.toFixed(2)}
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              Hold for
+              <input
+                type="range"
+                min="3"
+                max="15"
+                value={acceptance.stableFrames}
+                onChange={(e) =>
+                  setAcceptance({
+                    ...acceptance,
+                    stableFrames: Number(e.target.value),
+                  })
+                }
+              />
+              {acceptance.stableFrames} frames
+            </label>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => onSave({ ...derived.thresholds, ...acceptance })}
+                disabled={!derived}
+                className="px-3 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+              >
+                Save
+              </button>
+              <button
+                onClick={restart}
+                className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+              >
+                Start over
+              </button>
+            </div>
+          </>
+        )}
+        <div className="flex flex-wrap gap-2 pt-2 border-t">
+          <button
+            onClick={() => onSave(null)}
+            disabled={!thresholds}
+            className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-50"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={onCancel}
+            className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
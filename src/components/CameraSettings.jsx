@@ -0,0 +1,61 @@
+import React from 'react';
+import { RESOLUTIONS, FACING_MODES, DEFAULT_CAMERA } from '../utils/camera.js';
+
+// Camera, resolution and facing-mode pickers for settings.camera. Changes
+// switch the live stream; the detector keeps running.
+export default function CameraSettings({ camera, devices, onChange }) {
+  const current = { ...DEFAULT_CAMERA, ...camera };
+  const set = (patch) => onChange({ ...current, ...patch });
+  // A saved camera that is unplugged shows as automatic until it returns
+  const connected = devices.some((d) => d.deviceId === current.deviceId);
+  const select = 'px-2 py-1 rounded-lg border bg-white';
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+      <label className="flex items-center gap-2">
+        Camera
+        <select
+          className={select}
+          value={connected ? current.deviceId : ''}
+          onChange={(e) => set({ deviceId: e.target.value })}
+        >
+          <option value="">Automatic</option>
+          {devices.map((d) => (
+            <option key={d.deviceId} value={d.deviceId}>
+              {d.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        Facing
+        <select
+          className={select}
+          value={current.facingMode}
+          disabled={connected}
+          onChange={(e) => set({ facingMode: e.target.value })}
+        >
+          {Object.entries(FACING_MODES).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        Resolution
+        <select
+          className={select}
+          value={current.resolution}
+          onChange={(e) => set({ resolution: e.target.value })}
+        >
+          {Object.entries(RESOLUTIONS).map(([key, { label }]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createLandmarkHistory } from '../utils/motion.js';
+import { drawVideo } from '../utils/draw.js';
+import { scanFrame, drawOverlay } from '../utils/frame.js';
+import { bodyFrame } from '../utils/body.js';
+import {
+  createSegmenter,
+  glossOf,
+  toPhrases,
+  formatTime,
+  transcriptText,
+} from '../utils/transcript.js';
+import { downloadText } from '../utils/download.js';
+import useVideoStream from '../hooks/useVideoStream.js';
+
+const FRAME_MS = 1000 / 20; // ~20fps, as in PracticeView
+
+// Free signing: every sign in `signIds` (the recognizable ones) is checked on
+// each frame and accepted signs are appended to a running transcript.
+// `detector`, `pose`, refs and `stream` are as for PracticeView.
+export default function ConversationView({
+  signIds,
+  signs,
+  detector,
+  pose = null,
+  videoRef,
+  canvasRef,
+  stream,
+  explain,
+  mirror = true,
+}) {
+  const [entries, setEntries] = useState([]);
+  const [live, setLive] = useState(null); // sign building up or held
+  const segmenterRef = useRef(null);
+  if (!segmenterRef.current) segmenterRef.current = createSegmenter();
+  const historyRef = useRef(null);
+  if (!historyRef.current) historyRef.current = createLandmarkHistory();
+  // Latest list for the running loop, without restarting it
+  const signIdsRef = useRef(signIds);
+  useEffect(() => {
+    signIdsRef.current = signIds;
+  });
+  useVideoStream(videoRef, stream);
+
+  // A worker detector draws without a practice target
+  useEffect(() => {
+    if (!detector?.inWorker) return;
+    detector.configure({ target: null, targetHands: null, mirror });
+  }, [detector, mirror]);
+
+  useEffect(() => {
+    if (!detector) return undefined;
+    let running = true;
+    let raf = null;
+    let lastTs = 0;
+    let shown = null;
+    const segmenter = segmenterRef.current;
+
+    const showLive = (next) => {
+      const key = next ? `${next.id}|${next.held}` : null;
+      if (key === shown) return;
+      shown = key;
+      setLive(next);
+    };
+
+    async function loop(ts) {
+      if (!running) return;
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (
+        document.visibilityState === 'hidden' ||
+        ts - lastTs < FRAME_MS ||
+        !video ||
+        !canvas
+      ) {
+        raf = requestAnimationFrame(loop);
+        return;
+      }
+      lastTs = ts;
+
+      let hands = [];
+      let body = null;
+      let scanned = [];
+      try {
+        if (detector.inWorker) {
+          detector.attachCanvas(canvas);
+          ({ hands, body, scanned } = await detector.process(video, {
+            scan: signIdsRef.current,
+          }));
+        } else {
+          const ctx = canvas.getContext('2d');
+          canvas.width = video.videoWidth || 640;
+          canvas.height = video.videoHeight || 480;
+          drawVideo(ctx, video, mirror);
+          hands = await detector.estimateHands(video, {
+            flipHorizontal: true,
+          });
+          if (pose) {
+            const poses = await pose.estimatePoses(video, {
+              flipHorizontal: true,
+            });
+            body = bodyFrame(poses[0]);
+          }
+          historyRef.current.push(hands, ts, body);
+          scanned = scanFrame(hands, historyRef.current.frames(), {
+            signs: signIdsRef.current,
+            explain,
+            body,
+          });
+          drawOverlay(ctx, hands, [], { mirror, ghost: false });
+        }
+      } catch {
+        // Skip the frame
+      }
+      if (!running) return;
+
+      const entry = segmenter.push(scanned || [], ts, hands.length > 0);
+      if (entry) setEntries((prev) => [...prev, entry]);
+      const held = segmenter.holding;
+      const building = segmenter.candidate;
+      showLive(
+        held
+          ? { id: held, held: true }
+          : building
+          ? { id: building.id, held: false }
+          : null
+      );
+      raf = requestAnimationFrame(loop);
+    }
+
+    raf = requestAnimationFrame(loop);
+    return () => {
+      running = false;
+      if (raf) cancelAnimationFrame(raf);
+    };
+  }, [detector, pose, explain, mirror, videoRef, canvasRef]);
+
+  function handleClear() {
+    segmenterRef.current.reset();
+    historyRef.current.clear();
+    setEntries([]);
+  }
+
+  const phrases = toPhrases(entries);
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6 items-start">
+      <div className="w-full space-y-3">
+        <div className="relative w-full max-w-2xl aspect-video rounded-2xl overflow-hidden shadow">
+          <video ref={videoRef} className="hidden" playsInline muted />
+          {/* A canvas can only be handed to one worker, so each gets its own */}
+          <canvas
+            key={detector?.id ?? 'page'}
+            ref={canvasRef}
+            className="w-full h-full bg-black"
+          />
+        </div>
+        <div className="text-base font-medium">
+          {!detector
+            ? 'Free signing needs the camera and hand detector.'
+            : live
+            ? `${live.held ? 'Got' : 'Seeing'}: ${glossOf(live.id, signs)}`
+            : 'Listening…'}
+        </div>
+        <p className="text-xs text-gray-500">
+          Checking {signIds.length} sign(s). Drop your hands or pause briefly
+          between signs; a longer pause starts a new phrase.
+        </p>
+      </div>
+
+      <div className="p-4 rounded-2xl bg-white border shadow space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <h3 className="font-semibold">Transcript</h3>
+          <div className="flex gap-2 text-sm">
+            <button
+              className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-50"
+              disabled={!entries.length}
+              onClick={() =>
+                downloadText(
+                  `asl-transcript-${new Date().toISOString().slice(0, 10)}.txt`,
+                  transcriptText(entries, signs) + '\n'
+                )
+              }
+            >
+              Download
+            </button>
+            <button
+              className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-50"
+              disabled={!entries.length}
+              onClick={handleClear}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+        {phrases.length ? (
+          <ol className="space-y-2">
+            {phrases.map((phrase) => (
+              <li key={phrase[0].t} className="flex gap-3 items-baseline">
+                <span className="text-xs text-gray-500 tabular-nums">
+                  {formatTime(phrase[0].t)}
+                </span>
+                <span className="flex flex-wrap gap-1">
+                  {phrase.map((e) => (
+                    <span
+                      key={e.t}
+                      className="px-2 py-0.5 rounded-lg bg-indigo-50 text-indigo-800 font-medium"
+                      title={`${formatTime(e.t)} · confidence ${e.confidence.toFixed(2)}`}
+                    >
+                      {glossOf(e.id, signs)}
+                    </span>
+                  ))}
+                </span>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-500">
+            Sign a short phrase, e.g. MORE EAT PLEASE.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { explainAll } from '../recognizers/index.js';
+import { passedCount } from '../recognizers/criteria.js';
+import { createSessionRecorder, fixtureFilename } from '../utils/recording.js';
+import { downloadJson } from '../utils/download.js';
+import { handReport } from '../utils/debug.js';
+
+const REFRESH_MS = 250;
+
+const round = (v, digits = 0) =>
+  Number.isFinite(v) ? v.toFixed(digits) : '—';
+
+// Developer panel (append #tests to the URL). Polls the latest frame that
+// PracticeView leaves in `frameRef` ({ hands, frames, video }) rather than
+// re-rendering on every detection.
+export default function DebugPanel({ frameRef, meter, target }) {
+  const [view, setView] = useState(null);
+  const [showKeypoints, setShowKeypoints] = useState(true);
+
+  useEffect(() => {
+    const id = setInterval(() => {
+      const { hands = [], body = null, frames = [] } = frameRef.current || {};
+      setView({
+        hands: hands.map(handReport),
+        regions: body ? Object.keys(body.regions) : null,
+        scores: explainAll(hands, frames, body),
+        timing: meter.stats(),
+      });
+    }, REFRESH_MS);
+    return () => clearInterval(id);
+  }, [frameRef, meter]);
+
+  // One-frame fixture; `label` null records a negative example.
+  function snapshot(label) {
+    const { hands = [], body = null, video = {} } = frameRef.current || {};
+    const recorder = createSessionRecorder(label, video);
+    recorder.push(hands, 0, body);
+    const fixture = recorder.toFixture();
+    downloadJson(fixtureFilename(fixture), fixture);
+  }
+
+  if (!view) return null;
+  const { hands, regions, scores, timing } = view;
+
+  return (
+    <div className="p-3 rounded-xl border border-dashed border-slate-400 bg-slate-50 text-xs space-y-3 font-mono">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-semibold">Debug</span>
+        <span>{round(timing.fps, 1)} fps</span>
+        <span>
+          latency {round(timing.latencyMs, 1)} ms (max {round(timing.maxLatencyMs)} ms)
+        </span>
+        <span>{hands.length} hand(s)</span>
+        <span>
+          {regions ? `body: ${regions.join(', ')}` : 'body: not tracked'}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => snapshot(target)}
+          className="px-2 py-1 rounded-lg bg-white border hover:bg-slate-100"
+        >
+          Snapshot as {target}
+        </button>
+        <button
+          onClick={() => snapshot(null)}
+          className="px-2 py-1 rounded-lg bg-white border hover:bg-slate-100"
+        >
+          Snapshot as negative
+        </button>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={showKeypoints}
+            onChange={(e) => setShowKeypoints(e.target.checked)}
+          />
+          Keypoints
+        </label>
+      </div>
+
+      {hands.map((h, i) => (
+        <div key={i} className="space-y-1">
+          <div className="font-semibold">
+            Hand {i + 1}: {h.handedness ?? '?'} · score {round(h.score, 2)} · palm{' '}
+            {round(h.palmSize, 1)} px · center ({round(h.center.x)}, {round(h.center.y)})
+          </div>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th>finger</th>
+                <th>pip/mcp°</th>
+                <th>dip°</th>
+                <th>state</th>
+              </tr>
+            </thead>
+            <tbody>
+              {h.fingers.map((f) => (
+                <tr key={f.name} className="border-t">
+                  <td>{f.name}</td>
+                  <td>
+                    {round(f.pip)}
+                    {f.mcp !== undefined && ` / ${round(f.mcp)}`}
+                  </td>
+                  <td>{round(f.dip)}</td>
+                  <td>{f.state}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {showKeypoints && (
+            <table className="w-full">
+              <tbody>
+                {h.keypoints.map((kp, k) => (
+                  <tr key={k} className="border-t">
+                    <td className="pr-2 text-gray-500">{k}</td>
+                    <td>{round(kp.x, 1)}</td>
+                    <td>{round(kp.y, 1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th>sign</th>
+            <th>conf</th>
+            <th>criteria met</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scores.map(({ id, result }) => (
+            <tr
+              key={id}
+              className={`border-t ${result?.passed ? 'text-emerald-700 font-semibold' : ''}`}
+            >
+              <td>{id}</td>
+              <td>{round(result?.confidence, 2)}</td>
+              <td>
+                {result
+                  ? `${passedCount(result.criteria)}/${result.criteria.length}`
+                  : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
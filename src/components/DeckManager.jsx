@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import {
+  createDeck,
+  deleteDeck,
+  toggleDeckSign,
+  validateCustomSign,
+  makeCustomSign,
+  mediaTypeOf,
+} from '../utils/decks.js';
+
+const EMPTY_FORM = { id: '', gloss: '', category: '', notes: '', mediaUrl: '' };
+
+// Create decks, choose their signs and add custom signs.
+export default function DeckManager({
+  signs,
+  customSigns,
+  decks,
+  onDecksChange,
+  onAddSign,
+  onDeleteSign,
+}) {
+  const [deckName, setDeckName] = useState('');
+  const [editing, setEditing] = useState(decks[0]?.id || null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [file, setFile] = useState(null);
+  const [formErr, setFormErr] = useState('');
+
+  const deck = decks.find((d) => d.id === editing);
+  const input = 'px-2 py-1 rounded-lg border bg-white';
+
+  function handleCreateDeck(e) {
+    e.preventDefault();
+    const next = createDeck(decks, deckName);
+    if (next === decks) return;
+    onDecksChange(next);
+    setEditing(next[next.length - 1].id);
+    setDeckName('');
+  }
+
+  function handleAddSign(e) {
+    e.preventDefault();
+    const problem = validateCustomSign(form, customSigns);
+    if (problem) {
+      setFormErr(problem);
+      return;
+    }
+    let media;
+    if (file) media = { type: mediaTypeOf(file.type || file.name), stored: true };
+    else if (form.mediaUrl.trim()) {
+      media = { type: mediaTypeOf(form.mediaUrl), url: form.mediaUrl.trim() };
+    }
+    onAddSign(makeCustomSign({ ...form, media }), file);
+    setForm(EMPTY_FORM);
+    setFile(null);
+    setFormErr('');
+  }
+
+  return (
+    <section className="rounded-2xl p-5 bg-white shadow space-y-5">
+      <div className="space-y-3">
+        <h2 className="text-lg font-semibold">Decks</h2>
+        <form className="flex gap-2 text-sm" onSubmit={handleCreateDeck}>
+          <input
+            className={input}
+            placeholder="New deck, e.g. Bedtime"
+            value={deckName}
+            onChange={(e) => setDeckName(e.target.value)}
+          />
+          <button className="px-3 py-1 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700">
+            Create
+          </button>
+        </form>
+        {decks.length > 0 && (
+          <div className="flex flex-wrap gap-2 text-sm">
+            {decks.map((d) => (
+              <button
+                key={d.id}
+                className={`px-3 py-1 rounded-full border ${
+                  d.id === editing ? 'bg-slate-800 text-white' : 'bg-white'
+                }`}
+                onClick={() => setEditing(d.id)}
+              >
+                {d.name} ({d.signIds.length})
+              </button>
+            ))}
+          </div>
+        )}
+        {deck && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-gray-600">
+                Signs in <strong>{deck.name}</strong>
+              </span>
+              <button
+                className="px-2 py-1 rounded-lg text-rose-700 hover:bg-rose-50"
+                onClick={() => {
+                  onDecksChange(deleteDeck(decks, deck.id));
+                  setEditing(null);
+                }}
+              >
+                Delete deck
+              </button>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-1 text-sm">
+              {signs.map((s) => (
+                <label key={s.id} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={deck.signIds.includes(s.id)}
+                    onChange={() =>
+                      onDecksChange(toggleDeckSign(decks, deck.id, s.id))
+                    }
+                  />
+                  {s.id}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-3 border-t pt-4">
+        <h2 className="text-lg font-semibold">Custom Signs</h2>
+        <form
+          className="grid md:grid-cols-2 gap-2 text-sm"
+          onSubmit={handleAddSign}
+        >
+          <input
+            className={input}
+            placeholder="Name (e.g. Nap)"
+            value={form.id}
+            onChange={(e) => setForm({ ...form, id: e.target.value })}
+          />
+          <input
+            className={input}
+            placeholder="Gloss (optional)"
+            value={form.gloss}
+            onChange={(e) => setForm({ ...form, gloss: e.target.value })}
+          />
+          <input
+            className={input}
+            placeholder="Category (default: Custom)"
+            value={form.category}
+            onChange={(e) => setForm({ ...form, category: e.target.value })}
+          />
+          <input
+            className={input}
+            placeholder="Reference video, image or landmark JSON URL (optional)"
+            value={form.mediaUrl}
+            disabled={!!file}
+            onChange={(e) => setForm({ ...form, mediaUrl: e.target.value })}
+          />
+          <textarea
+            className={`${input} md:col-span-2`}
+            placeholder="Notes: handshape, location, movement…"
+            rows={2}
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+          <label className="flex items-center gap-2 text-gray-600">
+            Or upload media
+            <input
+              type="file"
+              accept="image/*,video/*,.json"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+            />
+          </label>
+          <div className="flex items-center justify-end gap-3">
+            {formErr && <span className="text-rose-700">{formErr}</span>}
+            <button className="px-3 py-1 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700">
+              Add sign
+            </button>
+          </div>
+        </form>
+        {customSigns.length > 0 && (
+          <ul className="text-sm divide-y">
+            {customSigns.map((s) => (
+              <li key={s.id} className="py-1 flex items-center justify-between">
+                <span>
+                  <strong>{s.id}</strong>
+                  <span className="text-gray-500">
+                    {' '}
+                    · {s.category}
+                    {s.gloss ? ` · ${s.gloss}` : ''}
+                    {s.media ? ' · media' : ''}
+                  </span>
+                </span>
+                <button
+                  className="px-2 py-1 rounded-lg text-rose-700 hover:bg-rose-50"
+                  onClick={() => {
+                    if (window.confirm(`Delete custom sign “${s.id}”?`)) {
+                      onDeleteSign(s.id);
+                    }
+                  }}
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,81 @@
+import React from 'react';
+import {
+  DETECTOR_RUNTIMES,
+  DETECTOR_MODELS,
+  DEFAULT_DETECTOR,
+} from '../utils/detectors.js';
+import { workerSupported, runsInWorker } from '../utils/detectorWorker.js';
+
+// Runtime, model, worker and face/body pickers for settings.detector. A
+// change disposes the running detectors and loads the new ones.
+export default function DetectorSettings({ backend, onChange }) {
+  const current = { ...DEFAULT_DETECTOR, ...backend };
+  const set = (patch) => onChange({ ...current, ...patch });
+  const select = 'px-2 py-1 rounded-lg border bg-white';
+  // The worker runs TF.js only; MediaPipe keeps detection on the page
+  const workerRuntime = current.runtime === 'tfjs';
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+      <label className="flex items-center gap-2">
+        Detector
+        <select
+          className={select}
+          value={current.runtime}
+          onChange={(e) => set({ runtime: e.target.value })}
+        >
+          {Object.entries(DETECTOR_RUNTIMES).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        Model
+        <select
+          className={select}
+          value={current.modelType}
+          onChange={(e) => set({ modelType: e.target.value })}
+        >
+          {Object.entries(DETECTOR_MODELS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={runsInWorker(current)}
+          disabled={!workerSupported() || !workerRuntime}
+          onChange={(e) => set({ worker: e.target.checked })}
+        />
+        Run in background worker
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={current.body}
+          onChange={(e) => set({ body: e.target.checked })}
+        />
+        Track face &amp; body
+      </label>
+      {current.worker && (
+        <span className="text-xs text-gray-500">
+          {!workerSupported()
+            ? 'This browser can’t run detection in a worker.'
+            : !workerRuntime
+            ? 'The background worker needs TensorFlow.js; MediaPipe runs on the page.'
+            : 'Runs off the main thread; falls back to the page if the worker fails.'}
+        </span>
+      )}
+      {current.runtime === 'tfjs' && (
+        <span className="text-xs text-gray-500">
+          Downloads its model on first use; needs a network connection once.
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from 'react';
+
+const GRADE_BUTTONS = [
+  { grade: 'again', label: 'Again', className: 'bg-rose-600 hover:bg-rose-700' },
+  { grade: 'hard', label: 'Hard', className: 'bg-amber-500 hover:bg-amber-600' },
+  { grade: 'good', label: 'Good', className: 'bg-emerald-600 hover:bg-emerald-700' },
+  { grade: 'easy', label: 'Easy', className: 'bg-sky-600 hover:bg-sky-700' },
+];
+
+export default function GradeButtons({ onGrade, disabled = false }) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {GRADE_BUTTONS.map(({ grade, label, className }) => (
+        <button
+          key={grade}
+          disabled={disabled}
+          onClick={() => onGrade(grade)}
+          className={`px-4 py-2 rounded-xl text-white disabled:opacity-50 ${className}`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
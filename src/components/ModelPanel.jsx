@@ -0,0 +1,176 @@
+import React, { useRef, useState } from 'react';
+import { parseFixture } from '../utils/recording.js';
+import {
+  MODEL_TYPES,
+  datasetFromFixtures,
+  trainModel,
+  parseModel,
+  modelSigns,
+  modelFilename,
+  saveModel,
+  clearModel,
+} from '../utils/classifier.js';
+import { downloadJson, readFileText } from '../utils/download.js';
+
+const TYPE_LABELS = {
+  knn: 'Nearest neighbours (k-NN)',
+  mlp: 'Neural network (MLP)',
+};
+
+// Train the landmark classifier from fixture files, or load a model file
+// trained elsewhere (`npm run train`). `onChange` runs after the profile's
+// model is saved or removed; `preferModel` mirrors settings.preferModel.
+export default function ModelPanel({
+  model,
+  preferModel,
+  onPreferChange,
+  onChange,
+}) {
+  const [type, setType] = useState('knn');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fixturesRef = useRef(null);
+  const modelRef = useRef(null);
+
+  const readFiles = (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    return Promise.all(files.map(readFileText));
+  };
+
+  async function handleTrain(e) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const fixtures = (await readFiles(e)).map(parseFixture);
+      if (!fixtures.length) return;
+      // Let "Training…" paint before the synchronous training loop
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const trained = trainModel(datasetFromFixtures(fixtures), { type });
+      await saveModel(trained);
+      onChange();
+      setMessage({
+        ok: true,
+        text: `Trained on ${trained.samples} frame(s) from ${fixtures.length} fixture(s).`,
+      });
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleLoad(e) {
+    try {
+      const [text] = await readFiles(e);
+      if (!text) return;
+      const loaded = parseModel(text);
+      await saveModel(loaded);
+      onChange();
+      setMessage({ ok: true, text: `Loaded a ${loaded.type} model.` });
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    }
+  }
+
+  async function handleRemove() {
+    await clearModel();
+    onChange();
+    setMessage(null);
+  }
+
+  const button = 'px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200';
+  const signs = modelSigns(model);
+
+  return (
+    <section className="rounded-2xl p-5 bg-white shadow space-y-3">
+      <h2 className="text-lg font-semibold">Trained Model</h2>
+      <p className="text-sm text-gray-600">
+        Train a classifier on recorded fixtures (<strong>Record session</strong>{' '}
+        in practice). It checks the signs it was trained on that have no
+        built-in check, or all of them when preferred.
+      </p>
+      {model ? (
+        <p className="text-sm">
+          {TYPE_LABELS[model.type]} trained {model.trainedAt.slice(0, 10)} on{' '}
+          {model.samples} frame(s):{' '}
+          <span className="font-medium">{signs.join(', ') || 'no signs'}</span>
+        </p>
+      ) : (
+        <p className="text-sm text-gray-500">No model for this profile.</p>
+      )}
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          className="px-2 py-2 rounded-xl border bg-white"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        >
+          {MODEL_TYPES.map((key) => (
+            <option key={key} value={key}>
+              {TYPE_LABELS[key]}
+            </option>
+          ))}
+        </select>
+        <button
+          className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          disabled={busy}
+          onClick={() => fixturesRef.current && fixturesRef.current.click()}
+        >
+          {busy ? 'Training…' : 'Train from fixtures…'}
+        </button>
+        <span className="mx-2 text-gray-300">|</span>
+        <button
+          className={button}
+          onClick={() => modelRef.current && modelRef.current.click()}
+        >
+          Load model…
+        </button>
+        {model && (
+          <>
+            <button
+              className={button}
+              onClick={() => downloadJson(modelFilename(model), model)}
+            >
+              Download model
+            </button>
+            <button className={button} onClick={handleRemove}>
+              Remove
+            </button>
+          </>
+        )}
+        <input
+          ref={fixturesRef}
+          type="file"
+          accept="application/json,.json"
+          multiple
+          className="hidden"
+          onChange={handleTrain}
+        />
+        <input
+          ref={modelRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleLoad}
+        />
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={preferModel}
+          onChange={(e) => onPreferChange(e.target.checked)}
+        />
+        Prefer the model over built-in checks for the signs it knows
+      </label>
+      {message && (
+        <div
+          className={`text-sm ${
+            message.ok ? 'text-emerald-700' : 'text-rose-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -1,11 +1,71 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { AI_SUPPORTED } from '../data/signs.js';
+import GradeButtons from './GradeButtons.jsx';
+import { createLandmarkHistory } from '../utils/motion.js';
+import { addTemplate, clearTemplates, loadTemplates } from '../utils/templates.js';
+import { createSessionRecorder, fixtureFilename } from '../utils/recording.js';
+import { downloadJson } from '../utils/download.js';
+import { drawVideo } from '../utils/draw.js';
+import { analyzeFrame, drawOverlay } from '../utils/frame.js';
+import { findSign } from '../utils/decks.js';
+import { targetPose, liveHints } from '../utils/feedback.js';
+import RecognizerBreakdown from './RecognizerBreakdown.jsx';
+import DebugPanel from './DebugPanel.jsx';
+import { isRecognizable } from '../recognizers/index.js';
+import { createFrameMeter } from '../utils/debug.js';
+import { getThresholds } from '../utils/thresholds.js';
+import { loadModel, getModelPreferred } from '../utils/classifier.js';
+import { getDominantHand } from '../utils/handedness.js';
+import { bodyFrame } from '../utils/body.js';
+import useVideoStream from '../hooks/useVideoStream.js';
 
-export default function PracticeView({ target, onResult, detector, videoRef, canvasRef, recognize }) {
+const TEACH_SNAPSHOTS = 5;
+const TEACH_INTERVAL_MS = 400;
+// Hints must hold this many frames before they replace the shown ones
+const HINT_STABLE_FRAMES = 5;
+// The details table refreshes at most this often
+const BREAKDOWN_INTERVAL_MS = 250;
+
+// `debug` shows the developer panel (App enables it for the #tests hash).
+// `mirror` shows the preview as a mirror; onMirrorChange toggles it.
+// `pose` is the page's face/body detector, if any (useHandsDetector).
+export default function PracticeView({ target, onResult, detector, pose = null, videoRef, canvasRef, stream, explain, debug = false, mirror = true, onMirrorChange }) {
   const [status, setStatus] = useState('Try the sign when you’re ready');
-  const [aiSupported, setAiSupported] = useState(!!AI_SUPPORTED[target]);
+  // Location signs are only recognizable while the face/body is tracked
+  const tracksBody = !!pose || !!detector?.body;
+  const [aiSupported, setAiSupported] = useState(
+    isRecognizable(target, { body: tracksBody })
+  );
+  const [templateCount, setTemplateCount] = useState(
+    (loadTemplates()[target] || []).length
+  );
+  const [teaching, setTeaching] = useState(false);
+  // { remaining, lastTs } while capturing snapshots for "Teach this sign"
+  const teachRef = useRef(null);
+  // Landmark session being captured to a replay fixture
+  const recorderRef = useRef(null);
+  const [recording, setRecording] = useState(false);
+  const [showGhost, setShowGhost] = useState(true);
+  const [hints, setHints] = useState([]);
+  const hintsRef = useRef({ shown: '', candidate: '', frames: 0 });
+  const [showDetails, setShowDetails] = useState(false);
+  const [breakdown, setBreakdown] = useState(null);
+  const lastBreakdownTs = useRef(0);
+  // Normalized target hands from the sign's demonstration or taught templates
+  const [targetHands, setTargetHands] = useState(() =>
+    targetPose(findSign(target), loadTemplates())
+  );
   const stableCounter = useRef(0);
   const rafRef = useRef(null);
+  const historyRef = useRef(null);
+  // Review start, for time-to-recognition in the review log
+  const startedAtRef = useRef(Date.now());
+  if (!historyRef.current) historyRef.current = createLandmarkHistory();
+  // Latest frame and detector timing for the debug panel
+  const debugFrameRef = useRef(null);
+  const meterRef = useRef(null);
+  if (!meterRef.current) meterRef.current = createFrameMeter();
+  useVideoStream(videoRef, stream);
 
   // Performance: gate status updates to avoid re-render every frame
   const lastStatus = useRef('');
@@ -16,16 +76,60 @@ export default function PracticeView({ target, onResult, detector, videoRef, can
     }
   };
 
+  const updateHints = (next) => {
+    const key = next.join('\n');
+    const h = hintsRef.current;
+    if (key === h.candidate) h.frames += 1;
+    else {
+      h.candidate = key;
+      h.frames = 1;
+    }
+    if (h.frames >= HINT_STABLE_FRAMES && key !== h.shown) {
+      h.shown = key;
+      setHints(next);
+    }
+  };
+
   // Throttle detection FPS
   const lastTsRef = useRef(0);
   const FPS = 20; // ~20fps saves CPU/GPU
   const FRAME = 1000 / FPS;
 
   useEffect(() => {
-    setAiSupported(!!AI_SUPPORTED[target]);
+    setAiSupported(isRecognizable(target, { body: tracksBody }));
+  }, [target, tracksBody]);
+
+  useEffect(() => {
+    setTemplateCount((loadTemplates()[target] || []).length);
+    setTeaching(false);
+    teachRef.current = null;
+    recorderRef.current = null;
+    setRecording(false);
+    startedAtRef.current = Date.now();
     stableCounter.current = 0;
+    historyRef.current.clear();
+    hintsRef.current = { shown: '', candidate: '', frames: 0 };
+    setHints([]);
+    setTargetHands(targetPose(findSign(target), loadTemplates()));
   }, [target]);
 
+  // A worker detector scores and draws with its own copy of the practice
+  // state and the profile's settings
+  useEffect(() => {
+    if (!detector?.inWorker) return;
+    detector.configure({
+      target,
+      targetHands,
+      mirror,
+      ghost: showGhost,
+      thresholds: getThresholds(),
+      dominantHand: getDominantHand(),
+      templates: loadTemplates(),
+      model: loadModel(),
+      preferModel: getModelPreferred(),
+    });
+  }, [detector, target, targetHands, mirror, showGhost]);
+
   useEffect(() => {
     let running = true;
 
@@ -56,87 +160,138 @@ export default function PracticeView({ target, onResult, detector, videoRef, can
 
       const video = videoRef.current;
       const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
-      if (!ctx) {
+      const inWorker = !!detector?.inWorker;
+      // A worker detector draws on the canvas itself once it's handed over
+      const ctx = inWorker ? null : canvas.getContext('2d');
+      if (inWorker) {
+        detector.attachCanvas(canvas);
+      } else if (!ctx) {
         rafRef.current = requestAnimationFrame(loop);
         return;
+      } else {
+        canvas.width = video.videoWidth || 640;
+        canvas.height = video.videoHeight || 480;
+        drawVideo(ctx, video, mirror);
       }
 
-      canvas.width = video.videoWidth || 640;
-      canvas.height = video.videoHeight || 480;
-
-      ctx.save();
-      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const teach = teachRef.current;
+      const canAI = aiSupported && !!detector && !teach;
+      const flags = { recognize: canAI, teaching: !!teach };
 
       let hands = [];
+      let body = null; // bodyFrame() while the face/body is tracked
+      let frame = null; // analyzeFrame() result
       if (detector) {
+        const startedAt = performance.now();
         try {
-          hands = await detector.estimateHands(video, { flipHorizontal: true });
+          if (inWorker) {
+            frame = await detector.process(video, flags);
+            ({ hands, body } = frame);
+          } else {
+            hands = await detector.estimateHands(video, {
+              flipHorizontal: true,
+            });
+            if (pose) {
+              const poses = await pose.estimatePoses(video, {
+                flipHorizontal: true,
+              });
+              body = bodyFrame(poses[0]);
+            }
+          }
         } catch {
           // ignore
         }
+        const now = performance.now();
+        meterRef.current.tick(now, now - startedAt);
+        historyRef.current.push(hands, ts ?? now, body);
+        recorderRef.current?.push(hands, ts ?? now, body);
+        debugFrameRef.current = {
+          hands,
+          body,
+          frames: historyRef.current.frames(),
+          video: {
+            width: video.videoWidth || 640,
+            height: video.videoHeight || 480,
+          },
+        };
       }
 
-      const canAI = aiSupported && !!detector;
-
-      // Draw landmarks if we have them
-      if (hands && hands.length) {
-        ctx.lineWidth = 2;
-        for (const hand of hands) {
-          const kps = hand.keypoints || [];
-          for (const kp of kps) {
-            if (!kp) continue;
-            ctx.beginPath();
-            ctx.arc(kp.x, kp.y, 3, 0, Math.PI * 2);
-            ctx.fillStyle = '#10b981';
-            ctx.fill();
-          }
-          const chains = [
-            [0, 1, 2, 3, 4],
-            [0, 5, 6, 7, 8],
-            [0, 9, 10, 11, 12],
-            [0, 13, 14, 15, 16],
-            [0, 17, 18, 19, 20],
-          ];
-          ctx.strokeStyle = '#16a34a';
-          for (const chain of chains) {
-            ctx.beginPath();
-            for (let i = 0; i < chain.length; i++) {
-              const p = kps[chain[i]];
-              if (!p) continue;
-              if (i === 0) ctx.moveTo(p.x, p.y);
-              else ctx.lineTo(p.x, p.y);
-            }
-            ctx.stroke();
+      // Target pose as a ghost under the landmarks, and the full breakdown
+      // every frame; a worker detector has done both already
+      if (!inWorker) {
+        frame = analyzeFrame(hands, historyRef.current.frames(), {
+          target,
+          targetHands,
+          explain,
+          body,
+          ...flags,
+        });
+        drawOverlay(ctx, hands, frame.pairs, { mirror, ghost: showGhost });
+      }
+      const { explained = null, fingerHints = [] } = frame || {};
+
+      if (teach) {
+        if (hands.length && ts - teach.lastTs >= TEACH_INTERVAL_MS) {
+          if (addTemplate(target, hands)) {
+            teach.remaining -= 1;
+            teach.lastTs = ts;
           }
         }
+        setStatusIfChanged(
+          `Recording template ${TEACH_SNAPSHOTS - teach.remaining}/${TEACH_SNAPSHOTS}… hold the sign`
+        );
+        if (teach.remaining <= 0) {
+          teachRef.current = null;
+          setTeaching(false);
+          setTemplateCount((loadTemplates()[target] || []).length);
+          setTargetHands(targetPose(findSign(target), loadTemplates()));
+          setAiSupported(true);
+          setStatusIfChanged('Templates saved — try the sign');
+        }
       }
 
-      let recognized = null;
-      if (canAI) {
-        recognized = recognize(target, hands);
+      const recognized = explained?.passed ? explained : null;
+
+      // Acceptance limits come from the profile's calibration
+      const { minConfidence, stableFrames } = getThresholds();
+      const passing =
+        canAI &&
+        recognized &&
+        recognized.label === target &&
+        recognized.confidence > minConfidence;
+      updateHints(
+        passing
+          ? []
+          : liveHints(explained, fingerHints)
+      );
+      if (showDetails && ts - lastBreakdownTs.current >= BREAKDOWN_INTERVAL_MS) {
+        lastBreakdownTs.current = ts;
+        setBreakdown(explained);
       }
 
-      if (canAI && recognized && recognized.label === target && recognized.confidence > 0.8) {
+      if (passing) {
         stableCounter.current += 1;
         setStatusIfChanged(`Detected: ${recognized.label} (${recognized.confidence.toFixed(2)})`);
       } else if (canAI) {
         stableCounter.current = Math.max(0, stableCounter.current - 1);
         setStatusIfChanged('Listening… try the sign');
-      } else {
+      } else if (!teach) {
         // Manual fallback
         setStatusIfChanged('Manual practice: use buttons below.');
       }
 
-      if (canAI && stableCounter.current >= 8) {
+      if (canAI && stableCounter.current >= stableFrames) {
         running = false;
         setStatusIfChanged('Great job! ✔ Recognized');
-        setTimeout(() => onResult(true), 350);
-        ctx.restore();
+        const meta = {
+          source: 'ai',
+          confidence: recognized.confidence,
+          ms: Date.now() - startedAtRef.current,
+        };
+        setTimeout(() => onResult('good', meta), 350);
         return;
       }
 
-      ctx.restore();
       rafRef.current = requestAnimationFrame(loop);
     }
 
@@ -145,9 +300,40 @@ export default function PracticeView({ target, onResult, detector, videoRef, can
       running = false;
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [detector, target, aiSupported, onResult, videoRef, canvasRef, recognize]);
+  }, [detector, pose, target, aiSupported, onResult, videoRef, canvasRef, explain, targetHands, showGhost, showDetails, mirror]);
 
   const canAI = aiSupported && !!detector;
+  // Templates only back signs without a declared recognizer
+  const canTeach = !!detector && !AI_SUPPORTED[target];
+
+  function startTeaching() {
+    teachRef.current = { remaining: TEACH_SNAPSHOTS, lastTs: 0 };
+    stableCounter.current = 0;
+    setTeaching(true);
+  }
+
+  function toggleRecording() {
+    if (recorderRef.current) {
+      const fixture = recorderRef.current.toFixture();
+      recorderRef.current = null;
+      setRecording(false);
+      if (fixture.frames.length) downloadJson(fixtureFilename(fixture), fixture);
+      return;
+    }
+    const video = videoRef.current;
+    recorderRef.current = createSessionRecorder(target, {
+      width: video?.videoWidth,
+      height: video?.videoHeight,
+    });
+    setRecording(true);
+  }
+
+  function handleClearTemplates() {
+    clearTemplates(target);
+    setTemplateCount(0);
+    setTargetHands(targetPose(findSign(target), loadTemplates()));
+    setAiSupported(isRecognizable(target, { body: tracksBody }));
+  }
 
   return (
     <div className="w-full space-y-3">
@@ -156,25 +342,107 @@ export default function PracticeView({ target, onResult, detector, videoRef, can
       </div>
       <div className="relative w-full max-w-2xl aspect-video rounded-2xl overflow-hidden shadow">
         <video ref={videoRef} className="hidden" playsInline muted />
-        <canvas ref={canvasRef} className="w-full h-full bg-black" />
+        {/* A canvas can only be handed to one worker, so each gets its own */}
+        <canvas
+          key={detector?.id ?? 'page'}
+          ref={canvasRef}
+          className="w-full h-full bg-black"
+        />
       </div>
       <div className="text-base font-medium">{status}</div>
-      {!canAI && (
-        <div className="flex gap-2">
+      {hints.length > 0 && (
+        <ul className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl px-4 py-2 list-disc pl-8">
+          {hints.slice(0, 3).map((hint) => (
+            <li key={hint}>{hint}</li>
+          ))}
+        </ul>
+      )}
+      {onMirrorChange && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={mirror}
+            onChange={(e) => onMirrorChange(e.target.checked)}
+          />
+          Mirror preview
+        </label>
+      )}
+      {targetHands && detector && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={showGhost}
+            onChange={(e) => setShowGhost(e.target.checked)}
+          />
+          Show target pose overlay
+        </label>
+      )}
+      {canAI && (
+        <div className="space-y-2">
           <button
-            onClick={() => onResult(true)}
-            className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700"
+            onClick={() => setShowDetails(!showDetails)}
+            className="px-3 py-1 rounded-xl text-sm bg-slate-100 hover:bg-slate-200"
           >
-            Mark Correct
+            {showDetails ? 'Hide recognizer details' : 'Why not recognized?'}
           </button>
+          {showDetails && (
+            <div className="p-3 rounded-xl border bg-white">
+              <RecognizerBreakdown result={breakdown} />
+            </div>
+          )}
+        </div>
+      )}
+      {detector && (
+        <button
+          onClick={toggleRecording}
+          className={`px-3 py-2 rounded-xl text-sm ${
+            recording
+              ? 'bg-rose-100 text-rose-700 hover:bg-rose-200'
+              : 'bg-slate-100 hover:bg-slate-200'
+          }`}
+        >
+          {recording ? '■ Stop & save fixture' : '● Record session'}
+        </button>
+      )}
+      {canTeach && (
+        <div className="flex items-center gap-2 text-sm">
           <button
-            onClick={() => onResult(false)}
-            className="px-4 py-2 rounded-xl bg-rose-600 text-white hover:bg-rose-700"
+            onClick={startTeaching}
+            disabled={teaching}
+            className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-50"
           >
-            Mark Again
+            {teaching ? 'Recording…' : 'Teach this sign'}
           </button>
+          {templateCount > 0 && !teaching && (
+            <button
+              onClick={handleClearTemplates}
+              className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+            >
+              Clear templates
+            </button>
+          )}
+          <span className="text-gray-500">
+            {templateCount} template(s) saved
+          </span>
         </div>
       )}
+      {debug && detector && (
+        <DebugPanel
+          frameRef={debugFrameRef}
+          meter={meterRef.current}
+          target={target}
+        />
+      )}
+      {!canAI && !teaching && (
+        <GradeButtons
+          onGrade={(grade) =>
+            onResult(grade, {
+              source: 'manual',
+              ms: Date.now() - startedAtRef.current,
+            })
+          }
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,63 @@
+import React from 'react';
+import {
+  DEFAULT_PROFILE_ID,
+  switchProfile,
+  createProfile,
+  renameProfile,
+  deleteProfile,
+} from '../utils/profiles.js';
+
+// Header control; `onChange` receives the new profiles state.
+export default function ProfileSwitcher({ profiles, onChange }) {
+  const active = profiles.profiles.find((p) => p.id === profiles.activeId);
+
+  function handleAdd() {
+    const name = window.prompt('Name for the new learner profile');
+    if (name) onChange(createProfile(profiles, name));
+  }
+
+  function handleRename() {
+    const name = window.prompt('Rename profile', active?.name || '');
+    if (name) onChange(renameProfile(profiles, profiles.activeId, name));
+  }
+
+  function handleDelete() {
+    if (
+      window.confirm(
+        `Delete profile “${active?.name}” and all of its progress? This cannot be undone.`
+      )
+    ) {
+      deleteProfile(profiles, profiles.activeId).then(onChange);
+    }
+  }
+
+  const btn = 'px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200';
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        aria-label="Learner profile"
+        className="px-2 py-1 rounded-lg border bg-white"
+        value={profiles.activeId}
+        onChange={(e) => onChange(switchProfile(profiles, e.target.value))}
+      >
+        {profiles.profiles.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name}
+          </option>
+        ))}
+      </select>
+      <button className={btn} title="Add profile" onClick={handleAdd}>
+        +
+      </button>
+      <button className={btn} title="Rename profile" onClick={handleRename}>
+        ✎
+      </button>
+      {profiles.activeId !== DEFAULT_PROFILE_ID && (
+        <button className={btn} title="Delete profile" onClick={handleDelete}>
+          ×
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useRef, useState } from 'react';
+import { SignDemo } from './SignReference.jsx';
+import { quizOptions, quizGrade } from '../utils/quiz.js';
+
+// Receptive quiz over `queue` (sign ids): watch the demonstration, pick the
+// gloss. Each answer goes to onAnswer(id, grade, meta) right away, so leaving
+// early keeps what was answered; onExit() returns home.
+export default function QuizView({ queue, signs, mirrored, onAnswer, onExit }) {
+  const [questions] = useState(() =>
+    queue.map((id) => ({ id, options: quizOptions(id, signs) }))
+  );
+  const [index, setIndex] = useState(0);
+  const [picked, setPicked] = useState(null);
+  const [correctCount, setCorrectCount] = useState(0);
+  const replays = useRef(0);
+  const shownAt = useRef(performance.now());
+
+  const question = questions[index];
+  const sign = signs.find((s) => s.id === question?.id);
+  if (!sign) return null;
+  const labelOf = (id) => {
+    const s = signs.find((x) => x.id === id);
+    return s?.gloss && s.gloss !== id.toUpperCase() ? `${id} (${s.gloss})` : id;
+  };
+
+  function handlePick(id) {
+    if (picked) return;
+    const correct = id === sign.id;
+    setPicked(id);
+    if (correct) setCorrectCount((n) => n + 1);
+    onAnswer(sign.id, quizGrade(correct, { replays: replays.current }), {
+      source: 'manual',
+      ms: Math.round(performance.now() - shownAt.current),
+      track: 'receptive',
+    });
+  }
+
+  function handleNext() {
+    if (index + 1 >= questions.length) {
+      onExit();
+      return;
+    }
+    replays.current = 0;
+    shownAt.current = performance.now();
+    setPicked(null);
+    setIndex(index + 1);
+  }
+
+  const choiceClass = (id) => {
+    if (!picked) return 'bg-white hover:bg-slate-50';
+    if (id === sign.id) return 'bg-emerald-100 border-emerald-400';
+    if (id === picked) return 'bg-rose-100 border-rose-400';
+    return 'bg-white opacity-60';
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-semibold">What is this sign?</h2>
+          <p className="text-sm text-gray-600">
+            Question {index + 1} of {questions.length} · {correctCount} correct
+          </p>
+        </div>
+        <button
+          className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+          onClick={onExit}
+        >
+          Exit quiz
+        </button>
+      </div>
+
+      <div className="p-4 rounded-2xl bg-white border shadow space-y-3">
+        <SignDemo
+          key={sign.id}
+          sign={sign}
+          mirrored={mirrored}
+          onReplay={() => (replays.current += 1)}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {question.options.map((id) => (
+          <button
+            key={id}
+            className={`px-4 py-3 rounded-xl border text-left font-medium ${choiceClass(
+              id
+            )}`}
+            disabled={!!picked}
+            onClick={() => handlePick(id)}
+          >
+            {labelOf(id)}
+          </button>
+        ))}
+      </div>
+
+      {picked && (
+        <div className="flex items-center justify-between gap-3">
+          <div
+            className={`text-sm ${
+              picked === sign.id ? 'text-emerald-700' : 'text-rose-700'
+            }`}
+          >
+            {picked === sign.id
+              ? 'Correct!'
+              : `That was “${labelOf(sign.id)}”.`}
+          </div>
+          <button
+            className="px-4 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700"
+            onClick={handleNext}
+          >
+            {index + 1 >= questions.length ? 'Finish' : 'Next'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+import { describe } from '../recognizers/index.js';
+
+// Per-criterion table for one recognizer result from explain().
+export default function RecognizerBreakdown({ result }) {
+  if (!result) {
+    return <div className="text-sm text-gray-500">No recognizer output.</div>;
+  }
+  return (
+    <div className="text-sm space-y-1">
+      <div className="font-medium">
+        {result.label}: {result.passed ? 'match' : 'no match'} · confidence{' '}
+        {result.confidence.toFixed(2)}
+      </div>
+      <table className="w-full">
+        <tbody>
+          {result.criteria.map((c, i) => (
+            <tr key={i} className="border-t">
+              <td className={`py-0.5 pr-2 ${c.passed ? 'text-emerald-600' : 'text-rose-600'}`}>
+                {c.passed ? '✓' : '✗'}
+              </td>
+              <td className="py-0.5 pr-2">{c.name}</td>
+              <td className="py-0.5 text-gray-600 tabular-nums">{describe(c)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  SESSION_ORDERS,
+  NEW_PLACEMENTS,
+  sessionOptions,
+} from '../utils/session.js';
+
+// Daily limits and ordering for Start Review (settings.session).
+export default function SessionSettings({ session, onChange }) {
+  const current = sessionOptions(session);
+  const set = (patch) => onChange(sessionOptions({ ...current, ...patch }));
+  const select = 'px-2 py-1 rounded-lg border bg-white';
+  const number = 'w-16 px-2 py-1 rounded-lg border bg-white';
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+      <label className="flex items-center gap-2">
+        Reviews / day
+        <input
+          type="number"
+          min="0"
+          className={number}
+          value={current.maxReviews}
+          onChange={(e) => set({ maxReviews: e.target.value })}
+        />
+      </label>
+      <label className="flex items-center gap-2">
+        New signs / day
+        <input
+          type="number"
+          min="0"
+          className={number}
+          value={current.newPerDay}
+          onChange={(e) => set({ newPerDay: e.target.value })}
+        />
+      </label>
+      <label className="flex items-center gap-2">
+        Order
+        <select
+          className={select}
+          value={current.order}
+          onChange={(e) => set({ order: e.target.value })}
+        >
+          {Object.entries(SESSION_ORDERS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        New signs
+        <select
+          className={select}
+          value={current.newPlacement}
+          onChange={(e) => set({ newPlacement: e.target.value })}
+        >
+          {Object.entries(NEW_PLACEMENTS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
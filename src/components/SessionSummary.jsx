@@ -0,0 +1,93 @@
+import React from 'react';
+import { GRADES } from '../utils/srs.js';
+import { summarizeSession } from '../utils/session.js';
+
+const GRADE_CLASS = {
+  again: 'bg-rose-100 text-rose-700',
+  hard: 'bg-amber-100 text-amber-700',
+  good: 'bg-emerald-100 text-emerald-700',
+  easy: 'bg-sky-100 text-sky-700',
+};
+
+// Shown when a review queue finishes: how each sign went and when it comes
+// back. `onContinue` (optional) starts another session labelled
+// `continueLabel`; onDone() returns home.
+export default function SessionSummary({
+  results,
+  srs,
+  onContinue,
+  continueLabel,
+  onDone,
+}) {
+  const summary = summarizeSession(results);
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold">Session complete</h2>
+        <p className="text-sm text-gray-600">
+          {summary.total} sign(s) reviewed · {summary.passed} passed
+          {summary.ai > 0 && ` · ${summary.ai} checked by AI`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-4 gap-3">
+        {GRADES.map((g) => (
+          <div
+            key={g}
+            className={`p-3 rounded-xl text-center ${GRADE_CLASS[g]}`}
+          >
+            <div className="text-2xl font-semibold">{summary.grades[g]}</div>
+            <div className="text-xs capitalize">{g}</div>
+          </div>
+        ))}
+      </div>
+
+      <ul className="p-4 rounded-2xl bg-white border shadow divide-y">
+        {results.map((r, i) => (
+          <li
+            key={`${r.id}-${i}`}
+            className="py-2 flex items-center justify-between gap-3 text-sm"
+          >
+            <span className="font-medium">{r.id}</span>
+            <span className="flex items-center gap-3">
+              <span className="text-gray-500">
+                {srs[r.id]?.due ? `Next: ${srs[r.id].due}` : ''}
+              </span>
+              <span
+                className={`px-2 py-0.5 rounded-full text-xs capitalize ${
+                  GRADE_CLASS[r.grade]
+                }`}
+              >
+                {r.grade}
+              </span>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {summary.missed.length > 0 && (
+        <p className="text-sm text-gray-600">
+          Worth another look: {[...new Set(summary.missed)].join(', ')}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        {onContinue && (
+          <button
+            className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700"
+            onClick={onContinue}
+          >
+            {continueLabel}
+          </button>
+        )}
+        <button
+          className="px-4 py-2 rounded-xl bg-slate-100 hover:bg-slate-200"
+          onClick={onDone}
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
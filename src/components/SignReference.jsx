@@ -0,0 +1,350 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { PLAYBACK_SPEEDS, advancePlayback, frameAt } from '../utils/playback.js';
+import { posesAt, keyframesDuration } from '../utils/poses.js';
+import { drawHands, drawBody, flipHands } from '../utils/draw.js';
+import { parseFixture } from '../utils/recording.js';
+import {
+  loadSignMedia,
+  saveSignMedia,
+  deleteSignMedia,
+  mediaTypeOf,
+} from '../utils/decks.js';
+
+// Calls onTick(positionMs) on animation frames while the clip position moves.
+// Speed and loop can change mid-clip; bumping `restart` starts over.
+function useClipClock(durationMs, { speed, loop, restart }, onTick) {
+  const opts = useRef({ speed, loop, onTick });
+  useEffect(() => {
+    opts.current = { speed, loop, onTick };
+  });
+
+  useEffect(() => {
+    if (!durationMs) return undefined;
+    let raf = null;
+    let last = null;
+    let position = 0;
+    let drawn = null;
+    const step = (now) => {
+      const { speed, loop, onTick } = opts.current;
+      if (last !== null) {
+        position = advancePlayback(position, now - last, durationMs, {
+          speed,
+          loop,
+        });
+      }
+      last = now;
+      if (position !== drawn) {
+        drawn = position;
+        onTick(position);
+      }
+      raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [durationMs, restart]);
+}
+
+function VideoClip({ url, speed, loop, restart }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const video = ref.current;
+    if (!video) return;
+    video.defaultPlaybackRate = speed;
+    video.playbackRate = speed;
+  }, [speed, url]);
+
+  useEffect(() => {
+    const video = ref.current;
+    if (!video || !restart) return;
+    video.currentTime = 0;
+    video.play().catch(() => {});
+  }, [restart]);
+
+  return (
+    <video
+      ref={ref}
+      src={url}
+      className="w-full h-full object-contain"
+      autoPlay
+      muted
+      playsInline
+      loop={loop}
+      controls
+    />
+  );
+}
+
+function ImageSequence({ urls, frameMs = 500, ...playback }) {
+  const [index, setIndex] = useState(0);
+  useClipClock(urls.length * frameMs, playback, (t) =>
+    setIndex(Math.min(urls.length - 1, Math.floor(t / frameMs)))
+  );
+  return (
+    <img src={urls[index]} alt="" className="w-full h-full object-contain" />
+  );
+}
+
+// Synthetic keyframes or a recorded landmark fixture drawn as a hand skeleton.
+// `mirrored` flips the demonstration for left-handed learners.
+function SkeletonClip({ media, mirrored, ...playback }) {
+  const canvasRef = useRef(null);
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!media.url) return undefined;
+    let live = true;
+    setRecording(null);
+    setError('');
+    fetch(media.url)
+      .then((res) => res.text())
+      .then((text) => live && setRecording(parseFixture(text)))
+      .catch((e) => live && setError(e.message));
+    return () => {
+      live = false;
+    };
+  }, [media.url]);
+
+  const frames = recording?.frames || [];
+  const duration = media.keyframes
+    ? keyframesDuration(media.keyframes)
+    : frames.length
+    ? frames[frames.length - 1].t
+    : 0;
+
+  useClipClock(duration, playback, (t) => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (media.body) {
+      ctx.save();
+      if (mirrored) {
+        ctx.translate(canvas.width, 0);
+        ctx.scale(-1, 1);
+      }
+      drawBody(ctx, media.body);
+      ctx.restore();
+    }
+    const hands = media.keyframes
+      ? posesAt(media.keyframes, t)
+      : frameAt(frames, t)?.hands;
+    drawHands(ctx, mirrored ? flipHands(hands, canvas.width) : hands, {
+      point: '#a5b4fc',
+      line: '#818cf8',
+      radius: 4,
+      width: 3,
+    });
+  });
+
+  if (error) {
+    return (
+      <div className="text-sm text-rose-300">
+        Could not load recording: {error}
+      </div>
+    );
+  }
+  return (
+    <canvas
+      ref={canvasRef}
+      width={media.width || recording?.video?.width || 640}
+      height={media.height || recording?.video?.height || 480}
+      className="w-full h-full object-contain"
+    />
+  );
+}
+
+function ClipPlayer({ media, mirrored, ...playback }) {
+  switch (media.type) {
+    case 'video':
+      return <VideoClip url={media.url} {...playback} />;
+    case 'images':
+      return (
+        <ImageSequence urls={media.urls} frameMs={media.frameMs} {...playback} />
+      );
+    case 'skeleton':
+      return <SkeletonClip media={media} mirrored={mirrored} {...playback} />;
+    default:
+      return (
+        <img src={media.url} alt="" className="w-full h-full object-contain" />
+      );
+  }
+}
+
+// A clip the learner attached (stored in IndexedDB) wins over built-in media.
+function useSignMedia(sign) {
+  const [own, setOwn] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let live = true;
+    let url = null;
+    setOwn(null);
+    loadSignMedia(sign.id).then((blob) => {
+      if (!live || !(blob instanceof Blob)) return;
+      url = URL.createObjectURL(blob);
+      const type = sign.media?.stored
+        ? sign.media.type
+        : mediaTypeOf(blob.type || blob.name || '');
+      setOwn({ type, url });
+    });
+    return () => {
+      live = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [sign.id, sign.media, version]);
+
+  const builtIn = sign.media && !sign.media.stored ? sign.media : null;
+  return {
+    media: own || builtIn,
+    hasOwn: !!own,
+    async attach(file) {
+      await saveSignMedia(sign.id, file);
+      setVersion((v) => v + 1);
+    },
+    async remove() {
+      await deleteSignMedia(sign.id);
+      setVersion((v) => v + 1);
+    },
+  };
+}
+
+// Clip with speed, loop and replay controls. `onReplay` runs when the learner
+// restarts it (the quiz grades replays as Hard).
+function DemoPlayer({ media, mirrored, defaultLoop = true, onReplay }) {
+  const [speed, setSpeed] = useState(1);
+  const [loop, setLoop] = useState(defaultLoop);
+  const [restart, setRestart] = useState(0);
+
+  return (
+    <>
+      <div className="rounded-xl overflow-hidden bg-slate-900 aspect-video flex items-center justify-center">
+        <ClipPlayer
+          media={media}
+          mirrored={mirrored}
+          speed={speed}
+          loop={loop}
+          restart={restart}
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {PLAYBACK_SPEEDS.map((s) => (
+          <button
+            key={s}
+            className={`px-2 py-1 rounded-lg border ${
+              s === speed ? 'bg-slate-800 text-white' : 'bg-white'
+            }`}
+            onClick={() => setSpeed(s)}
+          >
+            {s}×
+          </button>
+        ))}
+        <label className="flex items-center gap-1 text-gray-600">
+          <input
+            type="checkbox"
+            checked={loop}
+            onChange={(e) => setLoop(e.target.checked)}
+          />
+          Loop
+        </label>
+        <button
+          className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200"
+          onClick={() => {
+            setRestart((r) => r + 1);
+            onReplay?.();
+          }}
+        >
+          ↺ Replay
+        </button>
+      </div>
+    </>
+  );
+}
+
+const HOW_TO_FIELDS = [
+  ['handshape', 'Handshape'],
+  ['location', 'Location'],
+  ['movement', 'Movement'],
+];
+
+function HowTo({ howTo }) {
+  return (
+    <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-sm">
+      {HOW_TO_FIELDS.map(([key, label]) => (
+        <React.Fragment key={key}>
+          <dt className="text-gray-500">{label}</dt>
+          <dd className="text-gray-800">{howTo[key]}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+}
+
+// The sign's demonstration without naming it, for the receptive quiz: the
+// clip (played once unless looped) or else the written description.
+export function SignDemo({ sign, mirrored = false, onReplay }) {
+  const { media } = useSignMedia(sign);
+  if (media) {
+    return (
+      <DemoPlayer
+        key={sign.id}
+        media={media}
+        mirrored={mirrored}
+        defaultLoop={false}
+        onReplay={onReplay}
+      />
+    );
+  }
+  if (sign.howTo) return <HowTo howTo={sign.howTo} />;
+  return <div className="text-sm text-gray-500">No demonstration yet.</div>;
+}
+
+// Demonstration clip and written description shown beside the webcam.
+// `mirrored` flips skeleton demonstrations (left-dominant learners).
+export default function SignReference({ sign, mirrored = false }) {
+  const { media, hasOwn, attach, remove } = useSignMedia(sign);
+
+  return (
+    <div className="p-4 rounded-2xl bg-white border shadow space-y-3">
+      <h3 className="font-semibold">How to sign “{sign.id}”</h3>
+
+      {media ? (
+        <DemoPlayer media={media} mirrored={mirrored} />
+      ) : (
+        <div className="text-sm text-gray-500">No demonstration yet.</div>
+      )}
+
+      {sign.howTo && <HowTo howTo={sign.howTo} />}
+      {sign.notes && <p className="text-sm text-gray-700">{sign.notes}</p>}
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        <label className="flex items-center gap-2">
+          {hasOwn ? 'Replace your clip' : 'Attach your own clip'}
+          <input
+            type="file"
+            accept="image/*,video/*,.json"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) attach(file);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        {hasOwn && (
+          <button
+            className="px-2 py-1 rounded-lg text-rose-700 hover:bg-rose-50"
+            onClick={remove}
+          >
+            Remove your clip
+          </button>
+        )}
+      </div>
+
+      <ul className="list-disc pl-4 text-sm text-gray-700 space-y-1">
+        <li>Keep your hands in the frame and well lit.</li>
+        <li>Hold the final position for a moment so the app can confirm.</li>
+      </ul>
+    </div>
+  );
+}
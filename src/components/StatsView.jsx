@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import { overallStats, signStats, trackHistory } from '../utils/history.js';
+
+const pct = (v) => (v === null ? '—' : `${Math.round(v * 100)}%`);
+
+function BarChart({ title, data, color }) {
+  const max = Math.max(1, ...data.map((d) => d.count));
+  return (
+    <div className="p-4 rounded-2xl bg-white border shadow">
+      <h3 className="font-semibold mb-3">{title}</h3>
+      <div className="flex items-end gap-1 h-32">
+        {data.map(({ date, count }) => (
+          <div
+            key={date}
+            className="flex-1 flex flex-col items-center justify-end h-full"
+            title={`${date}: ${count}`}
+          >
+            <div className="text-[10px] text-gray-500">{count || ''}</div>
+            <div
+              className={`w-full rounded-t ${color}`}
+              style={{ height: `${(count / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+        <span>{data[0]?.date}</span>
+        <span>{data[data.length - 1]?.date}</span>
+      </div>
+    </div>
+  );
+}
+
+function RecentDots({ recent }) {
+  return (
+    <div className="flex gap-0.5">
+      {recent.map((passed, i) => (
+        <span
+          key={i}
+          className={`w-2 h-2 rounded-full ${
+            passed ? 'bg-emerald-500' : 'bg-rose-500'
+          }`}
+        />
+      ))}
+    </div>
+  );
+}
+
+const TRACKS = [
+  ['production', 'Signing'],
+  ['receptive', 'Recognizing (quiz)'],
+];
+
+// `srs` and `receptiveSrs` are the two SRS tracks; the toggle switches both
+// the schedule and the review log shown.
+export default function StatsView({ history, srs, receptiveSrs = {}, signs }) {
+  const [selected, setSelected] = useState(null);
+  const [track, setTrack] = useState('production');
+  const receptive = track === 'receptive';
+  const items = receptive ? receptiveSrs : srs;
+  const log = useMemo(() => trackHistory(history, track), [history, track]);
+  const overall = useMemo(() => overallStats(log, items), [log, items]);
+  const perSign = useMemo(
+    () => signs.map((s) => signStats(log, s.id)),
+    [log, signs]
+  );
+  const detail = selected ? perSign.find((s) => s.id === selected) : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex gap-2 text-sm">
+        {TRACKS.map(([key, label]) => (
+          <button
+            key={key}
+            className={`px-3 py-1 rounded-xl ${
+              key === track
+                ? 'bg-slate-800 text-white'
+                : 'bg-slate-100 hover:bg-slate-200'
+            }`}
+            onClick={() => setTrack(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <section className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {[
+          ['Reviews', overall.reviews],
+          ['Retention', pct(overall.retention)],
+          receptive
+            ? ['Due today', overall.forecast[0].count]
+            : ['AI-checked', pct(overall.aiShare)],
+          ['Study days', overall.studyDays],
+        ].map(([label, value]) => (
+          <div key={label} className="p-4 rounded-2xl bg-white border shadow">
+            <div className="text-xs text-gray-500">{label}</div>
+            <div className="text-2xl font-semibold">{value}</div>
+          </div>
+        ))}
+      </section>
+
+      <section className="grid md:grid-cols-2 gap-4">
+        <BarChart
+          title="Reviews per day (last 14 days)"
+          data={overall.perDay}
+          color="bg-indigo-500"
+        />
+        <BarChart
+          title="Due forecast (next 14 days)"
+          data={overall.forecast}
+          color="bg-emerald-500"
+        />
+      </section>
+
+      <section className="p-4 rounded-2xl bg-white border shadow overflow-x-auto">
+        <h3 className="font-semibold mb-3">Per sign</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-3">Sign</th>
+              <th className="py-1 pr-3">Reviews</th>
+              <th className="py-1 pr-3">Retention</th>
+              <th className="py-1 pr-3">Streak</th>
+              <th className="py-1 pr-3">Best</th>
+              <th className="py-1 pr-3">Last</th>
+              <th className="py-1">Recent</th>
+            </tr>
+          </thead>
+          <tbody>
+            {perSign.map((s) => (
+              <tr
+                key={s.id}
+                className={`border-t cursor-pointer hover:bg-slate-50 ${
+                  selected === s.id ? 'bg-slate-100' : ''
+                }`}
+                onClick={() => setSelected(selected === s.id ? null : s.id)}
+              >
+                <td className="py-1 pr-3 font-medium">{s.id}</td>
+                <td className="py-1 pr-3">{s.reviews}</td>
+                <td className="py-1 pr-3">{pct(s.retention)}</td>
+                <td className="py-1 pr-3">{s.currentStreak}</td>
+                <td className="py-1 pr-3">{s.bestStreak}</td>
+                <td className="py-1 pr-3">{s.lastReviewed || '—'}</td>
+                <td className="py-1">
+                  <RecentDots recent={s.recent} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      {detail && (
+        <section className="p-4 rounded-2xl bg-white border shadow text-sm space-y-1">
+          <h3 className="font-semibold mb-2">{detail.id}</h3>
+          <div>
+            Streak history:{' '}
+            {detail.streaks.length ? detail.streaks.join(' → ') : '—'}
+          </div>
+          {!receptive && (
+            <div>
+              AI-checked reviews: {detail.aiReviews}
+              {detail.avgConfidence !== null &&
+                ` · avg confidence ${detail.avgConfidence.toFixed(2)}`}
+              {detail.avgMsToRecognize !== null &&
+                ` · avg time to recognition ${(detail.avgMsToRecognize / 1000).toFixed(1)}s`}
+            </div>
+          )}
+          <div>Next due: {items[detail.id]?.due || '—'}</div>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,383 @@
+import { HANDSHAPES } from '../utils/poses.js';
+import { bodyFrame } from '../utils/body.js';
+
+// Landmark-skeleton demonstrations, drawn from synthetic hand poses
+// (src/utils/poses.js) on a 640×480 canvas. Each keyframe lists one pose per
+// hand; the player interpolates between keyframes. Signs made on the face or
+// chest carry a fixed `body` frame (body.js) that is drawn as an outline and
+// lets location recognizers check the demonstration.
+const skeleton = (keyframes, { body } = {}) => ({
+  type: 'skeleton',
+  width: 640,
+  height: 480,
+  keyframes,
+  ...(body ? { body } : {}),
+});
+
+// Face centred at the top of the canvas, eyes at y 150 (face unit 45 px),
+// shoulders at y 300.
+const kp = (name, x, y) => ({ name, x, y });
+const FACE = bodyFrame({
+  keypoints: [
+    kp('left_eye', 300, 150),
+    kp('right_eye', 340, 150),
+    kp('mouth_left', 305, 195),
+    kp('mouth_right', 335, 195),
+    kp('left_shoulder', 200, 300),
+    kp('right_shoulder', 440, 300),
+  ],
+});
+const onFace = { body: FACE };
+
+// Pose that puts keypoint `tip` (4 thumb, 8 index, 12 middle …) at (x, y).
+function touching(shape, tip, x, y, { size = 45, mirror = 1, ...extra } = {}) {
+  const p = HANDSHAPES[shape][tip];
+  return {
+    shape,
+    x: x - p.x * mirror * size,
+    y: y - p.y * size,
+    size,
+    mirror,
+    ...extra,
+  };
+}
+
+const pair = (shape, leftX, rightX, y = 300, extra = {}) => [
+  { shape, x: leftX, y, mirror: -1, ...extra },
+  { shape, x: rightX, y, mirror: 1, ...extra },
+];
+
+// Hands tipped toward each other by `deg`, fingertips meeting like a roof.
+const roof = (deg) => (hand) => ({ ...hand, rotate: -hand.mirror * deg });
+
+// Same hands with the palms turned over.
+const turned = (...args) =>
+  pair(...args).map((hand) => ({ ...hand, mirror: -hand.mirror }));
+
+// Hands held at `a`, moving to `b`, then held again.
+const move = (a, b, { hold = 300, ms = 800, end = 600 } = {}) => [
+  { t: 0, hands: a },
+  { t: hold, hands: a },
+  { t: hold + ms, hands: b },
+  { t: hold + ms + end, hands: b },
+];
+
+// Alternates between `a` and `b` every `ms`, `times` times, ending on `a`.
+function repeat(a, b, times, ms = 300) {
+  const keyframes = [{ t: 0, hands: a }];
+  for (let i = 1; i <= times * 2; i++) {
+    keyframes.push({ t: i * ms, hands: i % 2 ? b : a });
+  }
+  const last = keyframes[keyframes.length - 1].t;
+  keyframes.push({ t: last + 600, hands: a });
+  return keyframes;
+}
+
+export const DEMOS = {
+  Help: skeleton(
+    move(
+      [
+        { shape: 'fist', x: 320, y: 260 },
+        { shape: 'flat', x: 320, y: 310 },
+      ],
+      [
+        { shape: 'fist', x: 320, y: 200 },
+        { shape: 'flat', x: 320, y: 250 },
+      ]
+    )
+  ),
+  'All Done': skeleton(
+    repeat(pair('open', 240, 400), turned('open', 240, 400), 1, 600)
+  ),
+  More: skeleton(repeat(pair('flatO', 295, 345), pair('flatO', 265, 375), 3)),
+  Sleep: skeleton(
+    move(
+      [{ shape: 'open', x: 320, y: 190 }],
+      [{ shape: 'flatO', x: 320, y: 290 }],
+      { end: 400 }
+    )
+  ),
+  Eat: skeleton(
+    repeat(
+      [{ shape: 'flatO', x: 330, y: 300 }],
+      [{ shape: 'flatO', x: 330, y: 260 }],
+      3
+    )
+  ),
+  'I Love You': skeleton([
+    { t: 0, hands: [{ shape: 'ily', x: 340, y: 330 }] },
+    { t: 800, hands: [{ shape: 'ily', x: 340, y: 330, rotate: -8 }] },
+    { t: 1600, hands: [{ shape: 'ily', x: 340, y: 330 }] },
+  ]),
+  Open: skeleton(move(pair('flat', 290, 350), pair('flat', 200, 440))),
+  Close: skeleton(move(pair('flat', 200, 440), pair('flat', 290, 350))),
+  Stop: skeleton(
+    move(
+      [{ shape: 'flat', x: 320, y: 330 }],
+      [{ shape: 'flat', x: 320, y: 320, size: 64 }],
+      { ms: 300, end: 900 }
+    )
+  ),
+
+  // --- Face and chest ---
+  Please: skeleton(
+    repeat(
+      [{ shape: 'flat', x: 320, y: 470, size: 50 }],
+      [{ shape: 'flat', x: 345, y: 450, size: 50 }],
+      3,
+      350
+    ),
+    onFace
+  ),
+  Happy: skeleton(
+    repeat(
+      [{ shape: 'open', x: 320, y: 470, size: 50 }],
+      [{ shape: 'open', x: 320, y: 430, size: 50 }],
+      3
+    ),
+    onFace
+  ),
+  Good: skeleton(
+    move(
+      [
+        { shape: 'flat', x: 270, y: 400, rotate: 80, mirror: -1 },
+        touching('flat', 12, 320, 195),
+      ],
+      [
+        { shape: 'flat', x: 270, y: 400, rotate: 80, mirror: -1 },
+        { shape: 'flat', x: 290, y: 385, rotate: 75, size: 45 },
+      ]
+    ),
+    onFace
+  ),
+  Sad: skeleton(
+    move(
+      pair('open', 280, 360, 210, { size: 45 }),
+      pair('open', 280, 360, 300, { size: 45 }),
+      {
+        ms: 1200,
+      }
+    ),
+    onFace
+  ),
+  Drink: skeleton(
+    move([touching('c', 4, 330, 260)], [touching('c', 4, 320, 200)]),
+    onFace
+  ),
+  Spoon: skeleton(
+    repeat(
+      [
+        { shape: 'flat', x: 250, y: 400, rotate: 80, mirror: -1 },
+        { shape: 'h', x: 340, y: 400, rotate: -60, size: 45 },
+      ],
+      [
+        { shape: 'flat', x: 250, y: 400, rotate: 80, mirror: -1 },
+        { shape: 'h', x: 340, y: 300, rotate: -20, size: 45 },
+      ],
+      2,
+      500
+    ),
+    onFace
+  ),
+  Bed: skeleton(
+    move(
+      [{ shape: 'flat', x: 390, y: 280, rotate: -10, size: 50 }],
+      [{ shape: 'flat', x: 380, y: 285, rotate: -30, size: 50 }]
+    ),
+    onFace
+  ),
+  Mommy: skeleton(
+    repeat([touching('open', 4, 320, 229)], [touching('open', 4, 336, 238)], 2),
+    onFace
+  ),
+  Daddy: skeleton(
+    repeat([touching('open', 4, 320, 105)], [touching('open', 4, 336, 114)], 2),
+    onFace
+  ),
+  // Forward is drawn as the hand growing toward the camera
+  Grandma: skeleton(
+    [
+      { t: 0, hands: [touching('open', 4, 320, 229)] },
+      { t: 300, hands: [touching('open', 4, 320, 229)] },
+      { t: 550, hands: [touching('open', 4, 332, 250, { size: 50 })] },
+      { t: 650, hands: [touching('open', 4, 334, 246, { size: 51 })] },
+      { t: 900, hands: [touching('open', 4, 344, 262, { size: 57 })] },
+      { t: 1500, hands: [touching('open', 4, 344, 262, { size: 57 })] },
+    ],
+    onFace
+  ),
+  Grandpa: skeleton(
+    [
+      { t: 0, hands: [touching('open', 4, 320, 105)] },
+      { t: 300, hands: [touching('open', 4, 320, 105)] },
+      { t: 550, hands: [touching('open', 4, 332, 126, { size: 50 })] },
+      { t: 650, hands: [touching('open', 4, 334, 122, { size: 51 })] },
+      { t: 900, hands: [touching('open', 4, 344, 138, { size: 57 })] },
+      { t: 1500, hands: [touching('open', 4, 344, 138, { size: 57 })] },
+    ],
+    onFace
+  ),
+  Cry: skeleton(
+    move(
+      [
+        touching('point', 8, 275, 172, { size: 40, mirror: -1 }),
+        touching('point', 8, 365, 172, { size: 40 }),
+      ],
+      [
+        touching('point', 8, 275, 235, { size: 40, mirror: -1 }),
+        touching('point', 8, 365, 235, { size: 40 }),
+      ],
+      { ms: 700 }
+    ),
+    onFace
+  ),
+  Laugh: skeleton(
+    repeat(
+      [
+        touching('l', 8, 302, 195, { size: 40, mirror: -1 }),
+        touching('l', 8, 338, 195, { size: 40 }),
+      ],
+      [
+        touching('l', 8, 290, 170, { size: 40, mirror: -1 }),
+        touching('l', 8, 350, 170, { size: 40 }),
+      ],
+      3
+    ),
+    onFace
+  ),
+  Tired: skeleton(
+    move(
+      [
+        touching('bent', 12, 280, 390, { size: 50, mirror: -1 }),
+        touching('bent', 12, 360, 390, { size: 50 }),
+      ],
+      [
+        touching('bent', 12, 280, 400, { size: 50, mirror: -1, rotate: 20 }),
+        touching('bent', 12, 360, 400, { size: 50, rotate: -20 }),
+      ]
+    ),
+    onFace
+  ),
+  Hug: skeleton(
+    move(pair('fist', 240, 400, 420), [
+      { shape: 'fist', x: 370, y: 400, mirror: -1 },
+      { shape: 'fist', x: 270, y: 410 },
+    ]),
+    onFace
+  ),
+  'Hold Me': skeleton(
+    move(pair('open', 220, 420, 380, { size: 70 }), [
+      { shape: 'open', x: 370, y: 410, mirror: -1, size: 55 },
+      { shape: 'open', x: 270, y: 420, size: 55 },
+    ]),
+    onFace
+  ),
+
+  // --- In front of the body ---
+  Diaper: skeleton(
+    repeat(pair('h', 200, 440, 460), pair('fist', 200, 440, 460), 2)
+  ),
+  Book: skeleton(
+    move(pair('flat', 310, 330, 380), [
+      { shape: 'flat', x: 305, y: 380, mirror: -1, rotate: -40 },
+      { shape: 'flat', x: 335, y: 380, rotate: 40 },
+    ])
+  ),
+  Baby: skeleton(
+    repeat(
+      [
+        { shape: 'flat', x: 230, y: 400, mirror: -1, rotate: 70 },
+        { shape: 'flat', x: 410, y: 420, rotate: -70 },
+      ],
+      [
+        { shape: 'flat', x: 230, y: 420, mirror: -1, rotate: 80 },
+        { shape: 'flat', x: 410, y: 400, rotate: -80 },
+      ],
+      2,
+      500
+    )
+  ),
+  Rain: skeleton(
+    repeat(pair('bent', 240, 400, 200), pair('bent', 240, 400, 260), 3)
+  ),
+  House: skeleton([
+    { t: 0, hands: pair('flat', 295, 345, 260).map(roof(40)) },
+    { t: 300, hands: pair('flat', 295, 345, 260).map(roof(40)) },
+    { t: 900, hands: pair('flat', 230, 410, 320).map(roof(40)) },
+    { t: 1400, hands: pair('flat', 230, 410, 420) },
+    { t: 2000, hands: pair('flat', 230, 410, 420) },
+  ]),
+  Car: skeleton(
+    repeat(
+      [
+        { shape: 'fist', x: 250, y: 330, mirror: -1 },
+        { shape: 'fist', x: 390, y: 370 },
+      ],
+      [
+        { shape: 'fist', x: 250, y: 370, mirror: -1 },
+        { shape: 'fist', x: 390, y: 330 },
+      ],
+      3,
+      400
+    )
+  ),
+  Stroller: skeleton(
+    repeat(
+      pair('fist', 270, 370, 420),
+      pair('fist', 270, 370, 400, { size: 70 }),
+      2,
+      400
+    )
+  ),
+  Cold: skeleton(
+    repeat(pair('fist', 250, 390, 340), pair('fist', 262, 378, 340), 4, 120)
+  ),
+  Pain: skeleton(
+    repeat(
+      [
+        { shape: 'point', x: 230, y: 380, mirror: -1, rotate: 90 },
+        { shape: 'point', x: 410, y: 380, rotate: -90 },
+      ],
+      [
+        { shape: 'point', x: 255, y: 380, mirror: -1, rotate: 90 },
+        { shape: 'point', x: 385, y: 380, rotate: -90 },
+      ],
+      3
+    )
+  ),
+  Play: skeleton(
+    repeat(
+      pair('y', 250, 390, 380),
+      [
+        { shape: 'y', x: 250, y: 380, mirror: -1, rotate: -25 },
+        { shape: 'y', x: 390, y: 380, rotate: 25 },
+      ],
+      3
+    )
+  ),
+  // Pointing away is drawn as the hands growing and tipping outward
+  Go: skeleton(
+    move(pair('point', 280, 360, 400), [
+      { shape: 'point', x: 250, y: 380, mirror: -1, rotate: -35, size: 72 },
+      { shape: 'point', x: 390, y: 380, rotate: 35, size: 72 },
+    ])
+  ),
+  Up: skeleton(
+    move(
+      [{ shape: 'point', x: 360, y: 400 }],
+      [{ shape: 'point', x: 360, y: 300 }]
+    )
+  ),
+  Out: skeleton(
+    move(
+      [
+        { shape: 'c', x: 280, y: 420, mirror: -1, rotate: 90 },
+        { shape: 'open', x: 330, y: 440 },
+      ],
+      [
+        { shape: 'c', x: 280, y: 420, mirror: -1, rotate: 90 },
+        { shape: 'flatO', x: 330, y: 300 },
+      ]
+    )
+  ),
+};
@@ -1,48 +1,429 @@
+import { DEMOS } from './demos.js';
+
+// `recognizer: { type, name }` picks an implementation registered in
+// src/recognizers (type is 'heuristic', 'template' or 'model').
+const heuristic = (name) => ({ type: 'heuristic', name });
+// Heuristics that test where the hand is on the face or chest; these need
+// face/body tracking (settings.detector.body).
+const located = (name) => ({ ...heuristic(name), body: true });
+
+// `howTo` describes the sign for the reference panel; `media` is an optional
+// demonstration: { type: 'video' | 'image', url }, { type: 'images', urls,
+// frameMs }, or { type: 'skeleton', keyframes | url } (see src/data/demos.js).
+const how = (handshape, location, movement) => ({
+  handshape,
+  location,
+  movement,
+});
+
 export const ALL_SIGNS = [
-  { id: 'Help', category: 'Actions' },
-  { id: 'All Done', gloss: 'FINISH', category: 'Actions' },
-  { id: 'Please', category: 'Politeness' },
-  { id: 'More', category: 'Mealtime' },
-  { id: 'Good', category: 'Politeness' },
-  { id: 'Happy', category: 'Feelings' },
-  { id: 'Sad', category: 'Feelings' },
-  { id: 'Sleep', category: 'Routines' },
-  { id: 'Drink', category: 'Mealtime' },
-  { id: 'Eat', gloss: 'EAT/FOOD', category: 'Mealtime' },
-  { id: 'Spoon', category: 'Objects' },
-  { id: 'Bed', category: 'Objects' },
-  { id: 'Diaper', category: 'Routines' },
-  { id: 'Book', category: 'Objects' },
-  { id: 'Mommy', gloss: 'MOTHER', category: 'People' },
-  { id: 'Daddy', gloss: 'FATHER', category: 'People' },
-  { id: 'Grandma', gloss: 'GRANDMOTHER', category: 'People' },
-  { id: 'Grandpa', gloss: 'GRANDFATHER', category: 'People' },
-  { id: 'Baby', category: 'People' },
-  { id: 'Rain', category: 'Weather' },
-  { id: 'House', category: 'Places' },
-  { id: 'Car', category: 'Objects' },
-  { id: 'Stroller', category: 'Objects' },
-  { id: 'I Love You', gloss: 'ILY', category: 'Politeness' },
-  { id: 'Hug', category: 'Feelings' },
-  { id: 'Cold', category: 'Feelings' },
-  { id: 'Pain', gloss: 'HURT', category: 'Feelings' },
-  { id: 'Open', category: 'Actions' },
-  { id: 'Close', category: 'Actions' },
-  { id: 'Cry', category: 'Feelings' },
-  { id: 'Play', category: 'Actions' },
-  { id: 'Stop', category: 'Actions' },
-  { id: 'Go', category: 'Actions' },
-  { id: 'Laugh', category: 'Feelings' },
-  { id: 'Tired', category: 'Feelings' },
-  { id: 'Up', category: 'Directions' },
-  { id: 'Out', category: 'Directions' },
-  { id: 'Hold Me', category: 'Actions' },
+  {
+    id: 'Help',
+    category: 'Actions',
+    recognizer: heuristic('help'),
+    howTo: how(
+      'Fist (A) with thumb up, resting on a flat open palm',
+      'In front of the chest',
+      'Lift both hands up together'
+    ),
+    media: DEMOS.Help,
+  },
+  {
+    id: 'All Done',
+    gloss: 'FINISH',
+    category: 'Actions',
+    recognizer: heuristic('all-done'),
+    howTo: how(
+      'Both hands open (5), fingers spread',
+      'In front of the chest, palms facing you',
+      'Twist both wrists so the palms turn to face out'
+    ),
+    media: DEMOS['All Done'],
+  },
+  {
+    id: 'Please',
+    category: 'Politeness',
+    howTo: how(
+      'Flat hand (B), fingers together',
+      'Palm on the center of the chest',
+      'Rub in a small circle'
+    ),
+    media: DEMOS.Please,
+  },
+  {
+    id: 'More',
+    category: 'Mealtime',
+    recognizer: heuristic('more'),
+    howTo: how(
+      'Both hands in a flat O, fingertips touching the thumb',
+      'In front of the body',
+      'Tap the fingertips of both hands together a few times'
+    ),
+    media: DEMOS.More,
+  },
+  {
+    id: 'Good',
+    category: 'Politeness',
+    howTo: how(
+      'Flat hand (B)',
+      'Fingertips start at the lips',
+      'Move forward and down to land palm-up on the other palm'
+    ),
+    media: DEMOS.Good,
+  },
+  {
+    id: 'Happy',
+    category: 'Feelings',
+    howTo: how(
+      'Flat open hand',
+      'Palm on the chest',
+      'Brush upward in small circles, repeated'
+    ),
+    media: DEMOS.Happy,
+  },
+  {
+    id: 'Sad',
+    category: 'Feelings',
+    howTo: how(
+      'Both hands open (5), palms toward the face',
+      'In front of the face',
+      'Draw both hands slowly down with a sad expression'
+    ),
+    media: DEMOS.Sad,
+  },
+  {
+    id: 'Sleep',
+    category: 'Routines',
+    recognizer: heuristic('sleep'),
+    howTo: how(
+      'Open hand (5) that closes into a flat O',
+      'In front of the face',
+      'Draw the hand down over the face, closing it at the chin'
+    ),
+    media: DEMOS.Sleep,
+  },
+  {
+    id: 'Drink',
+    category: 'Mealtime',
+    recognizer: located('drink'),
+    howTo: how(
+      'C hand, as if holding a cup',
+      'At the mouth',
+      'Tip the hand toward the mouth'
+    ),
+    media: DEMOS.Drink,
+  },
+  {
+    id: 'Eat',
+    gloss: 'EAT/FOOD',
+    category: 'Mealtime',
+    recognizer: heuristic('eat'),
+    howTo: how(
+      'Flat O, fingertips touching the thumb',
+      'At the lips',
+      'Tap the fingertips to the mouth a few times'
+    ),
+    media: DEMOS.Eat,
+  },
+  {
+    id: 'Spoon',
+    category: 'Objects',
+    howTo: how(
+      'H hand (index and middle together); other hand flat, palm up',
+      'In front of the body',
+      'Scoop the two fingers across the flat palm toward the mouth, twice'
+    ),
+    media: DEMOS.Spoon,
+  },
+  {
+    id: 'Bed',
+    category: 'Objects',
+    howTo: how(
+      'Flat hand (B)',
+      'Palm against the cheek',
+      'Tilt the head onto the hand, like a pillow'
+    ),
+    media: DEMOS.Bed,
+  },
+  {
+    id: 'Diaper',
+    category: 'Routines',
+    howTo: how(
+      'Index and middle fingers tapping the thumb, both hands',
+      'At the hips',
+      'Open and close the fingers on the thumbs twice'
+    ),
+    media: DEMOS.Diaper,
+  },
+  {
+    id: 'Book',
+    category: 'Objects',
+    howTo: how(
+      'Both hands flat, palms pressed together',
+      'In front of the chest',
+      'Open the hands like a book, keeping the pinky edges together'
+    ),
+    media: DEMOS.Book,
+  },
+  {
+    id: 'Mommy',
+    gloss: 'MOTHER',
+    category: 'People',
+    recognizer: located('mommy'),
+    howTo: how(
+      'Open hand (5)',
+      'Thumb on the chin',
+      'Tap the thumb on the chin twice'
+    ),
+    media: DEMOS.Mommy,
+  },
+  {
+    id: 'Daddy',
+    gloss: 'FATHER',
+    category: 'People',
+    recognizer: located('daddy'),
+    howTo: how(
+      'Open hand (5)',
+      'Thumb on the forehead',
+      'Tap the thumb on the forehead twice'
+    ),
+    media: DEMOS.Daddy,
+  },
+  {
+    id: 'Grandma',
+    gloss: 'GRANDMOTHER',
+    category: 'People',
+    recognizer: located('grandma'),
+    howTo: how(
+      'Open hand (5)',
+      'Thumb starts on the chin',
+      'Bounce the hand forward in two small arcs'
+    ),
+    media: DEMOS.Grandma,
+  },
+  {
+    id: 'Grandpa',
+    gloss: 'GRANDFATHER',
+    category: 'People',
+    recognizer: located('grandpa'),
+    howTo: how(
+      'Open hand (5)',
+      'Thumb starts on the forehead',
+      'Bounce the hand forward in two small arcs'
+    ),
+    media: DEMOS.Grandpa,
+  },
+  {
+    id: 'Baby',
+    category: 'People',
+    howTo: how(
+      'Both arms bent, one forearm resting on the other',
+      'In front of the waist',
+      'Rock the arms side to side, as if cradling a baby'
+    ),
+    media: DEMOS.Baby,
+  },
+  {
+    id: 'Rain',
+    category: 'Weather',
+    howTo: how(
+      'Both hands open and slightly bent, palms down',
+      'Above shoulder height',
+      'Move both hands down in short, repeated strokes'
+    ),
+    media: DEMOS.Rain,
+  },
+  {
+    id: 'House',
+    category: 'Places',
+    howTo: how(
+      'Both hands flat, fingertips touching like a roof',
+      'In front of the head',
+      'Slide apart and down, then straight down for the walls'
+    ),
+    media: DEMOS.House,
+  },
+  {
+    id: 'Car',
+    category: 'Objects',
+    howTo: how(
+      'Both hands in fists (S), as if holding a steering wheel',
+      'In front of the chest',
+      'Move the hands up and down alternately, steering'
+    ),
+    media: DEMOS.Car,
+  },
+  {
+    id: 'Stroller',
+    category: 'Objects',
+    howTo: how(
+      'Both hands in fists, palms down, as if holding a handle',
+      'In front of the waist',
+      'Push forward twice'
+    ),
+    media: DEMOS.Stroller,
+  },
+  {
+    id: 'I Love You',
+    gloss: 'ILY',
+    category: 'Politeness',
+    recognizer: heuristic('ily'),
+    howTo: how(
+      'Thumb, index and pinky extended; middle and ring fingers curled',
+      'In front of the shoulder, palm facing out',
+      'Hold still'
+    ),
+    media: DEMOS['I Love You'],
+  },
+  {
+    id: 'Hug',
+    category: 'Feelings',
+    howTo: how(
+      'Both hands in fists (S)',
+      'Arms crossed over the chest',
+      'Squeeze the arms in, like hugging yourself'
+    ),
+    media: DEMOS.Hug,
+  },
+  {
+    id: 'Cold',
+    category: 'Feelings',
+    howTo: how(
+      'Both hands in fists (S)',
+      'In front of the shoulders',
+      'Shake the fists as if shivering'
+    ),
+    media: DEMOS.Cold,
+  },
+  {
+    id: 'Pain',
+    gloss: 'HURT',
+    category: 'Feelings',
+    howTo: how(
+      'Both index fingers extended, pointing at each other',
+      'At the place that hurts',
+      'Jab the fingertips toward each other a few times'
+    ),
+    media: DEMOS.Pain,
+  },
+  {
+    id: 'Open',
+    category: 'Actions',
+    recognizer: heuristic('open'),
+    howTo: how(
+      'Both hands flat (B), palms out',
+      'Side by side in front of the chest',
+      'Swing the hands apart, like opening a door'
+    ),
+    media: DEMOS.Open,
+  },
+  {
+    id: 'Close',
+    category: 'Actions',
+    recognizer: heuristic('close'),
+    howTo: how(
+      'Both hands flat (B), palms out',
+      'Apart in front of the chest',
+      'Bring the hands together side by side'
+    ),
+    media: DEMOS.Close,
+  },
+  {
+    id: 'Cry',
+    category: 'Feelings',
+    recognizer: located('cry'),
+    howTo: how(
+      'Both index fingers extended',
+      'Under the eyes',
+      'Trace tears down the cheeks, alternating hands'
+    ),
+    media: DEMOS.Cry,
+  },
+  {
+    id: 'Play',
+    category: 'Actions',
+    howTo: how(
+      'Both hands in a Y: thumb and pinky extended',
+      'In front of the body',
+      'Shake the hands by twisting the wrists'
+    ),
+    media: DEMOS.Play,
+  },
+  {
+    id: 'Stop',
+    category: 'Actions',
+    recognizer: heuristic('stop'),
+    howTo: how(
+      'Flat hand (B), fingers up',
+      'In front of the shoulder, palm to the camera',
+      'Push forward slightly and hold'
+    ),
+    media: DEMOS.Stop,
+  },
+  {
+    id: 'Go',
+    category: 'Actions',
+    howTo: how(
+      'Both index fingers pointing up',
+      'In front of the body',
+      'Arc both hands forward so the fingers point away'
+    ),
+    media: DEMOS.Go,
+  },
+  {
+    id: 'Laugh',
+    category: 'Feelings',
+    howTo: how(
+      'Both hands in an L, index fingers at the mouth corners',
+      'At the sides of the mouth',
+      'Brush up the cheeks a few times while smiling'
+    ),
+    media: DEMOS.Laugh,
+  },
+  {
+    id: 'Tired',
+    category: 'Feelings',
+    recognizer: located('tired'),
+    howTo: how(
+      'Both hands bent, fingertips on the chest',
+      'Upper chest',
+      'Let the hands droop down, shoulders sagging'
+    ),
+    media: DEMOS.Tired,
+  },
+  {
+    id: 'Up',
+    category: 'Directions',
+    howTo: how(
+      'Index finger extended (1)',
+      'In front of the shoulder',
+      'Point and move the hand upward'
+    ),
+    media: DEMOS.Up,
+  },
+  {
+    id: 'Out',
+    category: 'Directions',
+    howTo: how(
+      'Open hand pulled through the other hand\'s C shape',
+      'In front of the chest',
+      'Pull up and out, closing into a flat O'
+    ),
+    media: DEMOS.Out,
+  },
+  {
+    id: 'Hold Me',
+    category: 'Actions',
+    howTo: how(
+      'Both hands open, reaching out',
+      'In front of the chest',
+      'Reach forward, then cross the arms over the chest as in a hug'
+    ),
+    media: DEMOS['Hold Me'],
+  },
 ];
 
-export const AI_SUPPORTED = {
-  'I Love You': true,
-  More: true,
-  Help: true,
-  Stop: true,
-};
-
+// Signs with a declared recognizer are auto-checked in practice.
+export const AI_SUPPORTED = Object.fromEntries(
+  ALL_SIGNS.filter((s) => s.recognizer).map((s) => [s.id, true])
+);
@@ -1,44 +1,158 @@
 import { useEffect, useRef, useState } from 'react';
-import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
+import { listCameras, openCamera } from '../utils/camera.js';
+import {
+  createHandDetector,
+  createPoseDetector,
+  offlineOptions,
+} from '../utils/detectors.js';
+import { createWorkerDetector, runsInWorker } from '../utils/detectorWorker.js';
 
-export default function useHandsDetector() {
+// `camera` is settings.camera (see utils/camera.js) and `backend` is
+// settings.detector (see utils/detectors.js). Changing the camera reopens the
+// stream only; changing the backend disposes the detector and creates a new
+// one. With `backend.worker` and the TF.js runtime the detector runs in a Web
+// Worker where the browser can (see utils/detectorWorker.js), else on the
+// page. With
+// `backend.body` a face/body detector runs too: inside the worker, or as
+// `pose` on the page (null when off or unavailable). Offline, detection
+// stays on the page with MediaPipe (see offlineOptions()).
+export default function useHandsDetector(camera, backend) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const [detector, setDetector] = useState(null);
+  const [pose, setPose] = useState(null);
+  // Camera stream; views attach it to their own <video> (useVideoStream)
+  const [stream, setStream] = useState(null);
+  const [devices, setDevices] = useState([]);
+  // Bumped to reopen the camera after it disconnects
+  const [reopen, setReopen] = useState(0);
   const [ready, setReady] = useState(false);
   const [err, setErr] = useState('');
+  const [cameraErr, setCameraErr] = useState('');
+  const devicesRef = useRef(null);
+  const cameraKey = JSON.stringify(camera || {});
+  const backendKey = JSON.stringify(backend || {});
 
+  // --- Camera stream ---
   useEffect(() => {
     let stopped = false;
-    async function init() {
+    let media = null;
+    async function start() {
       try {
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
           throw new Error('Camera API not available');
         }
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: { width: 640, height: 480 },
-        });
-        if (!videoRef.current) return;
-        videoRef.current.srcObject = stream;
-        await videoRef.current.play().catch(() => {});
-
-        if (typeof navigator !== 'undefined' && !navigator.onLine) {
-          throw new Error('Network unavailable for hand detector');
+        media = await openCamera(JSON.parse(cameraKey), devicesRef.current);
+        if (stopped) {
+          media.getTracks().forEach((t) => t.stop());
+          return;
         }
-
-        const model = handPoseDetection.SupportedModels.MediaPipeHands;
-        const d = await handPoseDetection.createDetector(model, {
-          runtime: 'mediapipe',
-          modelType: 'lite',
-          solutionPath: import.meta.env.DEV
-            ? '/node_modules/@mediapipe/hands'
-            : '/hands',
-        });
+        setCameraErr('');
+        setStream(media);
+        // Labels are only filled in once permission is granted
+        const found = await listCameras();
+        devicesRef.current = found;
+        if (!stopped) setDevices(found);
+      } catch (e) {
+        console.error('Camera error', e);
         if (stopped) return;
-        setDetector(d);
+        setStream(null);
+        setCameraErr(e && e.message ? e.message : 'Unknown error');
+        // Still offer the other cameras, if any can be listed
+        listCameras()
+          .then((found) => {
+            devicesRef.current = found;
+            if (!stopped) setDevices(found);
+          })
+          .catch(() => {});
+      }
+    }
+    start();
+    return () => {
+      stopped = true;
+      media?.getTracks().forEach((t) => t.stop());
+    };
+  }, [cameraKey, reopen]);
+
+  // Cameras plugged in or out: refresh the list, and reopen if ours is gone
+  // or the saved camera is back
+  useEffect(() => {
+    const md = navigator.mediaDevices;
+    if (!md?.addEventListener) return undefined;
+    async function onDeviceChange() {
+      let found;
+      try {
+        found = await listCameras();
+      } catch (e) {
+        // Keep the cameras we already know about
+        console.warn('Could not list cameras', e);
+        return;
+      }
+      devicesRef.current = found;
+      setDevices(found);
+      const track = stream?.getVideoTracks()[0];
+      const wanted = JSON.parse(cameraKey).deviceId;
+      const returned =
+        wanted &&
+        track?.getSettings?.().deviceId !== wanted &&
+        found.some((d) => d.deviceId === wanted);
+      if (!track || track.readyState === 'ended' || returned) {
+        setReopen((n) => n + 1);
+      }
+    }
+    md.addEventListener('devicechange', onDeviceChange);
+    return () => md.removeEventListener('devicechange', onDeviceChange);
+  }, [stream, cameraKey]);
+
+  // --- Detector (per backend) ---
+  useEffect(() => {
+    let stopped = false;
+    let created = null;
+    let createdPose = null;
+    // Whichever runs first (cleanup or a stopped init) disposes, once
+    function release() {
+      created?.dispose();
+      createdPose?.dispose();
+      created = null;
+      createdPose = null;
+    }
+    async function init() {
+      setDetector(null);
+      setPose(null);
+      setReady(false);
+      setErr('');
+      try {
+        const options = offlineOptions(JSON.parse(backendKey));
+        const dev = import.meta.env.DEV;
+        if (runsInWorker(options)) {
+          try {
+            created = await createWorkerDetector(options, { dev });
+          } catch (e) {
+            console.warn(
+              'Detector worker unavailable, detecting on the page',
+              e
+            );
+          }
+        }
+        if (!created) created = await createHandDetector(options, { dev });
+        if (options.body && !created.inWorker) {
+          try {
+            createdPose = await createPoseDetector(options, { dev });
+          } catch (e) {
+            // Hands still work; location signs stay manual
+            console.warn('Face/body detector unavailable', e);
+          }
+        }
+        if (stopped) {
+          release();
+          return;
+        }
+        setDetector(created);
+        setPose(createdPose);
         setReady(true);
       } catch (e) {
         console.error('Init error', e);
+        if (stopped) return;
         setErr(e && e.message ? e.message : 'Unknown error');
         setReady(true); // default to manual practice
         // Keep UI usable without camera/detector
@@ -47,14 +161,18 @@ export default function useHandsDetector() {
     init();
     return () => {
       stopped = true;
-      if (videoRef.current && videoRef.current.srcObject) {
-        const tracks = videoRef.current.srcObject.getTracks?.() || [];
-        tracks.forEach((t) => t.stop());
-      }
-      // Note: if detector exposes dispose(), consider calling it here.
+      release();
     };
-  }, []);
+  }, [backendKey]);
 
-  return { videoRef, canvasRef, detector, ready, err };
+  return {
+    videoRef,
+    canvasRef,
+    stream,
+    devices,
+    detector,
+    pose,
+    ready,
+    err: cameraErr || err,
+  };
 }
-
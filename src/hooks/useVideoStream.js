@@ -0,0 +1,13 @@
+import { useEffect } from 'react';
+
+// Plays the camera stream from useHandsDetector in this view's <video>, so
+// the stream survives views mounting and unmounting. Runs after every render
+// because the <video> may mount later than the stream arrives.
+export default function useVideoStream(videoRef, stream) {
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !stream || video.srcObject === stream) return;
+    video.srcObject = stream;
+    video.play().catch(() => {});
+  });
+}
@@ -0,0 +1,126 @@
+import { getThresholds } from '../utils/thresholds.js';
+import { contactPoint, regionDistance } from '../utils/body.js';
+
+// --- Recognizer Breakdown ---
+// Recognizers return { label, confidence, passed, criteria } where each
+// criterion records what was measured against which threshold:
+// { name, passed, value, cmp: '>' | '<' | '>=' | '=', threshold, unit, hint }.
+// `hint` is learner-facing advice shown while the criterion fails.
+
+const COMPARE = {
+  '>': (v, t) => v > t,
+  '<': (v, t) => v < t,
+  '>=': (v, t) => v >= t,
+  '=': (v, t) => v === t,
+};
+
+export function criterion(name, value, cmp, threshold, extra = {}) {
+  const passed = COMPARE[cmp](value, threshold);
+  return { name, passed, value, cmp, threshold, ...extra };
+}
+
+// Boolean check with nothing to measure.
+export function check(name, passed, extra = {}) {
+  return criterion(name, !!passed, '=', true, extra);
+}
+
+// Enough hands in view; recognizers bail out with this alone when it fails.
+export function handCount(hands, needed) {
+  return criterion('Hands in view', hands?.length || 0, '>=', needed, {
+    hint: needed === 2 ? 'Use both hands' : 'Show your hand to the camera',
+  });
+}
+
+const cap = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Finger checks matching isExtended / isCurled (both joints must qualify),
+// against the active thresholds.
+export function extended(finger, { pip, dip }) {
+  const angle = Math.min(pip, dip ?? pip);
+  const { extendedAngle } = getThresholds();
+  return criterion(`${cap(finger)} straight`, angle, '>', extendedAngle, {
+    unit: '°',
+    hint: `Straighten your ${finger}`,
+  });
+}
+
+export function curled(finger, { pip, dip }) {
+  const angle = Math.max(pip, dip ?? pip);
+  const { curledAngle } = getThresholds();
+  return criterion(`${cap(finger)} curled`, angle, '<', curledAngle, {
+    unit: '°',
+    hint: `Curl your ${finger}`,
+  });
+}
+
+// --- Location ---
+// Hand contact points against bodyFrame() regions (utils/body.js).
+const CONTACT_NAMES = {
+  thumb: 'thumb',
+  index: 'index finger',
+  fingertips: 'fingertips',
+  palm: 'hand',
+};
+
+// The face (and, for the chest, the shoulders) must be tracked before any
+// location can be checked.
+export function bodyInView(body, region) {
+  if (region === 'chest' && body) {
+    return check('Shoulders in view', !!body.regions.chest, {
+      hint: 'Step back so your shoulders are in view',
+    });
+  }
+  return check('Face in view', !!body, { hint: 'Keep your face in view' });
+}
+
+// `contact` of `hand` inside `region`, in region radii.
+export function atRegion(hand, body, region, contact = 'palm', extra = {}) {
+  const part = CONTACT_NAMES[contact] || CONTACT_NAMES.palm;
+  const value = regionDistance(contactPoint(hand, contact), body, region);
+  return criterion(`${cap(part)} at ${region}`, value, '<', 1, {
+    unit: '× region',
+    hint: `Touch your ${part} to your ${region}`,
+    ...extra,
+  });
+}
+
+export const passedCount = (criteria) =>
+  criteria.filter((c) => c.passed).length;
+
+export function fractionPassed(criteria) {
+  return criteria.length ? passedCount(criteria) / criteria.length : 0;
+}
+
+/**
+ * Build a result. `confidence` defaults to the fraction of criteria met and
+ * `passed` to all criteria met.
+ */
+export function result(label, criteria, { confidence, passed } = {}) {
+  return {
+    label,
+    confidence: confidence ?? fractionPassed(criteria),
+    passed: passed ?? criteria.every((c) => c.passed),
+    criteria,
+  };
+}
+
+// Of several candidate results (e.g. one per hand), the one meeting most
+// criteria; the first wins ties.
+export function best(results) {
+  let top = null;
+  for (const r of results) {
+    if (!top || passedCount(r.criteria) > passedCount(top.criteria)) top = r;
+  }
+  return top;
+}
+
+// "143° (needs < 100°)" style description of a measured criterion.
+export function describe(c) {
+  if (c.cmp === '=') return c.passed ? 'yes' : 'no';
+  const unit = c.unit || '';
+  const fmt = (v) => {
+    if (typeof v !== 'number') return String(v);
+    return Number.isFinite(v) ? `${Math.round(v * 100) / 100}${unit}` : '—';
+  };
+  return `${fmt(c.value)} (needs ${c.cmp} ${fmt(c.threshold)})`;
+}
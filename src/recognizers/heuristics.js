@@ -0,0 +1,142 @@
+import {
+  dist,
+  palmSize,
+  fingerAngles,
+  pinchDistance,
+  handCenter,
+  curledFingerCount,
+  extendedFingerCount,
+} from '../utils/landmarks.js';
+import { getThresholds } from '../utils/thresholds.js';
+import { splitHands, getDominantHand } from '../utils/handedness.js';
+import { registerRecognizer } from './registry.js';
+import {
+  criterion,
+  check,
+  handCount,
+  extended,
+  curled,
+  fractionPassed,
+  result,
+  best,
+} from './criteria.js';
+
+const PALM = '× palm';
+
+// --- Simple Heuristic Recognizers ---
+function recogILY(hands) {
+  if (!hands || hands.length < 1) {
+    return result('I Love You', [handCount(hands, 1)]);
+  }
+  return best(
+    hands.map((hand) => {
+      const ang = fingerAngles(hand);
+      const { extendedAngle } = getThresholds();
+      return result('I Love You', [
+        criterion('Thumb straight', ang.thumb.pip, '>', extendedAngle, {
+          unit: '°',
+          hint: 'Stick your thumb out',
+        }),
+        extended('index finger', ang.index),
+        curled('middle finger', ang.middle),
+        curled('ring finger', ang.ring),
+        extended('pinky', ang.pinky),
+      ]);
+    })
+  );
+}
+
+function recogStop(hands) {
+  if (!hands || hands.length < 1) return result('Stop', [handCount(hands, 1)]);
+  const { dominant, nondominant } = splitHands(hands);
+  const ang = fingerAngles(dominant);
+  return result('Stop', [
+    extended('index finger', ang.index),
+    extended('middle finger', ang.middle),
+    extended('ring finger', ang.ring),
+    extended('pinky', ang.pinky),
+    // Two flat hands side by side are Open (or Close), not Stop
+    check(
+      'Other hand not flat',
+      !nondominant || extendedFingerCount(nondominant) < 4,
+      { hint: 'Lower your other hand' }
+    ),
+  ]);
+}
+
+function recogMore(hands) {
+  if (!hands || hands.length < 2) return result('More', [handCount(hands, 2)]);
+  const h1 = hands[0], h2 = hands[1];
+  const c1 = handCenter(h1), c2 = handCenter(h2);
+  const ps = (palmSize(h1) + palmSize(h2)) / 2 || 1;
+  const { pinchRatio } = getThresholds();
+  const oShape = (which, hand) =>
+    criterion(`${which} hand O shape`, pinchDistance(hand), '<', pinchRatio, {
+      unit: PALM,
+      hint: 'Touch your fingertips to your thumbs',
+    });
+  const criteria = [
+    oShape('First', h1),
+    oShape('Second', h2),
+    criterion('Hands close', dist(c1, c2) / ps, '<', 1.2, {
+      unit: PALM,
+      hint: 'Bring your fingertips together',
+    }),
+  ];
+  return result('More', criteria, {
+    confidence: 0.9 * fractionPassed(criteria),
+  });
+}
+
+function helpCriteria(fist, flat) {
+  const fC = handCenter(fist), pC = handCenter(flat);
+  const ps = (palmSize(fist) + palmSize(flat)) / 2 || 1;
+  return [
+    criterion('Fingers curled (fist)', curledFingerCount(fist), '>=', 3, {
+      hint: 'Make a fist with one hand',
+    }),
+    criterion('Fingers straight (palm)', extendedFingerCount(flat), '>=', 3, {
+      hint: 'Hold the other hand open and flat',
+    }),
+    criterion('Hands lined up', Math.abs(fC.x - pC.x) / ps, '<', 1.2, {
+      unit: PALM,
+      hint: 'Rest the fist on your palm',
+    }),
+    criterion('Hands close', Math.abs(fC.y - pC.y) / ps, '<', 1.2, {
+      unit: PALM,
+      hint: 'Rest the fist on your palm',
+    }),
+    check('Fist above palm', fC.y < pC.y, { hint: 'Put the fist on top' }),
+  ];
+}
+
+const helpResult = (criteria) =>
+  result('Help', criteria, { confidence: 0.85 * fractionPassed(criteria) });
+
+// The fist belongs on the dominant hand. That is only enforced when the
+// detector labels both hands; by position alone either hand may be the fist.
+function recogHelp(hands) {
+  if (!hands || hands.length < 2) return result('Help', [handCount(hands, 2)]);
+  const { dominant, nondominant, labelled } = splitHands(hands);
+  const proper = helpResult(helpCriteria(dominant, nondominant));
+  const chosen = best([proper, helpResult(helpCriteria(nondominant, dominant))]);
+  if (!labelled) return chosen;
+  const side = getDominantHand();
+  return helpResult([
+    ...chosen.criteria,
+    check(`Fist on ${side} hand`, chosen === proper, {
+      hint: `Make the fist with your ${side} hand`,
+    }),
+  ]);
+}
+
+const RECOGNIZERS = {
+  ily: recogILY,
+  stop: recogStop,
+  more: recogMore,
+  help: recogHelp,
+};
+
+for (const [name, recognize] of Object.entries(RECOGNIZERS)) {
+  registerRecognizer({ type: 'heuristic', name, recognize });
+}
@@ -0,0 +1,69 @@
+import { ALL_SIGNS, AI_SUPPORTED } from '../data/signs.js';
+import { hasTemplates } from '../utils/templates.js';
+import { hasModel, getModelPreferred } from '../utils/classifier.js';
+import { getRecognizer } from './registry.js';
+
+// Built-in recognizer modules register themselves on import; add new modules here.
+import './heuristics.js';
+import './motion.js';
+import './location.js';
+import './template.js';
+import './model.js';
+
+export { describe } from './criteria.js';
+export {
+  RECOGNIZER_TYPES,
+  registerRecognizer,
+  getRecognizer,
+} from './registry.js';
+
+// `frames` is the sliding landmark window from createLandmarkHistory(); only
+// the motion recognizers look at it. `body` is the current bodyFrame()
+// (utils/body.js) when face/body tracking is on, for location checks.
+// Signs without a declared recognizer fall back to recorded templates, then
+// to the trained landmark model (utils/classifier.js) if it covers them.
+// Returns the full breakdown { label, confidence, passed, criteria } (see
+// criteria.js) whether or not the sign matched, or null without a recognizer.
+export function explain(target, hands, frames = [], body = null) {
+  // Custom signs have no declared recognizer, only templates or the model
+  const sign = ALL_SIGNS.find((s) => s.id === target) || { id: target };
+  const fn = getRecognizer(recognizerFor(sign));
+  if (!fn) return null;
+  const res = fn(hands, frames, sign, body);
+  // Recognizers without a breakdown return a plain result or null
+  if (!res || !('passed' in res)) {
+    return res ? { passed: true, criteria: [], ...res } : null;
+  }
+  return res;
+}
+
+function recognizerFor(sign) {
+  const model = hasModel(sign.id) ? { type: 'model' } : null;
+  if (model && getModelPreferred()) return model;
+  if (sign.recognizer) return sign.recognizer;
+  return hasTemplates(sign.id) ? { type: 'template' } : model;
+}
+
+// The breakdown when the sign matched, else null.
+export function recognize(target, hands, frames = [], body = null) {
+  const res = explain(target, hands, frames, body);
+  return res && res.passed ? res : null;
+}
+
+// Breakdowns for every sign with a declared recognizer on the same frame, in
+// sign order, for the debug panel.
+export function explainAll(hands, frames = [], body = null) {
+  return Object.keys(AI_SUPPORTED).map((id) => ({
+    id,
+    result: explain(id, hands, frames, body),
+  }));
+}
+
+// Signs whose recognizer needs the face/body detector (`recognizer.body`)
+// are only recognizable while it runs, unless the preferred model covers them.
+export function isRecognizable(signId, { body = false } = {}) {
+  const decl = ALL_SIGNS.find((s) => s.id === signId)?.recognizer;
+  if (hasModel(signId) && getModelPreferred()) return true;
+  if (decl) return !decl.body || body;
+  return hasTemplates(signId) || hasModel(signId);
+}
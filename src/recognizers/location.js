@@ -0,0 +1,202 @@
+import { fingerAngles, fingerStates, palmSize } from '../utils/landmarks.js';
+import { contactPoint, regionDistance, toBody } from '../utils/body.js';
+import { splitHands } from '../utils/handedness.js';
+import { getThresholds } from '../utils/thresholds.js';
+import { netTravel } from '../utils/motion.js';
+import { registerRecognizer } from './registry.js';
+import {
+  criterion,
+  check,
+  handCount,
+  extended,
+  bodyInView,
+  atRegion,
+  result,
+} from './criteria.js';
+
+// --- Location Recognizers ---
+// Handshape plus where the hand is on the face or chest, from the bodyFrame()
+// passed as `body` (utils/body.js). Signs declare these with `located()` in
+// signs.js and are manual while face/body tracking is off.
+
+// Open hand (5): thumb and all four fingers straight.
+function openHand(hand) {
+  const ang = fingerAngles(hand);
+  const { extendedAngle } = getThresholds();
+  return [
+    criterion('Thumb straight', ang.thumb.pip, '>', extendedAngle, {
+      unit: '°',
+      hint: 'Spread your thumb out',
+    }),
+    extended('index finger', ang.index),
+    extended('middle finger', ang.middle),
+    extended('ring finger', ang.ring),
+    extended('pinky', ang.pinky),
+  ];
+}
+
+const bentCount = (hand) =>
+  Object.entries(fingerStates(hand)).filter(
+    ([name, state]) => name !== 'thumb' && state === 'bent'
+  ).length;
+
+// One hand shaped by `shape` with its `contact` point in `region`.
+function touchResult(label, hands, body, { region, contact, shape, hint }) {
+  if (!hands || hands.length < 1) return result(label, [handCount(hands, 1)]);
+  const inView = bodyInView(body, region);
+  if (!inView.passed) return result(label, [inView]);
+  const hand = splitHands(hands).dominant;
+  return result(label, [
+    ...shape(hand),
+    atRegion(hand, body, region, contact, hint ? { hint } : {}),
+  ]);
+}
+
+// Open hand starting with the thumb on `region` and bouncing forward: the
+// hand grows as it nears the camera.
+const FORWARD_GROWTH = 1.15;
+
+function bounceResult(label, hands, frames, body, region) {
+  const base = touchResult(label, hands, body, {
+    region,
+    contact: 'thumb',
+    shape: openHand,
+  });
+  if (!body || !hands?.length) return base;
+  const hand = splitHands(hands).dominant;
+  const start = frames.find((f) => {
+    const h = splitHands(f.hands).dominant;
+    const thumb = h && contactPoint(h, 'thumb');
+    return f.body && thumb && regionDistance(thumb, f.body, region) < 1;
+  });
+  const growth = start
+    ? palmSize(hand) / (palmSize(splitHands(start.hands).dominant) || 1)
+    : 0;
+  const criteria = [
+    ...base.criteria.slice(0, -1),
+    check(`Starts at ${region}`, !!start, {
+      hint: `Start with your thumb on your ${region}`,
+    }),
+    criterion('Moves forward', growth, '>=', FORWARD_GROWTH, {
+      unit: '× size',
+      hint: 'Bounce your hand forward',
+    }),
+  ];
+  return result(label, criteria);
+}
+
+// Open hand, thumb tapping the chin.
+function recogMommy(hands, frames, sign, body) {
+  return touchResult('Mommy', hands, body, {
+    region: 'chin',
+    contact: 'thumb',
+    shape: openHand,
+  });
+}
+
+// Open hand, thumb tapping the forehead.
+function recogDaddy(hands, frames, sign, body) {
+  return touchResult('Daddy', hands, body, {
+    region: 'forehead',
+    contact: 'thumb',
+    shape: openHand,
+  });
+}
+
+function recogGrandma(hands, frames, sign, body) {
+  return bounceResult('Grandma', hands, frames, body, 'chin');
+}
+
+function recogGrandpa(hands, frames, sign, body) {
+  return bounceResult('Grandpa', hands, frames, body, 'forehead');
+}
+
+// C hand at the mouth, as if holding a cup.
+function recogDrink(hands, frames, sign, body) {
+  return touchResult('Drink', hands, body, {
+    region: 'mouth',
+    contact: 'thumb',
+    shape: (hand) => [
+      check('Fingers curved', bentCount(hand) >= 3, {
+        hint: 'Curve your fingers as if holding a cup',
+      }),
+    ],
+    hint: 'Bring the cup to your mouth',
+  });
+}
+
+// Both hands bent with the fingertips on the chest.
+function recogTired(hands, frames, sign, body) {
+  if (!hands || hands.length < 2) return result('Tired', [handCount(hands, 2)]);
+  const inView = bodyInView(body, 'chest');
+  if (!inView.passed) return result('Tired', [inView]);
+  const pair = hands.slice(0, 2);
+  const distance = Math.max(
+    ...pair.map((h) =>
+      regionDistance(contactPoint(h, 'fingertips'), body, 'chest')
+    )
+  );
+  return result('Tired', [
+    check(
+      'Fingers bent',
+      pair.every((h) => bentCount(h) >= 2),
+      { hint: 'Bend your fingers at the knuckles' }
+    ),
+    criterion('Fingertips at chest', distance, '<', 1, {
+      unit: '× region',
+      hint: 'Rest both hands’ fingertips on your chest',
+    }),
+  ]);
+}
+
+// Both index fingers under the eyes, tracing down the cheeks. Positions are
+// in face units from between the eyes (toBody).
+const CHEEK = { minY: 0.2, maxY: 2.2, minX: 0.3, maxX: 2.5 };
+const TEAR_TRAVEL = 0.4;
+
+const onCheek = (p) =>
+  p.y > CHEEK.minY &&
+  p.y < CHEEK.maxY &&
+  Math.abs(p.x) > CHEEK.minX &&
+  Math.abs(p.x) < CHEEK.maxX;
+
+function indexTips(hands, body) {
+  return hands.slice(0, 2).map((h) => toBody(contactPoint(h, 'index'), body));
+}
+
+function recogCry(hands, frames, sign, body) {
+  if (!hands || hands.length < 2) return result('Cry', [handCount(hands, 2)]);
+  const inView = bodyInView(body, 'chin');
+  if (!inView.passed) return result('Cry', [inView]);
+  const ys = frames
+    .filter((f) => f.body && f.hands?.length >= 2)
+    .map((f) => {
+      const tips = indexTips(f.hands, f.body);
+      return (tips[0].y + tips[1].y) / 2;
+    });
+  return result('Cry', [
+    extended('index finger', fingerAngles(hands[0]).index),
+    extended('other index finger', fingerAngles(hands[1]).index),
+    check('Fingers on the cheeks', indexTips(hands, body).every(onCheek), {
+      hint: 'Start with your index fingers under your eyes',
+    }),
+    criterion('Moves down the cheeks', netTravel(ys), '>=', TEAR_TRAVEL, {
+      unit: '× face',
+      hint: 'Trace your fingers down your cheeks',
+    }),
+  ]);
+}
+
+const RECOGNIZERS = {
+  mommy: recogMommy,
+  daddy: recogDaddy,
+  grandma: recogGrandma,
+  grandpa: recogGrandpa,
+  drink: recogDrink,
+  tired: recogTired,
+  cry: recogCry,
+};
+
+for (const [name, recognize] of Object.entries(RECOGNIZERS)) {
+  registerRecognizer({ type: 'heuristic', name, recognize });
+}
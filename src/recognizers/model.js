@@ -0,0 +1,36 @@
+import { loadModel, predict, NONE } from '../utils/classifier.js';
+import { getThresholds } from '../utils/thresholds.js';
+import { registerRecognizer } from './registry.js';
+import { criterion, check, handCount, result } from './criteria.js';
+
+// Landmark classifier trained from fixtures (utils/classifier.js). explain()
+// uses it for signs the loaded model covers, ahead of the built-in recognizer
+// when the profile prefers the model.
+function recogModel(hands, frames, sign) {
+  if (!sign) return null;
+  const model = loadModel();
+  if (!model) {
+    return result(sign.id, [
+      check('Model loaded', false, { hint: 'Train or load a model first' }),
+    ]);
+  }
+  if (!hands?.length) return result(sign.id, [handCount(hands, 1)]);
+  const prediction = predict(model, hands);
+  const confidence = prediction?.scores[sign.id] ?? 0;
+  const top = prediction?.label;
+  const { minConfidence } = getThresholds();
+  const criteria = [
+    criterion('Model confidence', confidence, '>', minConfidence, {
+      hint: 'Sign it the way it was recorded for training',
+    }),
+    check('Top prediction', top === sign.id, {
+      hint:
+        top === NONE
+          ? 'Looks like no trained sign'
+          : top && `Looks more like “${top}”`,
+    }),
+  ];
+  return result(sign.id, criteria, { confidence });
+}
+
+registerRecognizer({ type: 'model', recognize: recogModel });
@@ -0,0 +1,152 @@
+import { isFlatPalm, isFlatO } from '../utils/landmarks.js';
+import { explainMotion } from '../utils/motion.js';
+import { splitHands } from '../utils/handedness.js';
+import { registerRecognizer } from './registry.js';
+import { criterion, atRegion, result } from './criteria.js';
+
+const PERCENT = { unit: '%' };
+
+// Turns explainMotion() checks into criteria; `spec.hints` overrides the
+// advice per check kind.
+const CHECKS = {
+  shape: (c, hints) =>
+    criterion('Handshape held', c.value * 100, '>=', c.threshold * 100, {
+      ...PERCENT,
+      hint: hints.shape || 'Hold the handshape steady',
+    }),
+  from: (c, hints) =>
+    criterion('Starting handshape', c.value * 100, '>=', c.threshold * 100, {
+      ...PERCENT,
+      hint: hints.from || 'Start in the first handshape',
+    }),
+  to: (c, hints) =>
+    criterion('Ending handshape', c.value * 100, '>=', c.threshold * 100, {
+      ...PERCENT,
+      hint: hints.to || 'Finish in the final handshape',
+    }),
+  direction: (c, hints, spec) =>
+    criterion(`Moves ${spec.direction}`, c.value, '>=', c.threshold, {
+      unit: '× palm',
+      hint: hints.direction || `Move ${spec.direction} further`,
+    }),
+  repeat: (c, hints) =>
+    criterion('Repetitions', c.value, '>=', c.threshold, {
+      hint: hints.repeat || 'Repeat the movement',
+    }),
+};
+
+function motionResult(label, frames, spec) {
+  const m = explainMotion(frames, spec);
+  const criteria = [
+    criterion('Frames tracked', m.frames, '>=', m.minFrames, {
+      hint: `Keep ${spec.hands === 2 ? 'both hands' : 'your hand'} in view`,
+    }),
+    ...m.checks.map((c) => CHECKS[c.kind](c, spec.hints || {}, spec)),
+  ];
+  return result(label, criteria, {
+    confidence: m.score,
+    passed: m.score > 0.8,
+  });
+}
+
+// With face/body tracking on, the fingertips must also be at `region`; the
+// motion alone still counts without it.
+function atLocation(res, hands, body, region, hint) {
+  if (!body || !hands?.length) return res;
+  const hand = splitHands(hands).dominant;
+  const loc = atRegion(hand, body, region, 'fingertips', { hint });
+  return result(res.label, [...res.criteria, loc], {
+    confidence: res.confidence,
+    passed: res.passed && loc.passed,
+  });
+}
+
+// --- Motion Recognizers ---
+// Flat-O hand tapping toward the mouth.
+function recogEat(hands, frames, sign, body) {
+  const res = motionResult('Eat', frames, {
+    hands: 1,
+    shape: isFlatO,
+    repeat: { axis: 'y', count: 3, minAmplitude: 0.15 },
+    hints: {
+      shape: 'Keep your fingertips on your thumb',
+      repeat: 'Tap your mouth a few times',
+    },
+  });
+  return atLocation(res, hands, body, 'mouth', 'Tap at your lips');
+}
+
+// Open hand drawing down over the face and closing into a flat O.
+function recogSleep(hands, frames, sign, body) {
+  const res = motionResult('Sleep', frames, {
+    hands: 1,
+    from: isFlatPalm,
+    to: isFlatO,
+    direction: 'down',
+    minTravel: 0.3,
+    hints: {
+      from: 'Start with an open hand',
+      to: 'Close into a flat O at your chin',
+    },
+  });
+  return atLocation(
+    res,
+    hands,
+    body,
+    'chin',
+    'Finish with your hand at your chin'
+  );
+}
+
+// Two flat hands side by side separating.
+function recogOpen(hands, frames) {
+  return motionResult('Open', frames, {
+    hands: 2,
+    shape: isFlatPalm,
+    direction: 'apart',
+    minTravel: 0.8,
+    hints: {
+      shape: 'Keep both hands flat',
+      direction: 'Swing your hands further apart',
+    },
+  });
+}
+
+// Two flat hands coming together.
+function recogClose(hands, frames) {
+  return motionResult('Close', frames, {
+    hands: 2,
+    shape: isFlatPalm,
+    direction: 'together',
+    minTravel: 0.8,
+    hints: {
+      shape: 'Keep both hands flat',
+      direction: 'Bring your hands all the way together',
+    },
+  });
+}
+
+// Two open hands twisting palm-in to palm-out.
+function recogAllDone(hands, frames) {
+  return motionResult('All Done', frames, {
+    hands: 2,
+    shape: isFlatPalm,
+    repeat: { axis: 'twist', count: 1, minAmplitude: 0.6 },
+    hints: {
+      shape: 'Keep both hands open',
+      repeat: 'Turn your palms over',
+    },
+  });
+}
+
+const RECOGNIZERS = {
+  eat: recogEat,
+  sleep: recogSleep,
+  open: recogOpen,
+  close: recogClose,
+  'all-done': recogAllDone,
+};
+
+for (const [name, recognize] of Object.entries(RECOGNIZERS)) {
+  registerRecognizer({ type: 'heuristic', name, recognize });
+}
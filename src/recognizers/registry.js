@@ -0,0 +1,30 @@
+// --- Recognizer Registry ---
+// Signs in src/data/signs.js declare `recognizer: { type, name }`; modules
+// register an implementation under the same pair. Registering without a name
+// makes it the fallback for every sign of that type.
+// Implementations are called as recognize(hands, frames, sign, body); see
+// explain() in index.js.
+export const RECOGNIZER_TYPES = ['heuristic', 'template', 'model'];
+
+const registry = new Map();
+
+function keyOf(type, name) {
+  return name ? `${type}:${name}` : type;
+}
+
+export function registerRecognizer({ type, name, recognize }) {
+  if (!RECOGNIZER_TYPES.includes(type)) {
+    throw new Error(`Unknown recognizer type: ${type}`);
+  }
+  if (typeof recognize !== 'function') {
+    throw new Error(`Recognizer ${keyOf(type, name)} must be a function`);
+  }
+  registry.set(keyOf(type, name), recognize);
+}
+
+export function getRecognizer(decl) {
+  if (!decl || !decl.type) return null;
+  return (
+    registry.get(keyOf(decl.type, decl.name)) || registry.get(decl.type) || null
+  );
+}
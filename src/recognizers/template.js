@@ -0,0 +1,37 @@
+import {
+  loadTemplates,
+  matchTemplates,
+  nearestTemplate,
+  MAX_DIST,
+} from '../utils/templates.js';
+import { registerRecognizer } from './registry.js';
+import { criterion, check, handCount, result } from './criteria.js';
+
+// Distance at which confidence reaches the practice acceptance level (0.8).
+const CLOSE_ENOUGH = MAX_DIST * 0.2;
+
+// Nearest-neighbour match against snapshots recorded with "Teach this sign".
+function recogTemplate(hands, frames, sign) {
+  if (!sign) return null;
+  if (!hands?.length) return result(sign.id, [handCount(hands, 1)]);
+  const templates = loadTemplates();
+  const own = nearestTemplate(hands, { [sign.id]: templates[sign.id] || [] });
+  const nearest = nearestTemplate(hands, templates);
+  const match = matchTemplates(sign.id, hands, templates);
+  const distance = own ? own.distance : Infinity;
+  const criteria = [
+    criterion('Distance to taught pose', distance, '<', CLOSE_ENOUGH, {
+      unit: '× palm',
+      hint: 'Match the pose you taught',
+    }),
+    check('Closest taught sign', nearest?.label === sign.id, {
+      hint: nearest && `Looks more like “${nearest.label}”`,
+    }),
+  ];
+  return result(sign.id, criteria, {
+    confidence: match ? match.confidence : 0,
+    passed: !!match,
+  });
+}
+
+registerRecognizer({ type: 'template', recognize: recogTemplate });
@@ -0,0 +1,62 @@
+// --- Service Worker ---
+// Built to /sw.js by the offline plugin in vite.config.js, which replaces the
+// manifest placeholder below with { cache, urls } from precacheManifest().
+// App files and the hand detector are cached on install, so practice and
+// recognition work with no network.
+const { cache: CACHE, urls: PRECACHE } = self.__PRECACHE_MANIFEST__;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith('asl-trainer-') && k !== CACHE)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first so updates show up, cached shell when offline.
+// Everything else: cache first; detector files fetched later (the full hand
+// model, the optional face/body detector) are added to the cache as they
+// load.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches.match('/').then((res) => res || Response.error())
+      )
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      if (cached) return cached;
+      return fetch(request).then((res) => {
+        if (res.ok && /^\/(hands|pose)\//.test(url.pathname)) {
+          const copy = res.clone();
+          caches.open(CACHE).then((cache) => cache.put(request, copy));
+        }
+        return res;
+      });
+    })
+  );
+});
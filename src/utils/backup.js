@@ -0,0 +1,259 @@
+// --- Export / Import ---
+// Backup file format:
+// {
+//   app: 'asl-srs-trainer', version: 1, exportedAt,
+//   srs: { [id]: item }, history: [review], templates: { [id]: [snapshot] },
+//   customSigns: [sign], decks: [deck], settings: {},
+//   receptiveSrs: { [id]: item },   // quiz track; absent in older backups
+// }
+// Clips attached to signs (IndexedDB, decks.js saveSignMedia) are not
+// included; they stay on the device they were added on.
+export const BACKUP_APP = 'asl-srs-trainer';
+export const BACKUP_VERSION = 1;
+
+export const MERGE_STRATEGIES = {
+  'keep-newer': 'Keep newer',
+  'keep-both': 'Keep both',
+  overwrite: 'Overwrite',
+};
+
+export function buildBackup(
+  {
+    srs = {},
+    history = [],
+    templates = {},
+    customSigns = [],
+    decks = [],
+    settings = {},
+    receptiveSrs = {},
+  },
+  now = new Date()
+) {
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    srs,
+    history,
+    templates,
+    customSigns,
+    decks,
+    settings,
+    receptiveSrs,
+  };
+}
+
+export function backupFilename(now = new Date()) {
+  return `asl-progress-${now.toISOString().slice(0, 10)}.json`;
+}
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+function invalid(reason) {
+  return new Error(`Invalid backup: ${reason}`);
+}
+
+function parseSrs(items, field) {
+  if (!isObject(items)) throw invalid(`${field} must be an object`);
+  for (const [id, item] of Object.entries(items)) {
+    if (!isObject(item) || typeof item.due !== 'string') {
+      throw invalid(`${field} item ${id} has no due date`);
+    }
+  }
+  return items;
+}
+
+export function parseBackup(data) {
+  let doc = data;
+  if (typeof data === 'string') {
+    try {
+      doc = JSON.parse(data);
+    } catch {
+      throw invalid('not JSON');
+    }
+  }
+  if (!isObject(doc) || doc.app !== BACKUP_APP) throw invalid('not a backup file');
+  if (typeof doc.version !== 'number' || doc.version > BACKUP_VERSION) {
+    throw invalid(`unsupported version ${doc.version}`);
+  }
+  const srs = parseSrs(doc.srs ?? {}, 'srs');
+  const receptiveSrs = parseSrs(doc.receptiveSrs ?? {}, 'receptiveSrs');
+  const history = doc.history ?? [];
+  if (!Array.isArray(history)) throw invalid('history must be an array');
+  history.forEach((e, i) => {
+    if (!isObject(e) || typeof e.id !== 'string' || typeof e.at !== 'string') {
+      throw invalid(`history entry ${i} needs id and at`);
+    }
+  });
+  const templates = doc.templates ?? {};
+  if (!isObject(templates) || !Object.values(templates).every(Array.isArray)) {
+    throw invalid('templates must map sign ids to arrays');
+  }
+  const customSigns = doc.customSigns ?? [];
+  if (
+    !Array.isArray(customSigns) ||
+    !customSigns.every((s) => isObject(s) && typeof s.id === 'string')
+  ) {
+    throw invalid('customSigns must be signs with ids');
+  }
+  const decks = doc.decks ?? [];
+  if (
+    !Array.isArray(decks) ||
+    !decks.every(
+      (d) => isObject(d) && typeof d.id === 'string' && Array.isArray(d.signIds)
+    )
+  ) {
+    throw invalid('decks must have ids and signIds');
+  }
+  const settings = doc.settings ?? {};
+  if (!isObject(settings)) throw invalid('settings must be an object');
+  return {
+    ...doc,
+    srs,
+    history,
+    templates,
+    customSigns,
+    decks,
+    settings,
+    receptiveSrs,
+  };
+}
+
+// --- Merging ---
+const reviewedAt = (item) => item?.lastReview || '';
+
+function unionBy(a, b, key) {
+  const seen = new Set(a.map(key));
+  return [...a, ...b.filter((x) => !seen.has(key(x)))];
+}
+
+function mergeTemplates(current, incoming) {
+  const out = { ...current };
+  for (const [id, snaps] of Object.entries(incoming)) {
+    out[id] = unionBy(out[id] || [], snaps, (s) => s.t);
+  }
+  return out;
+}
+
+// Custom signs and decks: match by id; on conflict keep-both imports under a
+// new id, otherwise the later `updatedAt` wins. Returns { items, renamed }
+// with `renamed` mapping each imported id that was changed to its new id.
+function mergeById(current, incoming, strategy) {
+  const out = [...current];
+  const renamed = {};
+  for (const entry of incoming) {
+    const i = out.findIndex((s) => s.id === entry.id);
+    if (i === -1) out.push(entry);
+    else if (JSON.stringify(out[i]) === JSON.stringify(entry)) continue;
+    else if (strategy === 'keep-both') {
+      let id = `${entry.id} (imported)`;
+      for (let n = 2; out.some((s) => s.id === id); n++) {
+        id = `${entry.id} (imported ${n})`;
+      }
+      out.push({ ...entry, id });
+      renamed[entry.id] = id;
+    } else if ((entry.updatedAt || '') > (out[i].updatedAt || '')) {
+      out[i] = entry;
+    }
+  }
+  return { items: out, renamed };
+}
+
+const renameKeys = (map, renamed) =>
+  Object.fromEntries(
+    Object.entries(map).map(([id, v]) => [renamed[id] ?? id, v])
+  );
+
+// Points everything in an imported backup that refers to a renamed custom
+// sign at its new id, so it follows the imported sign, not the local one.
+function remapSignIds(backup, renamed) {
+  if (!Object.keys(renamed).length) return backup;
+  const to = (id) => renamed[id] ?? id;
+  return {
+    ...backup,
+    srs: renameKeys(backup.srs, renamed),
+    receptiveSrs: renameKeys(backup.receptiveSrs, renamed),
+    templates: renameKeys(backup.templates, renamed),
+    history: backup.history.map((e) => ({ ...e, id: to(e.id) })),
+    decks: backup.decks.map((d) => ({ ...d, signIds: d.signIds.map(to) })),
+  };
+}
+
+// Local SRS items win unless keep-newer finds a later review in the backup.
+function mergeSrs(current = {}, incoming = {}, strategy) {
+  const srs = { ...incoming, ...current };
+  if (strategy === 'keep-newer') {
+    for (const [id, item] of Object.entries(incoming)) {
+      if (reviewedAt(item) > reviewedAt(current[id])) srs[id] = item;
+    }
+  }
+  return srs;
+}
+
+/**
+ * Combine local data with an imported backup.
+ * - overwrite: the backup replaces local data.
+ * - keep-newer: per sign, the SRS item reviewed most recently wins; history
+ *   and templates are unioned; custom signs with a later updatedAt win.
+ * - keep-both: like keep-newer for history and templates, local SRS items win,
+ *   and conflicting custom signs and decks are imported under a new id. The
+ *   backup's progress, templates and deck entries for a renamed sign move
+ *   with it to the new id.
+ */
+export function mergeBackup(current, incoming, strategy = 'keep-newer') {
+  if (strategy === 'overwrite') {
+    return {
+      srs: incoming.srs,
+      receptiveSrs: incoming.receptiveSrs,
+      history: incoming.history,
+      templates: incoming.templates,
+      customSigns: incoming.customSigns,
+      decks: incoming.decks,
+      settings: { ...current.settings, ...incoming.settings },
+    };
+  }
+  const signs = mergeById(
+    current.customSigns || [],
+    incoming.customSigns,
+    strategy
+  );
+  const backup = remapSignIds(incoming, signs.renamed);
+  const history = unionBy(
+    current.history,
+    backup.history,
+    (e) => `${e.id}|${e.at}`
+  ).sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+  return {
+    srs: mergeSrs(current.srs, backup.srs, strategy),
+    receptiveSrs: mergeSrs(current.receptiveSrs, backup.receptiveSrs, strategy),
+    history,
+    templates: mergeTemplates(current.templates, backup.templates),
+    customSigns: signs.items,
+    decks: mergeById(current.decks || [], backup.decks, strategy).items,
+    settings: current.settings,
+  };
+}
+
+// --- CSV ---
+const CSV_COLUMNS = [
+  'id',
+  'at',
+  'date',
+  'grade',
+  'passed',
+  'source',
+  'confidence',
+  'msToRecognize',
+  'track',
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function historyToCsv(history) {
+  const rows = history.map((e) => CSV_COLUMNS.map((c) => csvCell(e[c])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,122 @@
+import { dist, handCenter } from './landmarks.js';
+
+// --- Body-Relative Coordinates ---
+// The optional pose detector (detectors.js) returns BlazePose keypoints in
+// the same mirrored image space as the hands. bodyFrame() turns one pose into
+// a face-aligned frame: origin between the eyes, y pointing down the face,
+// one unit = eye line to mouth. Regions are circles in image space that
+// location recognizers test hand points against. The frame is plain data so
+// it survives postMessage and fixtures.
+
+export const BODY_REGIONS = ['forehead', 'mouth', 'chin', 'chest'];
+
+const MIN_SCORE = 0.5;
+
+// Region centres along the face (units below the eyes) and radii (units).
+const FACE_REGIONS = {
+  forehead: { y: -1, r: 0.9 },
+  mouth: { y: 1, r: 0.55 },
+  chin: { y: 1.75, r: 0.55 },
+};
+
+// Chest centre below the shoulder line and radius, × shoulder width.
+const CHEST = { y: 0.45, r: 0.55 };
+
+const mid = (a, b) =>
+  a && b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } : null;
+
+/**
+ * Face-aligned body frame from a pose, or null without both eyes and mouth
+ * corners. `chest` is only present when both shoulders are visible.
+ * { origin, unit, down: { x, y }, regions: { [name]: { x, y, r } } }
+ */
+export function bodyFrame(pose, { minScore = MIN_SCORE } = {}) {
+  const kps = pose?.keypoints || [];
+  const kp = (name) => {
+    const p = kps.find((k) => k?.name === name);
+    return p && (p.score ?? 1) >= minScore ? p : null;
+  };
+  const eyes = mid(kp('left_eye'), kp('right_eye'));
+  const mouth = mid(kp('mouth_left'), kp('mouth_right'));
+  if (!eyes || !mouth) return null;
+  const unit = dist(eyes, mouth);
+  if (!unit) return null;
+  const down = { x: (mouth.x - eyes.x) / unit, y: (mouth.y - eyes.y) / unit };
+  const round = (v) => Math.round(v * 10) / 10;
+  const round3 = (v) => Math.round(v * 1000) / 1000;
+
+  const regions = {};
+  for (const [name, { y, r }] of Object.entries(FACE_REGIONS)) {
+    regions[name] = {
+      x: round(eyes.x + down.x * y * unit),
+      y: round(eyes.y + down.y * y * unit),
+      r: round(r * unit),
+    };
+  }
+  const left = kp('left_shoulder');
+  const right = kp('right_shoulder');
+  const shoulders = mid(left, right);
+  if (shoulders) {
+    const width = dist(left, right);
+    regions.chest = {
+      x: round(shoulders.x + down.x * CHEST.y * width),
+      y: round(shoulders.y + down.y * CHEST.y * width),
+      r: round(CHEST.r * width),
+    };
+  }
+  return {
+    origin: { x: round(eyes.x), y: round(eyes.y) },
+    unit: round(unit),
+    down: { x: round3(down.x), y: round3(down.y) },
+    regions,
+  };
+}
+
+// An image point in face units: x toward the image right, y down the face.
+export function toBody(point, body) {
+  const vx = point.x - body.origin.x;
+  const vy = point.y - body.origin.y;
+  const { x: dx, y: dy } = body.down;
+  return {
+    x: (vx * dy - vy * dx) / body.unit,
+    y: (vx * dx + vy * dy) / body.unit,
+  };
+}
+
+// Distance from a region's centre in region radii (≤ 1 is inside), or
+// Infinity when the region is unknown.
+export function regionDistance(point, body, region) {
+  const r = body?.regions?.[region];
+  if (!point || !r) return Infinity;
+  return dist(point, r) / r.r;
+}
+
+// Which part of the hand touches the body.
+const CONTACTS = {
+  thumb: [4],
+  index: [8],
+  fingertips: [8, 12, 16, 20],
+};
+
+// Image point for a hand `contact`: 'thumb', 'index', 'fingertips' (mean of
+// the four fingertips) or 'palm'.
+export function contactPoint(hand, contact = 'palm') {
+  const ids = CONTACTS[contact];
+  if (!ids) return hand?.keypoints?.length ? handCenter(hand) : null;
+  const pts = ids.map((i) => hand?.keypoints?.[i]).filter(Boolean);
+  if (!pts.length) return null;
+  return {
+    x: pts.reduce((s, p) => s + p.x, 0) / pts.length,
+    y: pts.reduce((s, p) => s + p.y, 0) / pts.length,
+  };
+}
+
+// The region nearest a point: { region, distance } in region radii.
+export function nearestRegion(point, body) {
+  let best = null;
+  for (const region of Object.keys(body?.regions || {})) {
+    const distance = regionDistance(point, body, region);
+    if (!best || distance < best.distance) best = { region, distance };
+  }
+  return best;
+}
@@ -0,0 +1,112 @@
+import { fingerAngles, pinchDistance } from './landmarks.js';
+import { DEFAULT_THRESHOLDS } from './thresholds.js';
+
+// --- Threshold Calibration ---
+// The wizard captures a few frames of each reference pose; the thresholds
+// are derived from how straight, curled and pinched this learner's hand
+// actually gets on this camera. Calibration only ever loosens the defaults,
+// so a hand that already passes them keeps the default behavior.
+
+export const CALIBRATION_POSES = [
+  {
+    id: 'open',
+    label: 'Open palm',
+    instructions: 'Hold one hand up, palm to the camera, fingers as straight as they go.',
+  },
+  {
+    id: 'fist',
+    label: 'Fist',
+    instructions: 'Close the same hand into a fist.',
+  },
+  {
+    id: 'pinch',
+    label: 'Pinch',
+    instructions: 'Touch your thumb tip to your index fingertip.',
+  },
+];
+
+export const SAMPLES_PER_POSE = 10;
+
+// Headroom between what the hand reached and the threshold it must pass
+const ANGLE_MARGIN = 10;
+// Straight and curled must stay this far apart to tell fingers apart
+const MIN_ANGLE_GAP = 20;
+const PINCH_MARGIN = 1.5;
+// Loosest values calibration may choose
+const LIMITS = { extendedAngle: 120, curledAngle: 140, pinchRatio: 0.6 };
+
+const FOUR_FINGERS = ['index', 'middle', 'ring', 'pinky'];
+
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return NaN;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Per finger, the median over samples of `pick(angles)`; then `worst` of those.
+function fingerMeasure(hands, pick, worst) {
+  const perFinger = FOUR_FINGERS.map((f) =>
+    median(hands.map((h) => pick(fingerAngles(h)[f])))
+  );
+  return worst(...perFinger);
+}
+
+/**
+ * Derive thresholds from reference samples.
+ * samples: { open: [hand], fist: [hand], pinch: [hand] }
+ * Returns { thresholds, measured: { straightAngle, curledAngle, pinch } }.
+ * minConfidence and stableFrames are not measured; they come from `current`.
+ */
+export function deriveThresholds(samples, current = DEFAULT_THRESHOLDS) {
+  for (const { id, label } of CALIBRATION_POSES) {
+    if (!samples?.[id]?.length) throw new Error(`No samples for ${label}`);
+  }
+  // Least straight finger on the open palm, most bent finger in the fist
+  const straightAngle = fingerMeasure(
+    samples.open,
+    ({ pip, dip }) => Math.min(pip, dip),
+    Math.min
+  );
+  const curledAngle = fingerMeasure(
+    samples.fist,
+    ({ pip, dip }) => Math.max(pip, dip),
+    Math.max
+  );
+  const pinch = median(samples.pinch.map(pinchDistance));
+  const openPinch = median(samples.open.map(pinchDistance));
+  if (![straightAngle, curledAngle, pinch, openPinch].every(Number.isFinite)) {
+    throw new Error('Samples are missing keypoints');
+  }
+
+  let extendedT = Math.max(
+    LIMITS.extendedAngle,
+    Math.min(DEFAULT_THRESHOLDS.extendedAngle, straightAngle - ANGLE_MARGIN)
+  );
+  let curledT = Math.min(
+    LIMITS.curledAngle,
+    Math.max(DEFAULT_THRESHOLDS.curledAngle, curledAngle + ANGLE_MARGIN)
+  );
+  if (extendedT - curledT < MIN_ANGLE_GAP) {
+    const mid = (extendedT + curledT) / 2;
+    extendedT = mid + MIN_ANGLE_GAP / 2;
+    curledT = mid - MIN_ANGLE_GAP / 2;
+  }
+  // Loosened pinch must still be well short of an open hand
+  const pinchT = Math.max(
+    DEFAULT_THRESHOLDS.pinchRatio,
+    Math.min(LIMITS.pinchRatio, pinch * PINCH_MARGIN, openPinch / 2)
+  );
+
+  const round = (v, digits) => Number(v.toFixed(digits));
+  return {
+    thresholds: {
+      extendedAngle: round(extendedT, 0),
+      curledAngle: round(curledT, 0),
+      pinchRatio: round(pinchT, 2),
+      minConfidence: current.minConfidence,
+      stableFrames: current.stableFrames,
+    },
+    measured: { straightAngle, curledAngle, pinch },
+  };
+}
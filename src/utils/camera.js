@@ -0,0 +1,63 @@
+// --- Camera Selection ---
+// settings.camera: { deviceId, resolution, facingMode }. An empty deviceId
+// lets the browser choose by facing mode; a saved device that is no longer
+// connected falls back the same way.
+
+export const RESOLUTIONS = {
+  '480p': { width: 640, height: 480, label: '640 × 480' },
+  '720p': { width: 1280, height: 720, label: '1280 × 720' },
+  '1080p': { width: 1920, height: 1080, label: '1920 × 1080' },
+};
+
+export const FACING_MODES = {
+  user: 'Front (selfie)',
+  environment: 'Back',
+};
+
+export const DEFAULT_CAMERA = {
+  deviceId: '',
+  resolution: '480p',
+  facingMode: 'user',
+};
+
+// getUserMedia video constraints. Resolution and facing mode are `ideal` so
+// a camera that cannot match still opens; a chosen device is `exact`.
+export function videoConstraints(camera = {}, devices = null) {
+  const { deviceId, resolution, facingMode } = { ...DEFAULT_CAMERA, ...camera };
+  const { width, height } = RESOLUTIONS[resolution] || RESOLUTIONS['480p'];
+  const video = { width: { ideal: width }, height: { ideal: height } };
+  const known = !devices || devices.some((d) => d.deviceId === deviceId);
+  if (deviceId && known) video.deviceId = { exact: deviceId };
+  else video.facingMode = { ideal: facingMode };
+  return video;
+}
+
+// Video inputs with a display label (labels are empty before permission).
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const all = await navigator.mediaDevices.enumerateDevices();
+  return all
+    .filter((d) => d.kind === 'videoinput')
+    .map((d, i) => ({
+      deviceId: d.deviceId,
+      label: d.label || `Camera ${i + 1}`,
+    }));
+}
+
+/**
+ * Open the configured camera. A chosen device that is missing or rejects the
+ * constraints is retried by facing mode alone.
+ */
+export async function openCamera(camera, devices = null) {
+  const video = videoConstraints(camera, devices);
+  try {
+    return await navigator.mediaDevices.getUserMedia({ video });
+  } catch (e) {
+    const retryable =
+      e?.name === 'OverconstrainedError' || e?.name === 'NotFoundError';
+    if (!video.deviceId || !retryable) throw e;
+    return navigator.mediaDevices.getUserMedia({
+      video: videoConstraints({ ...camera, deviceId: '' }),
+    });
+  }
+}
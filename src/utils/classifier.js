@@ -0,0 +1,340 @@
+import { normalizeHands } from './templates.js';
+import { kvGet, kvSet, kvDelete, profileKey } from './storage.js';
+
+// --- Landmark Classifier ---
+// A small model trained from recorded landmark fixtures (recording.js), as an
+// alternative to the hand-written recognizers. Two kinds, both plain JSON so
+// a model file can be trained in the browser or with `npm run train` and
+// loaded anywhere:
+//   knn  stored feature vectors; votes among the k nearest
+//   mlp  one hidden ReLU layer with a softmax output, trained by SGD
+// Model file:
+// {
+//   version: 1,
+//   type: 'knn' | 'mlp',
+//   labels: ['Stop', 'Open', '_none', ...],
+//   trainedAt: ISO string,
+//   samples: number,             // training frames
+//   knn: { k, points: [{ x: [...], y: labelIndex }] }
+//   mlp: { mean, std, hidden: { w, b }, out: { w, b } }
+// }
+export const MODEL_VERSION = 1;
+export const MODEL_TYPES = ['knn', 'mlp'];
+// Label for frames from negative fixtures (`label: null`)
+export const NONE = '_none';
+
+const HAND_SLOTS = 2;
+const HAND_VALUES = 42; // 21 keypoints × (x, y)
+export const FEATURE_SIZE = HAND_SLOTS * HAND_VALUES + 1;
+
+// --- Features ---
+// normalizeHands() (wrist-relative, palm units, left → right) flattened into
+// two hand slots, plus the hand count. null without a usable hand.
+export function handFeatures(hands) {
+  const norm = normalizeHands((hands || []).slice(0, HAND_SLOTS));
+  if (!norm || !norm.length) return null;
+  const x = new Array(FEATURE_SIZE).fill(0);
+  norm.forEach((hand, h) => {
+    hand.forEach(([px, py], i) => {
+      x[h * HAND_VALUES + i * 2] = px;
+      x[h * HAND_VALUES + i * 2 + 1] = py;
+    });
+  });
+  x[FEATURE_SIZE - 1] = norm.length;
+  return x;
+}
+
+// One sample { x, label } per fixture frame with hands.
+export function datasetFromFixtures(fixtures) {
+  const samples = [];
+  for (const fx of fixtures) {
+    const label = fx.label ?? NONE;
+    for (const frame of fx.frames) {
+      const x = handFeatures(frame.hands);
+      if (x) samples.push({ x, label });
+    }
+  }
+  return samples;
+}
+
+// A model with a single label gives it probability 1 for any hand, so it
+// needs a second sign or negative (NONE) frames to tell it apart from.
+function labelsOf(samples) {
+  const labels = [...new Set(samples.map((s) => s.label))];
+  if (labels.filter((l) => l !== NONE).length < 1) {
+    throw new Error('Training needs at least one labelled fixture');
+  }
+  if (labels.length < 2) {
+    throw new Error(
+      'Training needs a second sign or a negative fixture (label: null)'
+    );
+  }
+  return labels;
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+}
+
+// Deterministic PRNG (mulberry32) so the same data trains the same model.
+function seeded(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (v) => Math.round(v * 10000) / 10000;
+
+function header(type, labels, samples) {
+  return {
+    version: MODEL_VERSION,
+    type,
+    labels,
+    trainedAt: new Date().toISOString(),
+    samples: samples.length,
+  };
+}
+
+// --- k-NN ---
+// Keeps at most `maxPerLabel` evenly spaced frames per label so recordings of
+// different lengths weigh the same and model files stay small.
+export function trainKnn(samples, { k = 5, maxPerLabel = 200 } = {}) {
+  const labels = labelsOf(samples);
+  const points = [];
+  for (const [y, label] of labels.entries()) {
+    const own = samples.filter((s) => s.label === label);
+    const step = Math.max(1, own.length / maxPerLabel);
+    for (let i = 0; i < own.length; i += step) {
+      points.push({ x: own[Math.floor(i)].x, y });
+    }
+  }
+  return { ...header('knn', labels, samples), knn: { k, points } };
+}
+
+function knnScores({ labels, knn }, x) {
+  const nearest = knn.points
+    .map((p) => ({ y: p.y, d: distance(x, p.x) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, knn.k);
+  const votes = new Array(labels.length).fill(0);
+  for (const n of nearest) votes[n.y] += 1 / nearest.length;
+  return votes;
+}
+
+// --- MLP ---
+function standardize(samples) {
+  const n = samples.length;
+  const mean = new Array(FEATURE_SIZE).fill(0);
+  const std = new Array(FEATURE_SIZE).fill(0);
+  for (const s of samples) s.x.forEach((v, i) => (mean[i] += v / n));
+  for (const s of samples) {
+    s.x.forEach((v, i) => (std[i] += (v - mean[i]) ** 2 / n));
+  }
+  return {
+    mean: mean.map(round),
+    std: std.map((v) => round(Math.sqrt(v)) || 1),
+  };
+}
+
+function layer(rows, cols, rand) {
+  const scale = Math.sqrt(2 / cols);
+  return {
+    w: Array.from({ length: rows }, () =>
+      Array.from({ length: cols }, () => (rand() * 2 - 1) * scale)
+    ),
+    b: new Array(rows).fill(0),
+  };
+}
+
+function affine({ w, b }, x) {
+  return w.map((row, i) => {
+    let sum = b[i];
+    for (let j = 0; j < row.length; j++) sum += row[j] * x[j];
+    return sum;
+  });
+}
+
+function softmax(z) {
+  const max = Math.max(...z);
+  const e = z.map((v) => Math.exp(v - max));
+  const total = e.reduce((a, b) => a + b, 0);
+  return e.map((v) => v / total);
+}
+
+function forward({ mean, std, hidden, out }, x) {
+  const input = x.map((v, i) => (v - mean[i]) / std[i]);
+  const h = affine(hidden, input).map((v) => Math.max(0, v));
+  return { input, h, p: softmax(affine(out, h)) };
+}
+
+/**
+ * Train a one-hidden-layer network with plain SGD on cross-entropy.
+ * Options: hidden units, epochs, learning rate `lr`, `seed` for the initial
+ * weights and shuffling.
+ */
+export function trainMlp(
+  samples,
+  { hidden = 32, epochs = 40, lr = 0.05, seed = 1 } = {}
+) {
+  const labels = labelsOf(samples);
+  const rand = seeded(seed);
+  const net = {
+    ...standardize(samples),
+    hidden: layer(hidden, FEATURE_SIZE, rand),
+    out: layer(labels.length, hidden, rand),
+  };
+  const targets = samples.map((s) => labels.indexOf(s.label));
+  const order = samples.map((_, i) => i);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    for (const n of order) {
+      const { input, h, p } = forward(net, samples[n].x);
+      const dOut = p.map((v, i) => v - (i === targets[n] ? 1 : 0));
+      const dHidden = h.map((v, j) => {
+        if (v <= 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < dOut.length; i++) sum += dOut[i] * net.out.w[i][j];
+        return sum;
+      });
+      dOut.forEach((d, i) => {
+        for (let j = 0; j < h.length; j++) net.out.w[i][j] -= lr * d * h[j];
+        net.out.b[i] -= lr * d;
+      });
+      dHidden.forEach((d, j) => {
+        if (!d) return;
+        const row = net.hidden.w[j];
+        for (let k = 0; k < input.length; k++) row[k] -= lr * d * input[k];
+        net.hidden.b[j] -= lr * d;
+      });
+    }
+  }
+
+  const pack = ({ w, b }) => ({
+    w: w.map((row) => row.map(round)),
+    b: b.map(round),
+  });
+  return {
+    ...header('mlp', labels, samples),
+    mlp: {
+      mean: net.mean,
+      std: net.std,
+      hidden: pack(net.hidden),
+      out: pack(net.out),
+    },
+  };
+}
+
+export function trainModel(samples, { type = 'knn', ...options } = {}) {
+  if (!samples.length) throw new Error('No frames with hands to train on');
+  if (type === 'mlp') return trainMlp(samples, options);
+  if (type === 'knn') return trainKnn(samples, options);
+  throw new Error(`Unknown model type: ${type}`);
+}
+
+/**
+ * Classify one frame: { label, confidence, scores: { [label]: p } }, or null
+ * without a model or a usable hand. `label` may be NONE.
+ */
+export function predict(model, hands) {
+  const x = model && handFeatures(hands);
+  if (!x) return null;
+  const p =
+    model.type === 'mlp' ? forward(model.mlp, x).p : knnScores(model, x);
+  let top = 0;
+  for (let i = 1; i < p.length; i++) if (p[i] > p[top]) top = i;
+  return {
+    label: model.labels[top],
+    confidence: p[top],
+    scores: Object.fromEntries(model.labels.map((l, i) => [l, p[i]])),
+  };
+}
+
+// Sign labels the model was trained on (everything but NONE).
+export function modelSigns(model) {
+  return (model?.labels || []).filter((l) => l !== NONE);
+}
+
+export function parseModel(data) {
+  const m = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!m || typeof m !== 'object') throw new Error('Model must be an object');
+  if (m.version !== MODEL_VERSION) {
+    throw new Error(`Unsupported model version: ${m.version}`);
+  }
+  if (!MODEL_TYPES.includes(m.type)) {
+    throw new Error(`Unknown model type: ${m.type}`);
+  }
+  if (!Array.isArray(m.labels) || !m.labels.length) {
+    throw new Error('Model has no labels');
+  }
+  const ok =
+    m.type === 'knn'
+      ? Array.isArray(m.knn?.points) &&
+        m.knn.k > 0 &&
+        m.knn.points.every(
+          (p) => p.x?.length === FEATURE_SIZE && m.labels[p.y] !== undefined
+        )
+      : m.mlp?.mean?.length === FEATURE_SIZE &&
+        m.mlp.hidden?.w?.every((row) => row.length === FEATURE_SIZE) &&
+        m.mlp.out?.w?.length === m.labels.length;
+  if (!ok) throw new Error(`Malformed ${m.type} model`);
+  return m;
+}
+
+export function modelFilename(model) {
+  return `asl-model-${model.type}-${model.trainedAt.slice(0, 10)}.json`;
+}
+
+// --- Storage ---
+// Like templates, the active profile's model is served from memory;
+// initModel() loads it from IndexedDB.
+const KV_KEY = 'model';
+let cache = null;
+// settings.preferModel: use the model ahead of built-in recognizers
+let preferred = false;
+
+export async function initModel() {
+  cache = (await kvGet(profileKey(KV_KEY))) || null;
+  return cache;
+}
+
+export function loadModel() {
+  return cache;
+}
+
+// Serve `model` without touching storage (detector worker, train script).
+export function primeModel(model) {
+  cache = model || null;
+}
+
+export function saveModel(model) {
+  cache = model;
+  return kvSet(profileKey(KV_KEY), model);
+}
+
+export function clearModel() {
+  cache = null;
+  return kvDelete(profileKey(KV_KEY));
+}
+
+export function hasModel(signId) {
+  return modelSigns(cache).includes(signId);
+}
+
+export function getModelPreferred() {
+  return preferred;
+}
+
+export function setModelPreferred(value) {
+  preferred = !!value;
+}
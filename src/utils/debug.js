@@ -0,0 +1,56 @@
+import {
+  fingerAngles,
+  fingerStates,
+  palmSize,
+  handCenter,
+  FINGERS,
+} from './landmarks.js';
+
+// --- Developer Diagnostics ---
+// Helpers behind the #tests debug panel.
+
+/**
+ * Rolling detector timing over the last `size` frames.
+ * tick(ts, latencyMs) once per detected frame; stats() gives
+ * { fps, latencyMs, maxLatencyMs } averaged over the window.
+ */
+export function createFrameMeter(size = 30) {
+  const ticks = [];
+  return {
+    tick(ts, latencyMs) {
+      ticks.push({ ts, latencyMs });
+      if (ticks.length > size) ticks.shift();
+    },
+    stats() {
+      if (!ticks.length) return { fps: 0, latencyMs: 0, maxLatencyMs: 0 };
+      const span = ticks[ticks.length - 1].ts - ticks[0].ts;
+      const latencies = ticks.map((t) => t.latencyMs);
+      return {
+        fps: span > 0 ? ((ticks.length - 1) * 1000) / span : 0,
+        latencyMs: latencies.reduce((s, v) => s + v, 0) / latencies.length,
+        maxLatencyMs: Math.max(...latencies),
+      };
+    },
+    reset() {
+      ticks.length = 0;
+    },
+  };
+}
+
+// Per-hand measurements the recognizers work from.
+export function handReport(hand) {
+  const angles = fingerAngles(hand);
+  const states = fingerStates(hand);
+  return {
+    handedness: hand?.handedness ?? null,
+    score: hand?.score ?? null,
+    palmSize: palmSize(hand),
+    center: handCenter(hand),
+    fingers: FINGERS.map((name) => ({
+      name,
+      ...angles[name],
+      state: states[name],
+    })),
+    keypoints: hand?.keypoints || [],
+  };
+}
@@ -0,0 +1,140 @@
+import { ALL_SIGNS } from '../data/signs.js';
+import {
+  readJSON,
+  writeJSON,
+  kvGet,
+  kvSet,
+  kvDelete,
+  profileKey,
+} from './storage.js';
+
+const SIGNS_KEY = 'asl_custom_signs_v1';
+const DECKS_KEY = 'asl_decks_v1';
+export const ALL_DECK_ID = 'all';
+
+// --- Custom signs ---
+// { id, gloss, category, notes, media: { type: 'image' | 'video', url } |
+//   { type, stored: true }, custom: true, updatedAt }
+export function loadCustomSigns() {
+  const signs = readJSON(profileKey(SIGNS_KEY));
+  return Array.isArray(signs) ? signs : [];
+}
+
+export function saveCustomSigns(signs) {
+  writeJSON(profileKey(SIGNS_KEY), signs);
+}
+
+export function allSigns(customSigns = loadCustomSigns()) {
+  return [...ALL_SIGNS, ...customSigns];
+}
+
+export function findSign(id, customSigns = loadCustomSigns()) {
+  return allSigns(customSigns).find((s) => s.id === id) || null;
+}
+
+// Returns an error message, or null when the sign can be added.
+export function validateCustomSign(sign, customSigns) {
+  const id = (sign.id || '').trim();
+  if (!id) return 'Sign name is required';
+  if (id.length > 40) return 'Sign name is too long';
+  const taken = allSigns(customSigns).some(
+    (s) => s.id.toLowerCase() === id.toLowerCase()
+  );
+  if (taken) return `“${id}” already exists`;
+  return null;
+}
+
+export function makeCustomSign(fields, now = new Date()) {
+  const sign = {
+    id: fields.id.trim(),
+    category: (fields.category || '').trim() || 'Custom',
+    custom: true,
+    updatedAt: now.toISOString(),
+  };
+  const gloss = (fields.gloss || '').trim();
+  const notes = (fields.notes || '').trim();
+  if (gloss) sign.gloss = gloss.toUpperCase();
+  if (notes) sign.notes = notes;
+  if (fields.media) sign.media = fields.media;
+  return sign;
+}
+
+// Media type from a MIME type, file name or URL. JSON files are landmark
+// recordings ("Record session") played back as a skeleton.
+export function mediaTypeOf(nameOrType) {
+  if (/json$/i.test(nameOrType)) return 'skeleton';
+  return /video|\.(mp4|webm|mov|m4v)$/i.test(nameOrType) ? 'video' : 'image';
+}
+
+// Uploaded reference media lives in IndexedDB next to the profile's data.
+const mediaKey = (id) => profileKey(`media:${id}`);
+
+export function saveSignMedia(id, blob) {
+  return kvSet(mediaKey(id), blob);
+}
+
+export function loadSignMedia(id) {
+  return kvGet(mediaKey(id));
+}
+
+export function deleteSignMedia(id) {
+  return kvDelete(mediaKey(id));
+}
+
+// --- Decks ---
+// { id, name, signIds: [] }
+export function loadDecks() {
+  const decks = readJSON(profileKey(DECKS_KEY));
+  return Array.isArray(decks) ? decks : [];
+}
+
+export function saveDecks(decks) {
+  writeJSON(profileKey(DECKS_KEY), decks);
+}
+
+export function createDeck(decks, name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return decks;
+  const base =
+    trimmed
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'deck';
+  let id = base;
+  for (let n = 2; id === ALL_DECK_ID || decks.some((d) => d.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return [...decks, { id, name: trimmed, signIds: [] }];
+}
+
+export function deleteDeck(decks, deckId) {
+  return decks.filter((d) => d.id !== deckId);
+}
+
+export function toggleDeckSign(decks, deckId, signId) {
+  return decks.map((d) => {
+    if (d.id !== deckId) return d;
+    const has = d.signIds.includes(signId);
+    return {
+      ...d,
+      signIds: has
+        ? d.signIds.filter((id) => id !== signId)
+        : [...d.signIds, signId],
+    };
+  });
+}
+
+// Drops a removed sign from every deck.
+export function removeSignFromDecks(decks, signId) {
+  return decks.map((d) => ({
+    ...d,
+    signIds: d.signIds.filter((id) => id !== signId),
+  }));
+}
+
+// Signs in the deck, in catalogue order; unknown deck ids mean "all".
+export function deckSigns(signs, decks, deckId) {
+  const deck = decks.find((d) => d.id === deckId);
+  if (!deck) return signs;
+  return signs.filter((s) => deck.signIds.includes(s.id));
+}
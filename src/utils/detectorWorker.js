@@ -0,0 +1,171 @@
+// --- Detector Worker (page side) ---
+// Hand detection, practice drawing and recognition in a Web Worker
+// (workers/detector.worker.js), so inference never blocks the UI thread.
+// Frames go over as transferred VideoFrames or ImageBitmaps; the practice
+// canvas is handed over once with transferControlToOffscreen() and drawn in
+// the worker. Only landmarks and recognizer results come back.
+//
+// Messages are { type, id, ...payload }. The worker answers every message
+// that carries an `id` with { id, ...result } or { id, error }.
+
+import { detectorConfig } from './detectors.js';
+
+// The MediaPipe solution loads its WASM through the DOM, so the worker only
+// runs the TF.js backend; where this returns false the page detects itself.
+export function workerSupported(scope = globalThis) {
+  return (
+    typeof scope.Worker === 'function' &&
+    typeof scope.OffscreenCanvas === 'function' &&
+    typeof scope.createImageBitmap === 'function' &&
+    typeof scope.HTMLCanvasElement?.prototype?.transferControlToOffscreen ===
+      'function'
+  );
+}
+
+// settings.detector asks for the worker and picked the runtime it can run.
+// With MediaPipe selected detection stays on the page rather than quietly
+// switching to TF.js.
+export function runsInWorker(options = {}, scope = globalThis) {
+  return (
+    !!options.worker &&
+    detectorConfig(options).runtime === 'tfjs' &&
+    workerSupported(scope)
+  );
+}
+
+/**
+ * Request/response over postMessage. `request()` resolves with the worker's
+ * answer (or rejects with its error); `post()` sends without waiting.
+ * `terminate()` stops the worker and rejects whatever is still pending.
+ */
+export function connectWorker(worker) {
+  const pending = new Map();
+  let nextId = 1;
+
+  const settle = (id, fn) => {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    fn(entry);
+  };
+  const failAll = (error) => {
+    for (const id of [...pending.keys()]) {
+      settle(id, ({ reject }) => reject(error));
+    }
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data?.id == null) return;
+    settle(data.id, ({ resolve, reject }) =>
+      data.error ? reject(new Error(data.error)) : resolve(data)
+    );
+  };
+  worker.onerror = (e) => {
+    failAll(new Error(e?.message || 'Detector worker failed'));
+  };
+
+  return {
+    request(type, payload = {}, transfer = []) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ ...payload, type, id }, transfer);
+      });
+    },
+    post(type, payload = {}, transfer = []) {
+      worker.postMessage({ ...payload, type }, transfer);
+    },
+    get pending() {
+      return pending.size;
+    },
+    terminate() {
+      worker.terminate();
+      failAll(new Error('Detector worker stopped'));
+    },
+  };
+}
+
+// Current video frame as a transferable: a VideoFrame where supported (no
+// copy), else an ImageBitmap.
+export function grabFrame(video) {
+  if (typeof VideoFrame === 'function') {
+    try {
+      return Promise.resolve(new VideoFrame(video));
+    } catch {
+      // Not ready yet or unsupported source; fall through
+    }
+  }
+  return createImageBitmap(video);
+}
+
+let workerCount = 0;
+
+/**
+ * Start the detector worker for settings.detector `options` and wait for its
+ * model to load. The result has the detector's estimateHands() and dispose(),
+ * plus what PracticeView needs to run the whole frame in the worker:
+ *   attachCanvas(canvas)  hand the preview canvas over (once per element)
+ *   configure(config)     target, targetHands, mirror, ghost, plus the
+ *                         profile's thresholds, dominant hand, templates,
+ *                         model and preferModel
+ *   process(video, flags) detect, analyze and draw one frame; resolves with
+ *                         { hands, body, explained, fingerHints, scanned }
+ *                         (frame.js); flags.scan lists the signs to run
+ *                         scanFrame() on
+ * `body` is true when the worker also tracks the face and body.
+ * `id` changes with every worker so views can remount a canvas for it.
+ */
+export async function createWorkerDetector(options, { dev = false } = {}) {
+  const worker = new Worker(
+    new URL('../workers/detector.worker.js', import.meta.url),
+    { type: 'module' }
+  );
+  const rpc = connectWorker(worker);
+  let body = false;
+  try {
+    ({ body } = await rpc.request('init', { options, dev }));
+  } catch (e) {
+    rpc.terminate();
+    throw e;
+  }
+  const attached = new WeakSet();
+
+  async function send(video, payload) {
+    const frame = await grabFrame(video);
+    return rpc.request('frame', { frame, ...payload }, [frame]);
+  }
+
+  return {
+    id: ++workerCount,
+    inWorker: true,
+    body,
+    // Landmarks only, for views that draw themselves. The worker always
+    // detects with flipHorizontal, as every caller asks for.
+    async estimateHands(video) {
+      const { hands } = await send(video, { draw: false });
+      return hands;
+    },
+    async process(
+      video,
+      { recognize = false, teaching = false, scan = null } = {}
+    ) {
+      const { hands, body, explained, fingerHints, scanned } = await send(
+        video,
+        { draw: true, recognize, teaching, scan }
+      );
+      return { hands, body, explained, fingerHints, scanned };
+    },
+    attachCanvas(canvas) {
+      if (attached.has(canvas)) return;
+      attached.add(canvas);
+      const offscreen = canvas.transferControlToOffscreen();
+      rpc.post('canvas', { canvas: offscreen }, [offscreen]);
+    },
+    configure(config) {
+      rpc.post('config', { config });
+    },
+    dispose() {
+      rpc.terminate();
+    },
+  };
+}
@@ -0,0 +1,101 @@
+import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
+
+// --- Hand Detector Backends ---
+// settings.detector: { runtime, modelType }. MediaPipe runs the WASM
+// solution served from /hands (bundled, works offline); TF.js runs on WebGL
+// and downloads its models from TF Hub on first use. Lite is faster, full
+// more accurate. Both return the same hands from estimateHands().
+// `worker: true` moves detection into a Web Worker (see detectorWorker.js).
+// `body: true` also runs a BlazePose face/body detector on the same runtime
+// for location signs (see body.js).
+
+export const DETECTOR_RUNTIMES = {
+  mediapipe: 'MediaPipe (WASM)',
+  tfjs: 'TensorFlow.js (WebGL)',
+};
+
+export const DETECTOR_MODELS = {
+  lite: 'Lite (faster)',
+  full: 'Full (more accurate)',
+};
+
+export const DEFAULT_DETECTOR = {
+  runtime: 'mediapipe',
+  modelType: 'lite',
+  worker: false,
+  body: false,
+};
+
+// createDetector() options for a backend choice; unknown values fall back to
+// the defaults. `dev` serves MediaPipe files straight from node_modules.
+export function detectorConfig(options = {}, { dev = false } = {}) {
+  const runtime = DETECTOR_RUNTIMES[options.runtime]
+    ? options.runtime
+    : DEFAULT_DETECTOR.runtime;
+  const modelType = DETECTOR_MODELS[options.modelType]
+    ? options.modelType
+    : DEFAULT_DETECTOR.modelType;
+  if (runtime === 'tfjs') return { runtime, modelType };
+  return {
+    runtime,
+    modelType,
+    solutionPath: dev ? '/node_modules/@mediapipe/hands' : '/hands',
+  };
+}
+
+// BlazePose options on the same runtime as the hands; MediaPipe files are
+// served from /pose. Only the lite model is bundled.
+export function poseConfig(options = {}, { dev = false } = {}) {
+  const { runtime } = detectorConfig(options);
+  if (runtime === 'tfjs') return { runtime, modelType: 'lite' };
+  return {
+    runtime,
+    modelType: 'lite',
+    solutionPath: dev ? '/node_modules/@mediapipe/pose' : '/pose',
+  };
+}
+
+// TF.js models come from TF Hub and are not precached (see precache.js), so
+// while the browser is offline detection falls back to the bundled MediaPipe
+// solution on the page; the worker runs TF.js only and is skipped.
+export function offlineOptions(options = {}, scope = globalThis) {
+  if (scope.navigator?.onLine !== false) return options;
+  return { ...options, runtime: 'mediapipe', worker: false };
+}
+
+async function loadTfjs() {
+  const [tf] = await Promise.all([
+    import('@tensorflow/tfjs-core'),
+    import('@tensorflow/tfjs-backend-webgl'),
+  ]);
+  await tf.setBackend('webgl');
+  await tf.ready();
+}
+
+/**
+ * Create a detector for `options`. The TF.js backend is loaded on demand so
+ * the default MediaPipe setup does not pay for it. Call dispose() on the
+ * result when done.
+ */
+export async function createHandDetector(options, { dev = false } = {}) {
+  const config = detectorConfig(options, { dev });
+  if (config.runtime === 'tfjs') await loadTfjs();
+  return handPoseDetection.createDetector(
+    handPoseDetection.SupportedModels.MediaPipeHands,
+    config
+  );
+}
+
+/**
+ * Face/body detector for `options` (estimatePoses(); see body.js). Loaded on
+ * demand, only when settings.detector.body is on. dispose() when done.
+ */
+export async function createPoseDetector(options, { dev = false } = {}) {
+  const config = poseConfig(options, { dev });
+  if (config.runtime === 'tfjs') await loadTfjs();
+  const poseDetection = await import('@tensorflow-models/pose-detection');
+  return poseDetection.createDetector(
+    poseDetection.SupportedModels.BlazePose,
+    config
+  );
+}
@@ -0,0 +1,99 @@
+// --- Canvas Drawing ---
+export const HAND_CHAINS = [
+  [0, 1, 2, 3, 4],
+  [0, 5, 6, 7, 8],
+  [0, 9, 10, 11, 12],
+  [0, 13, 14, 15, 16],
+  [0, 17, 18, 19, 20],
+];
+
+// Keypoints as dots joined along each finger.
+export function drawHands(
+  ctx,
+  hands,
+  { point = '#10b981', line = '#16a34a', radius = 3, width = 2 } = {}
+) {
+  ctx.lineWidth = width;
+  for (const hand of hands || []) {
+    const kps = hand.keypoints || [];
+    ctx.fillStyle = point;
+    for (const kp of kps) {
+      if (!kp) continue;
+      ctx.beginPath();
+      ctx.arc(kp.x, kp.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.strokeStyle = line;
+    for (const chain of HAND_CHAINS) {
+      ctx.beginPath();
+      for (let i = 0; i < chain.length; i++) {
+        const p = kps[chain[i]];
+        if (!p) continue;
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      }
+      ctx.stroke();
+    }
+  }
+}
+
+// Head and shoulders outlined around a bodyFrame() (body.js), as a backdrop
+// for demonstrations made on the face or chest.
+export function drawBody(ctx, body, { line = '#475569', width = 2 } = {}) {
+  if (!body) return;
+  const { origin, unit, down } = body;
+  ctx.strokeStyle = line;
+  ctx.lineWidth = width;
+  // Head: eyes a little above the middle, long axis down the face
+  ctx.beginPath();
+  ctx.ellipse(
+    origin.x + down.x * 0.3 * unit,
+    origin.y + down.y * 0.3 * unit,
+    1.5 * unit,
+    2.1 * unit,
+    Math.atan2(-down.x, down.y),
+    0,
+    Math.PI * 2
+  );
+  ctx.stroke();
+  const chest = body.regions.chest;
+  if (!chest) return;
+  // Shoulder line sits 0.82 chest radii above the chest centre (body.js)
+  const y = chest.y - 0.82 * chest.r;
+  const half = 0.9 * chest.r;
+  ctx.beginPath();
+  ctx.moveTo(chest.x - half, y + 0.8 * chest.r);
+  ctx.lineTo(chest.x - half, y);
+  ctx.lineTo(chest.x + half, y);
+  ctx.lineTo(chest.x + half, y + 0.8 * chest.r);
+  ctx.stroke();
+}
+
+// Hands flipped left ↔ right within a canvas `width` wide.
+export function flipHands(hands, width) {
+  return (hands || []).map((h) => ({
+    ...h,
+    keypoints: (h.keypoints || []).map((kp) =>
+      kp ? { ...kp, x: width - kp.x } : kp
+    ),
+  }));
+}
+
+// Webcam frame as a mirror (selfie view) or as the camera sees it. Landmarks
+// are always in mirrored space; pass them through previewHands() to match.
+export function drawVideo(ctx, video, mirror = true) {
+  const { width, height } = ctx.canvas;
+  if (!mirror) {
+    ctx.drawImage(video, 0, 0, width, height);
+    return;
+  }
+  ctx.save();
+  ctx.translate(width, 0);
+  ctx.scale(-1, 1);
+  ctx.drawImage(video, 0, 0, width, height);
+  ctx.restore();
+}
+
+export function previewHands(hands, width, mirror = true) {
+  return mirror ? hands : flipHands(hands, width);
+}
@@ -0,0 +1,115 @@
+import { palmSize, handCenter, fingerStates, FINGERS } from './landmarks.js';
+import { normalizeHand, normalizeHands, templateDistance } from './templates.js';
+import { posesAt, keyframesDuration } from './poses.js';
+
+// --- Target Pose ---
+// Normalized hands (template format) the learner should end up in: the last
+// frame of a skeleton demonstration, else the first taught template.
+export function targetPose(sign, templates = {}) {
+  const keyframes = sign?.media?.keyframes;
+  if (keyframes?.length) {
+    return normalizeHands(posesAt(keyframes, keyframesDuration(keyframes)));
+  }
+  return templates[sign?.id]?.[0]?.hands || null;
+}
+
+const mirrored = (norm) => norm.map(([x, y]) => [-x, y]);
+
+// Target hand in whichever orientation is closer to the learner's hand, so
+// either hand can be used.
+function orient(target, learner) {
+  const straight = templateDistance([target], [learner]);
+  const flipped = mirrored(target);
+  const d = templateDistance([flipped], [learner]);
+  return d < straight ? { norm: flipped, d } : { norm: target, d: straight };
+}
+
+// Scales a normalized hand to the learner's palm size at the learner's wrist.
+function placeHand(norm, hand) {
+  const wrist = hand.keypoints[0];
+  const ps = palmSize(hand) || 1;
+  return {
+    keypoints: norm.map(([x, y]) => ({
+      x: wrist.x + x * ps,
+      y: wrist.y + y * ps,
+    })),
+  };
+}
+
+/**
+ * Pair detected hands with target hands and align each target hand to its
+ * learner hand. Returns [{ hand, target, side }], left to right, where `target` is in image
+ * space and `side` is 'left' | 'right' when both hands are paired, else null.
+ */
+export function matchTarget(target, hands) {
+  const learner = [...(hands || [])]
+    .filter((h) => normalizeHand(h))
+    .sort((a, b) => handCenter(a).x - handCenter(b).x);
+  if (!target?.length || !learner.length) return [];
+  const norms = learner.map(normalizeHand);
+
+  // Two against two: straight or crossed; otherwise the single best pair.
+  const bothHands = target.length === 2 && learner.length === 2;
+  const options = bothHands
+    ? [
+        [[0, 0], [1, 1]],
+        [[0, 1], [1, 0]],
+      ]
+    : target.flatMap((_, ti) => norms.map((_, li) => [[ti, li]]));
+
+  let best = null;
+  for (const pairs of options) {
+    const placed = pairs.map(([ti, li]) => ({
+      li,
+      ...orient(target[ti], norms[li]),
+    }));
+    const total = placed.reduce((s, p) => s + p.d, 0);
+    if (!best || total < best.total) best = { total, placed };
+  }
+  const placed = [...best.placed].sort((a, b) => a.li - b.li);
+  return placed.map(({ li, norm }) => ({
+    hand: learner[li],
+    target: placeHand(norm, learner[li]),
+    side: bothHands ? ['left', 'right'][li] : null,
+  }));
+}
+
+const FINGER_NAMES = {
+  thumb: 'Thumb',
+  index: 'Index finger',
+  middle: 'Middle finger',
+  ring: 'Ring finger',
+  pinky: 'Pinky',
+};
+
+const SIDE_NAMES = { left: 'Left', right: 'Right' };
+
+const SHOULD_BE = { extended: 'straight', curled: 'curled' };
+
+// Hints such as "Middle finger should be curled" from comparing finger
+// states of each learner hand with its aligned target hand.
+export function fingerFeedback(pairs, targetHandCount = pairs.length) {
+  const hints = [];
+  if (pairs.length && pairs.length < targetHandCount) {
+    hints.push('Use both hands');
+  }
+  for (const { hand, target, side } of pairs) {
+    const want = fingerStates(target);
+    const have = fingerStates(hand);
+    for (const name of FINGERS) {
+      if (!SHOULD_BE[want[name]] || have[name] === want[name]) continue;
+      const hint = `${FINGER_NAMES[name]} should be ${SHOULD_BE[want[name]]}`;
+      hints.push(side ? `${SIDE_NAMES[side]} hand: ${hint.toLowerCase()}` : hint);
+    }
+  }
+  return hints;
+}
+
+// Live hints: advice for the recognizer's failed criteria when it has any,
+// otherwise the per-finger hints.
+export function liveHints(result, fingerHints = []) {
+  const advice = (result?.criteria || [])
+    .filter((c) => !c.passed && c.hint)
+    .map((c) => c.hint);
+  return [...new Set(advice.length ? advice : fingerHints)];
+}
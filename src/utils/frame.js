@@ -0,0 +1,69 @@
+import { matchTarget, fingerFeedback } from './feedback.js';
+import { drawHands, previewHands } from './draw.js';
+
+// --- Practice Frame ---
+// What the practice loop computes and draws for one detector frame. Runs on
+// the main thread, or inside the detector worker (workers/detector.worker.js)
+// so only landmarks and results cross back to the page.
+
+export const GHOST_STYLE = {
+  point: 'rgba(255, 255, 255, 0.55)',
+  line: 'rgba(255, 255, 255, 0.55)',
+  radius: 4,
+  width: 3,
+};
+
+/**
+ * Score `hands` against the practice target.
+ * `recognize` runs `explain` (recognizers/index.js) on the sign, with the
+ * frame's bodyFrame() as `body` when tracked; `teaching` skips the
+ * target-pose match while templates are being recorded.
+ * Returns { pairs, explained, fingerHints }.
+ */
+export function analyzeFrame(
+  hands,
+  frames,
+  {
+    target,
+    targetHands,
+    explain,
+    body = null,
+    recognize = false,
+    teaching = false,
+  }
+) {
+  const pairs =
+    targetHands && !teaching ? matchTarget(targetHands, hands) : [];
+  return {
+    pairs,
+    explained: recognize ? explain(target, hands, frames, body) : null,
+    fingerHints: fingerFeedback(pairs, targetHands?.length),
+  };
+}
+
+/**
+ * Run `explain` for every sign in `signs` (ids) on the same frame, for
+ * conversation mode. Returns [{ id, confidence, passed }] in `signs` order;
+ * signs without a result are left out.
+ */
+export function scanFrame(hands, frames, { signs, explain, body = null }) {
+  const out = [];
+  for (const id of signs) {
+    const res = explain(id, hands, frames, body);
+    if (res) out.push({ id, confidence: res.confidence, passed: res.passed });
+  }
+  return out;
+}
+
+// Target ghost and detected landmarks over a frame already drawn with
+// drawVideo(ctx, source, mirror).
+export function drawOverlay(
+  ctx,
+  hands,
+  pairs,
+  { mirror = true, ghost = true } = {}
+) {
+  const preview = (hs) => previewHands(hs, ctx.canvas.width, mirror);
+  if (ghost) drawHands(ctx, preview(pairs.map((p) => p.target)), GHOST_STYLE);
+  drawHands(ctx, preview(hands));
+}
@@ -0,0 +1,51 @@
+import { handCenter } from './landmarks.js';
+
+// --- Handedness ---
+// Detection runs with flipHorizontal, so landmarks are in the mirrored
+// (selfie) view: the learner's right hand appears on the right of the image
+// and the detector's 'Left' / 'Right' labels name the learner's own hands.
+// App applies the profile's dominant hand; recognizers read it at runtime.
+export const HAND_SIDES = ['right', 'left'];
+
+let dominantSide = 'right';
+
+export function getDominantHand() {
+  return dominantSide;
+}
+
+export function setDominantHand(side) {
+  dominantSide = side === 'left' ? 'left' : 'right';
+}
+
+// 'left' | 'right' from the detector label, null when unlabelled.
+export function handSide(hand) {
+  const label = String(hand?.handedness || '').toLowerCase();
+  return label === 'left' || label === 'right' ? label : null;
+}
+
+/**
+ * Split detected hands into the dominant and non-dominant hand.
+ * Uses handedness labels when the two hands carry different ones
+ * (`labelled: true`), else position: the dominant hand is the one on its own
+ * side of the mirrored image. A single hand is treated as dominant.
+ */
+export function splitHands(hands, side = dominantSide) {
+  const list = hands || [];
+  if (list.length < 2) {
+    return { dominant: list[0] || null, nondominant: null, labelled: false };
+  }
+  const [a, b] = list;
+  const sideA = handSide(a);
+  const sideB = handSide(b);
+  if (sideA && sideB && sideA !== sideB) {
+    return sideA === side
+      ? { dominant: a, nondominant: b, labelled: true }
+      : { dominant: b, nondominant: a, labelled: true };
+  }
+  const [left, right] = [a, b].sort(
+    (p, q) => handCenter(p).x - handCenter(q).x
+  );
+  return side === 'right'
+    ? { dominant: right, nondominant: left, labelled: false }
+    : { dominant: left, nondominant: right, labelled: false };
+}
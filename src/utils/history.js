@@ -0,0 +1,142 @@
+import { todayISO, isDue } from './srs.js';
+import { kvGet, kvSet, moveToKv, profileKey } from './storage.js';
+
+const LEGACY_KEY = 'asl_history_v1';
+const KV_KEY = 'history';
+
+// Stored in IndexedDB; older builds kept it in localStorage.
+export async function loadHistory() {
+  await moveToKv(profileKey(LEGACY_KEY), profileKey(KV_KEY));
+  return (await kvGet(profileKey(KV_KEY))) || [];
+}
+
+export function saveHistory(history) {
+  return kvSet(profileKey(KV_KEY), history);
+}
+
+// Review log entry:
+// { id, at (ISO timestamp), date (yyyy-mm-dd), grade, passed,
+//   source: 'ai' | 'manual' | 'known', confidence, msToRecognize,
+//   track: 'production' | 'receptive' }
+// For quiz answers `msToRecognize` is the time to pick a choice. 'known' is
+// Mark Known on a sign card: logged, but not a review session answer.
+const SOURCES = ['ai', 'manual', 'known'];
+
+export function makeReview(id, grade, meta = {}, now = new Date()) {
+  return {
+    id,
+    at: now.toISOString(),
+    date: todayISO(now),
+    grade,
+    passed: grade !== 'again',
+    source: SOURCES.includes(meta.source) ? meta.source : 'manual',
+    confidence: meta.confidence ?? null,
+    msToRecognize: meta.ms ?? null,
+    track: meta.track === 'receptive' ? 'receptive' : 'production',
+  };
+}
+
+// Entries logged before tracks existed are production reviews.
+export function trackHistory(history, track) {
+  return history.filter((e) => (e.track || 'production') === track);
+}
+
+// Returns a new history array; callers keep it in state and persist it.
+export function recordReview(history, id, grade, meta, now) {
+  const next = [...history, makeReview(id, grade, meta, now)];
+  saveHistory(next);
+  return next;
+}
+
+// --- Statistics ---
+// Mark Known entries are logged but are not reviews: they stay out of review
+// counts, retention and the daily session limits (session.js).
+export function isReview(entry) {
+  return entry.source !== 'known';
+}
+
+function retention(entries) {
+  if (!entries.length) return null;
+  return entries.filter((e) => e.passed).length / entries.length;
+}
+
+// Lengths of consecutive-pass runs, oldest first (0-length runs skipped).
+export function streakHistory(entries) {
+  const runs = [];
+  let run = 0;
+  for (const e of entries) {
+    if (e.passed) run += 1;
+    else {
+      if (run) runs.push(run);
+      run = 0;
+    }
+  }
+  if (run) runs.push(run);
+  return runs;
+}
+
+function mean(values) {
+  const v = values.filter((x) => typeof x === 'number');
+  return v.length ? v.reduce((s, x) => s + x, 0) / v.length : null;
+}
+
+export function signStats(history, id) {
+  const entries = history.filter((e) => e.id === id && isReview(e));
+  const runs = streakHistory(entries);
+  const last = entries[entries.length - 1];
+  const ai = entries.filter((e) => e.source === 'ai');
+  return {
+    id,
+    reviews: entries.length,
+    retention: retention(entries),
+    currentStreak: last && last.passed ? runs[runs.length - 1] : 0,
+    bestStreak: runs.length ? Math.max(...runs) : 0,
+    streaks: runs,
+    lastReviewed: last ? last.date : null,
+    aiReviews: ai.length,
+    avgConfidence: mean(ai.map((e) => e.confidence)),
+    avgMsToRecognize: mean(ai.map((e) => e.msToRecognize)),
+    recent: entries.slice(-20).map((e) => e.passed),
+  };
+}
+
+function shiftDays(dateISO, days) {
+  const d = new Date(dateISO);
+  d.setDate(d.getDate() + days);
+  return todayISO(d);
+}
+
+// [{ date, count }] for the `days` days ending today, oldest first.
+export function reviewsPerDay(history, days = 14, today = todayISO()) {
+  const counts = {};
+  for (const e of history) counts[e.date] = (counts[e.date] || 0) + 1;
+  return Array.from({ length: days }, (_, i) => {
+    const date = shiftDays(today, i - days + 1);
+    return { date, count: counts[date] || 0 };
+  });
+}
+
+// [{ date, count }] of items due on each of the next `days` days; overdue
+// items are counted today.
+export function dueForecast(srs, days = 14, today = todayISO()) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = shiftDays(today, i);
+    const count = Object.values(srs).filter((item) =>
+      i === 0 ? isDue(item, date) : item && item.due === date
+    ).length;
+    return { date, count };
+  });
+}
+
+export function overallStats(log, srs, today = todayISO()) {
+  const history = log.filter(isReview);
+  const ai = history.filter((e) => e.source === 'ai');
+  return {
+    reviews: history.length,
+    retention: retention(history),
+    aiShare: history.length ? ai.length / history.length : null,
+    studyDays: new Set(history.map((e) => e.date)).size,
+    perDay: reviewsPerDay(history, 14, today),
+    forecast: dueForecast(srs, 14, today),
+  };
+}
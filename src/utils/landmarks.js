@@ -0,0 +1,138 @@
+import { getThresholds } from './thresholds.js';
+
+// --- Hand Landmark Utilities ---
+export function dist(a, b) {
+  const dx = (a?.x || 0) - (b?.x || 0);
+  const dy = (a?.y || 0) - (b?.y || 0);
+  return Math.hypot(dx, dy);
+}
+
+export function angleABC(a, b, c) {
+  const abx = (a.x || 0) - (b.x || 0);
+  const aby = (a.y || 0) - (b.y || 0);
+  const cbx = (c.x || 0) - (b.x || 0);
+  const cby = (c.y || 0) - (b.y || 0);
+  const dot = abx * cbx + aby * cby;
+  const mag = Math.hypot(abx, aby) * Math.hypot(cbx, cby);
+  if (mag === 0) return 0;
+  const cos = Math.min(1, Math.max(-1, dot / mag));
+  return (Math.acos(cos) * 180) / Math.PI;
+}
+
+export function palmSize(hand) {
+  const w = hand?.keypoints?.[0];
+  const m = hand?.keypoints?.[9];
+  if (!w || !m) return 1;
+  return dist(w, m);
+}
+
+export function fingerAngles(hand) {
+  const kp = hand?.keypoints || [];
+  const safe = (i) => kp[i] || kp[0] || { x: 0, y: 0 };
+  const thumb = {
+    pip: angleABC(safe(2), safe(3), safe(4)),
+    mcp: angleABC(safe(1), safe(2), safe(3)),
+  };
+  const index = {
+    pip: angleABC(safe(5), safe(6), safe(7)),
+    dip: angleABC(safe(6), safe(7), safe(8)),
+  };
+  const middle = {
+    pip: angleABC(safe(9), safe(10), safe(11)),
+    dip: angleABC(safe(10), safe(11), safe(12)),
+  };
+  const ring = {
+    pip: angleABC(safe(13), safe(14), safe(15)),
+    dip: angleABC(safe(14), safe(15), safe(16)),
+  };
+  const pinky = {
+    pip: angleABC(safe(17), safe(18), safe(19)),
+    dip: angleABC(safe(18), safe(19), safe(20)),
+  };
+  return { thumb, index, middle, ring, pinky };
+}
+
+export function isExtended(pip, dip) {
+  const { extendedAngle } = getThresholds();
+  return pip > extendedAngle && (dip === undefined || dip > extendedAngle);
+}
+
+export function isCurled(pip, dip) {
+  const { curledAngle } = getThresholds();
+  return pip < curledAngle && (dip === undefined || dip < curledAngle);
+}
+
+// Thumb tip to index tip in palm sizes; Infinity when either is missing.
+export function pinchDistance(hand) {
+  const kp = hand?.keypoints || [];
+  const thumbTip = kp[4], indexTip = kp[8];
+  if (!thumbTip || !indexTip) return Infinity;
+  return dist(thumbTip, indexTip) / (palmSize(hand) || 1);
+}
+
+export function isOShape(hand) {
+  return pinchDistance(hand) < getThresholds().pinchRatio;
+}
+
+export function handCenter(hand) {
+  const kp = hand?.keypoints || [];
+  const ptsIdx = [0, 5, 9, 13, 17];
+  const pts = ptsIdx.map((i) => kp[i]).filter(Boolean);
+  if (!pts.length) return { x: 0, y: 0 };
+  const x = pts.reduce((s, p) => s + p.x, 0) / pts.length;
+  const y = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+  return { x, y };
+}
+
+// Of index, middle, ring and pinky, how many pass `test(pip, dip)`.
+function countFingers(hand, test) {
+  const ang = fingerAngles(hand);
+  return ['index', 'middle', 'ring', 'pinky'].filter((f) =>
+    test(ang[f].pip, ang[f].dip)
+  ).length;
+}
+
+export function curledFingerCount(hand) {
+  return countFingers(hand, isCurled);
+}
+
+export function extendedFingerCount(hand) {
+  return countFingers(hand, isExtended);
+}
+
+export function isFist(hand) {
+  return curledFingerCount(hand) >= 3;
+}
+
+export function isFlatPalm(hand) {
+  return extendedFingerCount(hand) >= 3;
+}
+
+export function isFlatO(hand) {
+  const kp = hand?.keypoints || [];
+  const thumbTip = kp[4];
+  if (!thumbTip) return false;
+  const pSize = palmSize(hand) || 1;
+  const tips = [8, 12, 16, 20].map((i) => kp[i]).filter(Boolean);
+  if (tips.length < 4) return false;
+  return tips.every((t) => dist(t, thumbTip) / pSize < 0.5);
+}
+
+export const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Per-finger 'extended' | 'curled' | 'bent' using the recognizers' checks.
+// The thumb is only ever 'extended' (straight, as in recogILY) or 'bent'.
+export function fingerStates(hand) {
+  const ang = fingerAngles(hand);
+  const straight = ang.thumb.pip > getThresholds().extendedAngle;
+  const states = { thumb: straight ? 'extended' : 'bent' };
+  for (const name of FINGERS.slice(1)) {
+    const { pip, dip } = ang[name];
+    states[name] = isExtended(pip, dip)
+      ? 'extended'
+      : isCurled(pip, dip)
+      ? 'curled'
+      : 'bent';
+  }
+  return states;
+}
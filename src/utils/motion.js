@@ -0,0 +1,182 @@
+import { dist, palmSize, handCenter } from './landmarks.js';
+import { splitHands } from './handedness.js';
+
+// --- Landmark History ---
+// Sliding window of recent detector frames: [{ t, hands, body? }], oldest
+// first. `body` is the frame's bodyFrame() (body.js) when tracked.
+export function createLandmarkHistory({ windowMs = 1500, maxFrames = 60 } = {}) {
+  let frames = [];
+  return {
+    push(hands, t = Date.now(), body = null) {
+      frames.push({
+        t,
+        hands: (hands || []).map((h) => ({
+          handedness: h.handedness,
+          score: h.score,
+          keypoints: (h.keypoints || []).map((kp) =>
+            kp ? { x: kp.x, y: kp.y } : kp
+          ),
+        })),
+        ...(body ? { body } : {}),
+      });
+      const cutoff = t - windowMs;
+      while (frames.length > maxFrames || (frames.length && frames[0].t < cutoff)) {
+        frames.shift();
+      }
+    },
+    frames() {
+      return frames;
+    },
+    clear() {
+      frames = [];
+    },
+  };
+}
+
+// --- Trajectory Features ---
+const MIN_FRAMES = 8;
+const SHAPE_COVERAGE = 0.7;
+const TRANSITION_COVERAGE = 0.6;
+
+// Detector order is not stable between frames, so sort hands left → right.
+// One-handed specs follow the dominant hand.
+function orderedHands(hands, count) {
+  if (count === 1) return [splitHands(hands).dominant];
+  return [...hands]
+    .sort((a, b) => handCenter(a).x - handCenter(b).x)
+    .slice(0, count);
+}
+
+function coverage(frameHands, pred) {
+  if (!frameHands.length) return 0;
+  return frameHands.filter((hs) => hs.every(pred)).length / frameHands.length;
+}
+
+// Knuckle line (index MCP → pinky MCP) along x; flips sign as the palm turns over.
+function twist(hand) {
+  const kp = hand?.keypoints || [];
+  if (!kp[5] || !kp[17]) return 0;
+  return (kp[17].x - kp[5].x) / (palmSize(hand) || 1);
+}
+
+function axisSeries(frameHands, axis) {
+  const ps =
+    frameHands.reduce(
+      (s, hs) => s + hs.reduce((t, h) => t + palmSize(h), 0) / hs.length,
+      0
+    ) / frameHands.length || 1;
+  return frameHands.map((hs) => {
+    if (axis === 'twist') return twist(hs[0]);
+    const centers = hs.map(handCenter);
+    if (axis === 'spread') {
+      return centers.length < 2 ? 0 : dist(centers[0], centers[1]) / ps;
+    }
+    const mean = centers.reduce((s, c) => s + c[axis], 0) / centers.length;
+    return mean / ps;
+  });
+}
+
+const DIRECTIONS = {
+  up: { axis: 'y', sign: -1 },
+  down: { axis: 'y', sign: 1 },
+  left: { axis: 'x', sign: -1 },
+  right: { axis: 'x', sign: 1 },
+  apart: { axis: 'spread', sign: 1 },
+  together: { axis: 'spread', sign: -1 },
+};
+
+export function netTravel(values, sign = 1) {
+  if (values.length < 2) return 0;
+  const n = Math.max(1, Math.min(3, Math.floor(values.length / 3)));
+  const avg = (arr) => arr.reduce((s, v) => s + v, 0) / arr.length;
+  return (avg(values.slice(-n)) - avg(values.slice(0, n))) * sign;
+}
+
+// Number of monotone runs whose extent is at least `minAmplitude`
+// (one tap down and back up is two strokes).
+export function countStrokes(values, minAmplitude) {
+  if (!values.length) return 0;
+  let strokes = 0;
+  let dir = 0;
+  const anchor = values[0];
+  let extreme = values[0];
+  for (const v of values) {
+    if (dir === 0) {
+      if (Math.abs(v - anchor) >= minAmplitude) {
+        dir = Math.sign(v - anchor);
+        strokes = 1;
+        extreme = v;
+      }
+    } else if ((v - extreme) * dir > 0) {
+      extreme = v;
+    } else if ((extreme - v) * dir >= minAmplitude) {
+      dir = -dir;
+      strokes += 1;
+      extreme = v;
+    }
+  }
+  return strokes;
+}
+
+// Coverage of `from` over the first third and `to` over the last third.
+function transition(frameHands, from, to) {
+  const third = Math.max(1, Math.floor(frameHands.length / 3));
+  return {
+    head: coverage(frameHands.slice(0, third), from),
+    tail: coverage(frameHands.slice(-third), to),
+  };
+}
+
+/**
+ * Measure a window of frames against a motion spec.
+ * spec: {
+ *   hands: 1 | 2,
+ *   shape: (hand) => boolean,          // held throughout the window
+ *   from, to: (hand) => boolean,       // hand-shape transition
+ *   direction: 'up' | 'down' | 'left' | 'right' | 'apart' | 'together',
+ *   minTravel: number,                 // in palm sizes
+ *   repeat: { axis: 'x' | 'y' | 'spread' | 'twist', count, minAmplitude },
+ * }
+ * Returns { score, frames, minFrames, checks: [{ kind, value, threshold,
+ * passed }] }; score is the fraction of checks met, 0 with too few frames.
+ */
+export function explainMotion(frames, spec) {
+  const handCount = spec.hands || 1;
+  const minFrames = spec.minFrames || MIN_FRAMES;
+  const usable = (frames || []).filter(
+    (f) => f.hands && f.hands.length >= handCount
+  );
+  const out = { score: 0, frames: usable.length, minFrames, checks: [] };
+  if (usable.length < minFrames) return out;
+  const frameHands = usable.map((f) => orderedHands(f.hands, handCount));
+
+  const add = (kind, value, threshold) =>
+    out.checks.push({ kind, value, threshold, passed: value >= threshold });
+  if (spec.shape) {
+    add('shape', coverage(frameHands, spec.shape), SHAPE_COVERAGE);
+  }
+  if (spec.from && spec.to) {
+    const { head, tail } = transition(frameHands, spec.from, spec.to);
+    add('from', head, TRANSITION_COVERAGE);
+    add('to', tail, TRANSITION_COVERAGE);
+  }
+  if (spec.direction) {
+    const { axis, sign } = DIRECTIONS[spec.direction];
+    const travel = netTravel(axisSeries(frameHands, axis), sign);
+    add('direction', travel, spec.minTravel ?? 0.5);
+  }
+  if (spec.repeat) {
+    const { axis, count = 2, minAmplitude = 0.2 } = spec.repeat;
+    const strokes = countStrokes(axisSeries(frameHands, axis), minAmplitude);
+    add('repeat', strokes, count);
+  }
+  if (out.checks.length) {
+    out.score = out.checks.filter((c) => c.passed).length / out.checks.length;
+  }
+  return out;
+}
+
+// Score a window of frames against a motion spec (0..1, fraction of criteria met).
+export function matchMotion(frames, spec) {
+  return explainMotion(frames, spec).score;
+}
@@ -0,0 +1,25 @@
+// --- Reference Clip Playback ---
+export const PLAYBACK_SPEEDS = [1, 0.5, 0.25];
+
+// Moves a clip position (ms) on by `elapsedMs` of wall time at `speed`,
+// wrapping when looping and stopping at the end otherwise.
+export function advancePlayback(
+  position,
+  elapsedMs,
+  durationMs,
+  { speed = 1, loop = true } = {}
+) {
+  if (durationMs <= 0) return 0;
+  const next = position + Math.max(0, elapsedMs) * speed;
+  return loop ? next % durationMs : Math.min(next, durationMs);
+}
+
+// Last recorded frame at or before `t`; frames are sorted by t.
+export function frameAt(frames, t) {
+  let found = frames[0] || null;
+  for (const f of frames) {
+    if (f.t > t) break;
+    found = f;
+  }
+  return found;
+}
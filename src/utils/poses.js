@@ -0,0 +1,142 @@
+// --- Synthetic Hand Poses ---
+// Builds 21-keypoint hands (MediaPipe layout: wrist 0, thumb 1-4, index 5-8 …
+// pinky 17-20) from a handshape name, for demonstration skeletons. Shapes are
+// drawn palm-relative: wrist at the origin, palm size 1, fingers pointing up.
+
+const FINGER_DX = [-0.3, 0, 0.3, 0.6];
+
+const FINGER = {
+  extended: (dx) => [
+    { x: dx, y: -1 },
+    { x: dx, y: -1.3 },
+    { x: dx, y: -1.6 },
+    { x: dx, y: -1.9 },
+  ],
+  // Folded over the palm; PIP and DIP both well under 100°.
+  curled: (dx) => [
+    { x: dx, y: -1 },
+    { x: dx, y: -1.3 },
+    { x: dx + 0.1, y: -1.05 },
+    { x: dx + 0.2, y: -1.25 },
+  ],
+  // Hooked toward the thumb at 135°, between straight and curled (C hand).
+  bent: (dx) => [
+    { x: dx, y: -1 },
+    { x: dx, y: -1.3 },
+    { x: dx - 0.21, y: -1.51 },
+    { x: dx - 0.51, y: -1.51 },
+  ],
+};
+
+const THUMB = {
+  out: [1, 2, 3, 4].map((k) => ({ x: -0.3 * k, y: -0.25 * k })),
+  in: [
+    { x: -0.3, y: -0.3 },
+    { x: -0.35, y: -0.6 },
+    { x: -0.15, y: -0.75 },
+    { x: 0.05, y: -0.75 },
+  ],
+};
+
+function shape(thumb, fingers, spread = 1) {
+  const kp = [{ x: 0, y: 0 }, ...THUMB[thumb]];
+  FINGER_DX.forEach((dx, i) => kp.push(...FINGER[fingers[i]](dx * spread)));
+  return kp;
+}
+
+// Fingertips bunched against the thumb tip.
+function flatO() {
+  const tip = { x: 0, y: -1.4 };
+  const kp = [{ x: 0, y: 0 }];
+  kp.push({ x: -0.3, y: -0.3 }, { x: -0.4, y: -0.7 }, { x: -0.2, y: -1.1 }, tip);
+  FINGER_DX.forEach((dx) => {
+    kp.push(
+      { x: dx, y: -1 },
+      { x: dx, y: -1.3 },
+      { x: dx / 2, y: -1.5 },
+      { ...tip }
+    );
+  });
+  return kp;
+}
+
+const E = 'extended';
+const C = 'curled';
+const B = 'bent';
+
+export const HANDSHAPES = {
+  flat: shape('in', [E, E, E, E]),
+  open: shape('out', [E, E, E, E], 1.3),
+  fist: shape('in', [C, C, C, C]),
+  point: shape('in', [E, C, C, C]),
+  ily: shape('out', [E, C, C, E]),
+  flatO: flatO(),
+  c: shape('out', [B, B, B, B]),
+  bent: shape('in', [B, B, B, B]),
+  h: shape('in', [E, E, C, C]),
+  l: shape('out', [E, C, C, C]),
+  y: shape('out', [C, C, C, E]),
+};
+
+/**
+ * Place a handshape in image space.
+ * pose: { shape, x, y, size = 60, mirror = 1, rotate = 0 }
+ *   (x, y) is the wrist, size the palm size in pixels, mirror -1 flips the
+ *   hand left ↔ right (values between turn the palm over), rotate is in degrees.
+ */
+export function handPose({ shape: name, x, y, size = 60, mirror = 1, rotate = 0 }) {
+  const base = HANDSHAPES[name];
+  if (!base) throw new Error(`Unknown handshape: ${name}`);
+  const rad = (rotate * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return {
+    keypoints: base.map((p) => {
+      const px = p.x * mirror;
+      return {
+        x: x + (px * cos - p.y * sin) * size,
+        y: y + (px * sin + p.y * cos) * size,
+      };
+    }),
+  };
+}
+
+const lerp = (a, b, u) => a + (b - a) * u;
+
+function lerpHand(a, b, u) {
+  return {
+    keypoints: a.keypoints.map((p, i) => ({
+      x: lerp(p.x, b.keypoints[i].x, u),
+      y: lerp(p.y, b.keypoints[i].y, u),
+    })),
+  };
+}
+
+// --- Keyframe Animation ---
+// keyframes: [{ t, hands: [pose] }], sorted by t (ms). Hands are interpolated
+// keypoint by keypoint, so shapes morph into each other.
+export function posesAt(keyframes, t) {
+  if (!keyframes.length) return [];
+  let i = 0;
+  while (i < keyframes.length - 1 && keyframes[i + 1].t <= t) i++;
+  const a = keyframes[i];
+  const b = keyframes[i + 1];
+  const handsA = a.hands.map(handPose);
+  if (!b || b.hands.length !== a.hands.length || b.t === a.t) return handsA;
+  const u = Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t)));
+  return handsA.map((h, k) => lerpHand(h, handPose(b.hands[k]), u));
+}
+
+export function keyframesDuration(keyframes) {
+  return keyframes.length ? keyframes[keyframes.length - 1].t : 0;
+}
+
+// Detector-style frames ({ t, hands }) sampled every `stepMs`.
+export function sampleKeyframes(keyframes, stepMs = 50) {
+  const frames = [];
+  const end = keyframesDuration(keyframes);
+  for (let t = 0; t <= end; t += stepMs) {
+    frames.push({ t, hands: posesAt(keyframes, t) });
+  }
+  return frames;
+}
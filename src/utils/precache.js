@@ -0,0 +1,70 @@
+// --- Offline Precache ---
+// Used by the build (vite.config.js) to list what the service worker
+// (src/sw.js) caches on install. Runs in Node; no browser APIs here.
+
+// MediaPipe Hands runtime files served from /hands (the detector's
+// solutionPath). The full model is copied too but cached on first use only,
+// since the lite model is the default.
+export const HANDS_ASSETS = [
+  'hands.js',
+  'hands.binarypb',
+  'hands_solution_packed_assets.data',
+  'hands_solution_packed_assets_loader.js',
+  'hands_solution_simd_wasm_bin.data',
+  'hands_solution_simd_wasm_bin.js',
+  'hands_solution_simd_wasm_bin.wasm',
+  'hands_solution_wasm_bin.js',
+  'hands_solution_wasm_bin.wasm',
+  'hand_landmark_lite.tflite',
+  'hand_landmark_full.tflite',
+];
+
+// MediaPipe Pose runtime files served from /pose for face/body tracking
+// (lite model only). Opt-in, so cached on first use rather than on install.
+export const POSE_ASSETS = [
+  'pose.js',
+  'pose_web.binarypb',
+  'pose_solution_packed_assets.data',
+  'pose_solution_packed_assets_loader.js',
+  'pose_solution_simd_wasm_bin.data',
+  'pose_solution_simd_wasm_bin.js',
+  'pose_solution_simd_wasm_bin.wasm',
+  'pose_solution_wasm_bin.js',
+  'pose_solution_wasm_bin.wasm',
+  'pose_landmark_lite.tflite',
+];
+
+const SKIP = [
+  /\.map$/,
+  /^sw\.js$/,
+  /hand_landmark_full\.tflite$/,
+  /^pose\//,
+];
+
+// FNV-1a, enough to tell one build's file list from another.
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build output file names → { cache, urls } for the service worker. Vite
+ * content-hashes asset names, so any app change yields a new cache name and
+ * the previous cache is dropped on activate.
+ */
+export function precacheManifest(files) {
+  const urls = [
+    '/',
+    ...new Set(
+      files
+        .map((f) => f.replace(/\\/g, '/').replace(/^\//, ''))
+        .filter((f) => !SKIP.some((re) => re.test(f)))
+        .map((f) => `/${f}`)
+    ),
+  ].sort();
+  return { cache: `asl-trainer-${hash(urls.join('\n'))}`, urls };
+}
@@ -0,0 +1,88 @@
+import {
+  readJSON,
+  writeJSON,
+  setActiveProfile,
+  removeProfileData,
+} from './storage.js';
+
+// Profile list is shared by every learner on the device.
+const STORAGE_KEY = 'asl_profiles_v1';
+export const DEFAULT_PROFILE_ID = 'default';
+
+function defaultState() {
+  return {
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Me' }],
+  };
+}
+
+export function loadProfiles() {
+  const state = readJSON(STORAGE_KEY);
+  const ok =
+    state &&
+    Array.isArray(state.profiles) &&
+    state.profiles.some((p) => p.id === state.activeId);
+  const next = ok ? state : defaultState();
+  setActiveProfile(next.activeId);
+  return next;
+}
+
+export function saveProfiles(state) {
+  writeJSON(STORAGE_KEY, state);
+}
+
+function makeId(name, existing) {
+  const slug =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'learner';
+  let id = slug;
+  for (let n = 2; existing.some((p) => p.id === id); n++) id = `${slug}-${n}`;
+  return id;
+}
+
+// The helpers below return a new state, switch the storage namespace to the
+// resulting active profile and persist the list.
+function commit(state) {
+  setActiveProfile(state.activeId);
+  saveProfiles(state);
+  return state;
+}
+
+export function switchProfile(state, id) {
+  if (!state.profiles.some((p) => p.id === id)) return state;
+  return commit({ ...state, activeId: id });
+}
+
+export function createProfile(state, name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return state;
+  const id = makeId(trimmed, state.profiles);
+  return commit({
+    activeId: id,
+    profiles: [...state.profiles, { id, name: trimmed }],
+  });
+}
+
+export function renameProfile(state, id, name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return state;
+  return commit({
+    ...state,
+    profiles: state.profiles.map((p) =>
+      p.id === id ? { ...p, name: trimmed } : p
+    ),
+  });
+}
+
+// Resolves with the new state once the profile's data is gone; failures are
+// reported through onStorageError() and the profile is still removed.
+export async function deleteProfile(state, id) {
+  if (id === DEFAULT_PROFILE_ID) return state;
+  await removeProfileData(id);
+  const profiles = state.profiles.filter((p) => p.id !== id);
+  const activeId =
+    state.activeId === id ? DEFAULT_PROFILE_ID : state.activeId;
+  return commit({ activeId, profiles });
+}
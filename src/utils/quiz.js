@@ -0,0 +1,56 @@
+// --- Receptive Quiz ---
+// The learner watches a sign's demonstration (or reads its description when
+// there is no clip) and picks the matching gloss. Answers are scheduled on
+// the receptive SRS track (srs.js), apart from production reviews.
+export const QUIZ_CHOICES = 4;
+export const QUIZ_LENGTH = 8;
+
+// A sign can be asked when there is something to show: built-in or attached
+// media, or a written handshape / location / movement description.
+export function isQuizzable(sign) {
+  return !!(sign && (sign.media || sign.howTo));
+}
+
+function shuffle(items, rand) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Answer plus up to `choices - 1` distractors from `signs`, shuffled.
+ * Signs from the answer's category are preferred as distractors so the
+ * choice is not given away by topic.
+ */
+export function quizOptions(
+  answerId,
+  signs,
+  { choices = QUIZ_CHOICES, rand = Math.random } = {}
+) {
+  const answer = signs.find((s) => s.id === answerId);
+  const others = shuffle(
+    signs.filter((s) => s.id !== answerId),
+    rand
+  );
+  const same = others.filter((s) => s.category === answer?.category);
+  const rest = others.filter((s) => s.category !== answer?.category);
+  const distractors = [...same, ...rest].slice(0, choices - 1).map((s) => s.id);
+  return shuffle([answerId, ...distractors], rand);
+}
+
+// Due receptive items that can be asked, up to `limit`.
+export function buildQuiz(dueIds, signs, { limit = QUIZ_LENGTH } = {}) {
+  return dueIds
+    .filter((id) => isQuizzable(signs.find((s) => s.id === id)))
+    .slice(0, limit);
+}
+
+// Wrong → Again. A right answer after replaying the demonstration counts as
+// Hard, otherwise Good.
+export function quizGrade(correct, { replays = 0 } = {}) {
+  if (!correct) return 'again';
+  return replays > 0 ? 'hard' : 'good';
+}
@@ -0,0 +1,74 @@
+// --- Landmark Session Recording ---
+// Fixture format (JSON):
+// {
+//   version: 1,
+//   label: 'Stop' | null,        // intended sign; null for a negative session
+//   recordedAt: ISO string,
+//   video: { width, height },
+//   frames: [{ t, hands: [{ handedness, score, keypoints: [{ x, y }] }],
+//              body? }],          // bodyFrame() when face/body was tracked
+// }
+export const FIXTURE_VERSION = 1;
+
+function compactHands(hands) {
+  return (hands || []).map((h) => ({
+    handedness: h.handedness,
+    score: h.score,
+    keypoints: (h.keypoints || []).map((kp) => ({
+      x: Math.round(kp.x * 10) / 10,
+      y: Math.round(kp.y * 10) / 10,
+    })),
+  }));
+}
+
+export function createSessionRecorder(label, video = {}) {
+  const frames = [];
+  const startedAt = new Date();
+  let t0 = null;
+  return {
+    push(hands, ts, body = null) {
+      if (t0 === null) t0 = ts;
+      frames.push({
+        t: Math.round(ts - t0),
+        hands: compactHands(hands),
+        ...(body ? { body } : {}),
+      });
+    },
+    get length() {
+      return frames.length;
+    },
+    toFixture() {
+      return {
+        version: FIXTURE_VERSION,
+        label: label ?? null,
+        recordedAt: startedAt.toISOString(),
+        video: { width: video.width || 0, height: video.height || 0 },
+        frames,
+      };
+    },
+  };
+}
+
+export function parseFixture(data) {
+  const fx = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!fx || typeof fx !== 'object') throw new Error('Fixture must be an object');
+  if (fx.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version: ${fx.version}`);
+  }
+  if (fx.label !== null && typeof fx.label !== 'string') {
+    throw new Error('Fixture label must be a string or null');
+  }
+  if (!Array.isArray(fx.frames)) throw new Error('Fixture frames missing');
+  for (const f of fx.frames) {
+    if (typeof f.t !== 'number' || !Array.isArray(f.hands)) {
+      throw new Error('Fixture frame must have numeric t and hands array');
+    }
+  }
+  return fx;
+}
+
+export function fixtureFilename(fixture) {
+  const stamp = fixture.recordedAt.replace(/[:.]/g, '-');
+  const slug = (fixture.label || 'none').toLowerCase().replace(/\s+/g, '-');
+  return `${slug}-${stamp}.json`;
+}
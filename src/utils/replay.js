@@ -0,0 +1,62 @@
+import { recognize as defaultRecognize } from '../recognizers/index.js';
+import { createLandmarkHistory } from './motion.js';
+import { getThresholds } from './thresholds.js';
+
+// Run every label's recognizer over the fixture; returns the labels that fired.
+// Same acceptance rule as PracticeView: confidence above minConfidence held
+// for stableFrames net frames.
+export function replayFixture(fixture, labels, recognize = defaultRecognize) {
+  const { minConfidence, stableFrames } = getThresholds();
+  const fired = new Set();
+  const counters = Object.fromEntries(labels.map((l) => [l, 0]));
+  const history = createLandmarkHistory();
+  for (const frame of fixture.frames) {
+    history.push(frame.hands, frame.t, frame.body);
+    for (const label of labels) {
+      if (fired.has(label)) continue;
+      const r = recognize(label, frame.hands, history.frames(), frame.body);
+      if (r && r.label === label && r.confidence > minConfidence) {
+        counters[label] += 1;
+      } else {
+        counters[label] = Math.max(0, counters[label] - 1);
+      }
+      if (counters[label] >= stableFrames) fired.add(label);
+    }
+  }
+  return fired;
+}
+
+// Session-level precision/recall per label: { [label]: { tp, fp, fn, precision, recall } }
+export function evaluateFixtures(fixtures, labels, recognize = defaultRecognize) {
+  const report = Object.fromEntries(
+    labels.map((l) => [l, { tp: 0, fp: 0, fn: 0 }])
+  );
+  for (const fx of fixtures) {
+    const fired = replayFixture(fx, labels, recognize);
+    for (const label of labels) {
+      const row = report[label];
+      if (fired.has(label)) {
+        if (fx.label === label) row.tp += 1;
+        else row.fp += 1;
+      } else if (fx.label === label) {
+        row.fn += 1;
+      }
+    }
+  }
+  for (const row of Object.values(report)) {
+    row.precision = row.tp + row.fp ? row.tp / (row.tp + row.fp) : null;
+    row.recall = row.tp + row.fn ? row.tp / (row.tp + row.fn) : null;
+  }
+  return report;
+}
+
+export function formatReport(report) {
+  const pct = (v) => (v === null ? '   -' : `${Math.round(v * 100)}%`.padStart(4));
+  const lines = ['sign           tp  fp  fn  prec  recall'];
+  for (const [label, r] of Object.entries(report)) {
+    lines.push(
+      `${label.padEnd(14)} ${String(r.tp).padStart(2)}  ${String(r.fp).padStart(2)}  ${String(r.fn).padStart(2)}  ${pct(r.precision)}  ${pct(r.recall)}`
+    );
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,171 @@
+import { todayISO, isDue } from './srs.js';
+import { isReview } from './history.js';
+
+// --- Review Sessions ---
+// Start Review builds its queue from the production SRS track under the
+// learner's session settings (settings.session):
+//   maxReviews    signs already learned to review per day
+//   newPerDay     never-reviewed signs to introduce per day
+//   order         'overdue' | 'random' | 'category'
+//   newPlacement  'interleave' | 'first' | 'last' — where new signs go
+// Reviews already logged today count against both limits, so a second
+// session the same day only picks up what is left. Mark Known does not.
+export const SESSION_ORDERS = {
+  overdue: 'Most overdue first',
+  random: 'Random',
+  category: 'By category',
+};
+export const NEW_PLACEMENTS = {
+  interleave: 'Mixed in',
+  first: 'First',
+  last: 'Last',
+};
+export const DEFAULT_SESSION = {
+  maxReviews: 20,
+  newPerDay: 5,
+  order: 'overdue',
+  newPlacement: 'interleave',
+};
+const MAX_LIMIT = 999;
+
+// Blank or non-numeric input keeps the default; Number('') would be 0.
+const limit = (value, fallback) => {
+  if (value == null || String(value).trim() === '') return fallback;
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.min(MAX_LIMIT, Math.max(0, n)) : fallback;
+};
+
+// Stored options over the defaults, with limits clamped and unknown choices
+// dropped.
+export function sessionOptions(options = {}) {
+  const o = { ...DEFAULT_SESSION, ...options };
+  return {
+    maxReviews: limit(o.maxReviews, DEFAULT_SESSION.maxReviews),
+    newPerDay: limit(o.newPerDay, DEFAULT_SESSION.newPerDay),
+    order: SESSION_ORDERS[o.order] ? o.order : DEFAULT_SESSION.order,
+    newPlacement: NEW_PLACEMENTS[o.newPlacement]
+      ? o.newPlacement
+      : DEFAULT_SESSION.newPlacement,
+  };
+}
+
+// Never reviewed: still as newItem() left it.
+export function isNewItem(item) {
+  return !!item && !item.lastReview && !item.intervalDays;
+}
+
+/**
+ * Signs reviewed on `today` in production `history`, split into those
+ * introduced today (first ever review) and those reviewed again.
+ * Returns { reviews, newSigns } as counts of distinct signs.
+ */
+export function reviewedToday(history, today = todayISO()) {
+  const firstSeen = {};
+  const seenToday = new Set();
+  for (const e of history) {
+    if ((e.track || 'production') !== 'production') continue;
+    if (!isReview(e)) continue;
+    if (!firstSeen[e.id]) firstSeen[e.id] = e.date;
+    if (e.date === today) seenToday.add(e.id);
+  }
+  let newSigns = 0;
+  for (const id of seenToday) if (firstSeen[id] === today) newSigns += 1;
+  return { reviews: seenToday.size - newSigns, newSigns };
+}
+
+function shuffle(items, rand) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// `ids` arrive in deck order, which breaks ties.
+function orderIds(ids, srs, signs, order, rand) {
+  if (order === 'random') return shuffle(ids, rand);
+  const byDue = [...ids].sort((a, b) =>
+    srs[a].due < srs[b].due ? -1 : srs[a].due > srs[b].due ? 1 : 0
+  );
+  if (order !== 'category') return byDue;
+  const categoryOf = (id) => signs.find((s) => s.id === id)?.category || '';
+  const categories = [...new Set(signs.map((s) => s.category || ''))];
+  return categories.flatMap((c) => byDue.filter((id) => categoryOf(id) === c));
+}
+
+// New signs spread evenly through the reviews: r r n r r n r r
+function interleave(reviews, fresh) {
+  const at = (list) =>
+    list.map((id, i) => ({ id, pos: (i + 1) / (list.length + 1) }));
+  return [...at(reviews), ...at(fresh)]
+    .sort((a, b) => a.pos - b.pos)
+    .map((e) => e.id);
+}
+
+function place(reviews, fresh, placement) {
+  if (placement === 'first') return [...fresh, ...reviews];
+  if (placement === 'last') return [...reviews, ...fresh];
+  return interleave(reviews, fresh);
+}
+
+/**
+ * Today's review queue for `signs` (the current deck).
+ * Returns { queue, newSigns, held }: the sign ids in order, which of them
+ * are new, and how many due signs the daily limits leave out.
+ */
+export function buildSession(
+  srs,
+  signs,
+  history = [],
+  options = {},
+  { today = todayISO(), rand = Math.random } = {}
+) {
+  const opts = sessionOptions(options);
+  const done = reviewedToday(history, today);
+  const due = signs.map((s) => s.id).filter((id) => isDue(srs[id], today));
+  const fresh = due.filter((id) => isNewItem(srs[id]));
+  const reviews = due.filter((id) => !isNewItem(srs[id]));
+
+  const pick = (ids, max) =>
+    orderIds(ids, srs, signs, opts.order, rand).slice(0, Math.max(0, max));
+  const todayReviews = pick(reviews, opts.maxReviews - done.reviews);
+  const todayNew = pick(fresh, opts.newPerDay - done.newSigns);
+  return {
+    queue: place(todayReviews, todayNew, opts.newPlacement),
+    newSigns: todayNew,
+    held: due.length - todayReviews.length - todayNew.length,
+  };
+}
+
+/**
+ * Practice ahead of schedule: learned signs that are not due yet, soonest
+ * first, up to maxReviews. Grading them reschedules from today.
+ */
+export function buildAheadSession(
+  srs,
+  signs,
+  options = {},
+  { today = todayISO() } = {}
+) {
+  const { maxReviews } = sessionOptions(options);
+  const upcoming = signs
+    .map((s) => s.id)
+    .filter((id) => srs[id] && !isNewItem(srs[id]) && !isDue(srs[id], today));
+  return orderIds(upcoming, srs, signs, 'overdue').slice(0, maxReviews);
+}
+
+// --- Summary ---
+// results: [{ id, grade, source }] in the order they were graded.
+export function summarizeSession(results) {
+  const grades = { again: 0, hard: 0, good: 0, easy: 0 };
+  for (const r of results) if (r.grade in grades) grades[r.grade] += 1;
+  const total = results.length;
+  return {
+    total,
+    grades,
+    passed: total - grades.again,
+    ai: results.filter((r) => r.source === 'ai').length,
+    missed: results.filter((r) => r.grade === 'again').map((r) => r.id),
+  };
+}
@@ -0,0 +1,30 @@
+import { DEFAULT_SCHEDULER } from './srs.js';
+import { readJSON, writeJSON, profileKey } from './storage.js';
+import { ALL_DECK_ID } from './decks.js';
+import { DEFAULT_CAMERA } from './camera.js';
+import { DEFAULT_DETECTOR } from './detectors.js';
+import { DEFAULT_SESSION } from './session.js';
+
+const STORAGE_KEY = 'asl_settings_v1';
+
+export const DEFAULT_SETTINGS = {
+  scheduler: DEFAULT_SCHEDULER,
+  deckId: ALL_DECK_ID,
+  // Calibrated recognizer thresholds (see thresholds.js); null for defaults
+  thresholds: null,
+  dominantHand: 'right', // 'right' | 'left' (see handedness.js)
+  mirrorPreview: true, // show the webcam as a mirror
+  camera: DEFAULT_CAMERA, // { deviceId, resolution, facingMode }
+  detector: DEFAULT_DETECTOR, // { runtime, modelType, worker, body }
+  preferModel: false, // trained landmark model ahead of built-in recognizers
+  session: DEFAULT_SESSION, // daily limits and ordering (see session.js)
+};
+
+export function loadSettings() {
+  const stored = readJSON(profileKey(STORAGE_KEY)) || {};
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+export function saveSettings(settings) {
+  writeJSON(profileKey(STORAGE_KEY), settings);
+}
@@ -1,6 +1,20 @@
 import { ALL_SIGNS } from '../data/signs.js';
+import { loadVersioned, writeJSON, hasKey, profileKey } from './storage.js';
 
-const STORAGE_KEY = 'asl_srs_v1';
+const STORAGE_KEY = 'asl_srs_v2';
+const LEGACY_KEY = 'asl_srs_v1';
+// Each track schedules every sign on its own: production (make the sign) and
+// receptive (recognize it in the quiz). Same document schema for both.
+export const SRS_TRACKS = ['production', 'receptive'];
+const TRACK_KEYS = {
+  production: STORAGE_KEY,
+  receptive: 'asl_srs_receptive_v2',
+};
+const SCHEMA_VERSION = 2;
+const MIGRATIONS = {
+  // v1 was the bare { [id]: item } map under asl_srs_v1
+  2: ({ data }) => ({ items: data || {} }),
+};
 
 export function todayISO(d = new Date()) {
   // yyyy-mm-dd (local midnight)
@@ -8,38 +22,73 @@ export function todayISO(d = new Date()) {
   return z.toISOString().slice(0, 10);
 }
 
-export function loadSrs() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (raw) return JSON.parse(raw);
-  } catch {
-    // ignore
+export function newItem(due = todayISO()) {
+  return { ease: 2.3, intervalDays: 0, due, streak: 0 };
+}
+
+// Adds items for new signs and drops items for signs that no longer exist.
+export function reconcileSrs(items, signIds, today = todayISO()) {
+  const next = {};
+  let changed = false;
+  for (const id of signIds) {
+    if (items[id]) next[id] = items[id];
+    else {
+      next[id] = newItem(today);
+      changed = true;
+    }
   }
-  const now = todayISO();
-  const init = {};
-  ALL_SIGNS.forEach(({ id }) => {
-    init[id] = { ease: 2.3, intervalDays: 0, due: now, streak: 0 };
+  if (Object.keys(items).some((id) => !next[id])) changed = true;
+  return { items: next, changed };
+}
+
+// Keys holding a document this build could not read (newer version, failed
+// migration, invalid JSON). saveSrs() leaves them alone so the stored
+// progress survives until a build that can read it; the failure itself is
+// reported by the storage layer.
+const unreadable = new Set();
+
+export function loadSrs(signs = ALL_SIGNS, track = 'production') {
+  const key = profileKey(TRACK_KEYS[track]);
+  const legacyKey = track === 'production' ? profileKey(LEGACY_KEY) : undefined;
+  const doc = loadVersioned(key, {
+    version: SCHEMA_VERSION,
+    migrations: MIGRATIONS,
+    legacyKey,
   });
-  saveSrs(init);
-  return init;
+  const stored = hasKey(key) || (!!legacyKey && hasKey(legacyKey));
+  if (!doc && stored) unreadable.add(key);
+  else unreadable.delete(key);
+  const { items, changed } = reconcileSrs(
+    doc?.items || {},
+    signs.map((s) => s.id)
+  );
+  if (!doc ? !stored : changed) saveSrs(items, track);
+  return items;
 }
 
-export function saveSrs(srs) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(srs));
-  } catch {
-    // ignore
-  }
+export function saveSrs(srs, track = 'production') {
+  const key = profileKey(TRACK_KEYS[track]);
+  if (unreadable.has(key)) return;
+  writeJSON(key, { version: SCHEMA_VERSION, items: srs });
 }
 
 export function isDue(item, onDate = todayISO()) {
   return item && item.due <= onDate;
 }
 
-export function schedule(srs, id, success, startDateISO = todayISO()) {
-  const nextItem = scheduleSim(srs[id], success, startDateISO);
-  srs[id] = nextItem;
-  saveSrs(srs);
+// `grade` is one of GRADES; booleans are accepted as Good / Again.
+export function schedule(
+  srs,
+  id,
+  grade,
+  startDateISO = todayISO(),
+  scheduler = DEFAULT_SCHEDULER,
+  track = 'production'
+) {
+  const g = toGrade(grade);
+  const fn = (SCHEDULERS[scheduler] || SCHEDULERS[DEFAULT_SCHEDULER]).schedule;
+  srs[id] = fn(srs[id], g, startDateISO);
+  saveSrs(srs, track);
 }
 
 export function scheduleSim(item, success, startDateISO) {
@@ -67,182 +116,151 @@ export function scheduleSim(item, success, startDateISO) {
   return { ease, intervalDays, due: todayISO(d), streak };
 }
 
-// --- Hand Landmark Utilities ---
-function dist(a, b) {
-  const dx = (a?.x || 0) - (b?.x || 0);
-  const dy = (a?.y || 0) - (b?.y || 0);
-  return Math.hypot(dx, dy);
-}
+// --- Graded Schedulers ---
+export const GRADES = ['again', 'hard', 'good', 'easy'];
 
-function angleABC(a, b, c) {
-  const abx = (a.x || 0) - (b.x || 0);
-  const aby = (a.y || 0) - (b.y || 0);
-  const cbx = (c.x || 0) - (b.x || 0);
-  const cby = (c.y || 0) - (b.y || 0);
-  const dot = abx * cbx + aby * cby;
-  const mag = Math.hypot(abx, aby) * Math.hypot(cbx, cby);
-  if (mag === 0) return 0;
-  const cos = Math.min(1, Math.max(-1, dot / mag));
-  return (Math.acos(cos) * 180) / Math.PI;
+export function toGrade(grade) {
+  if (grade === true) return 'good';
+  if (grade === false) return 'again';
+  return GRADES.includes(grade) ? grade : 'again';
 }
 
-function palmSize(hand) {
-  const w = hand?.keypoints?.[0];
-  const m = hand?.keypoints?.[9];
-  if (!w || !m) return 1;
-  return dist(w, m);
+function addDays(startDateISO, days) {
+  const d = new Date(startDateISO);
+  d.setDate(d.getDate() + days);
+  return todayISO(d);
 }
 
-function fingerAngles(hand) {
-  const kp = hand?.keypoints || [];
-  const safe = (i) => kp[i] || kp[0] || { x: 0, y: 0 };
-  const thumb = {
-    pip: angleABC(safe(2), safe(3), safe(4)),
-    mcp: angleABC(safe(1), safe(2), safe(3)),
-  };
-  const index = {
-    pip: angleABC(safe(5), safe(6), safe(7)),
-    dip: angleABC(safe(6), safe(7), safe(8)),
-  };
-  const middle = {
-    pip: angleABC(safe(9), safe(10), safe(11)),
-    dip: angleABC(safe(10), safe(11), safe(12)),
-  };
-  const ring = {
-    pip: angleABC(safe(13), safe(14), safe(15)),
-    dip: angleABC(safe(14), safe(15), safe(16)),
-  };
-  const pinky = {
-    pip: angleABC(safe(17), safe(18), safe(19)),
-    dip: angleABC(safe(18), safe(19), safe(20)),
-  };
-  return { thumb, index, middle, ring, pinky };
+function daysBetween(fromISO, toISO) {
+  if (!fromISO || !toISO) return 0;
+  return Math.max(0, Math.round((new Date(toISO) - new Date(fromISO)) / 864e5));
 }
 
-function isExtended(pip, dip) {
-  return pip > 160 && (dip === undefined || dip > 160);
-}
+// Classic SM-2: quality 0..5 (Again=1, Hard=3, Good=4, Easy=5); `streak` is
+// the repetition count and `ease` the E-Factor.
+const SM2_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
 
-function isCurled(pip, dip) {
-  return pip < 100 && (dip === undefined || dip < 100);
-}
+export function sm2(item, grade, startDateISO) {
+  const base = item || { ease: 2.5, intervalDays: 0, streak: 0 };
+  const q = SM2_QUALITY[toGrade(grade)];
+  let { ease, intervalDays, streak } = base;
 
-// --- Simple Heuristic Recognizers ---
-function recogILY(hands) {
-  if (!hands || hands.length < 1) return null;
-  for (const hand of hands) {
-    const ang = fingerAngles(hand);
-    const thumbOK = ang.thumb.pip > 160;
-    const indexOK = isExtended(ang.index.pip, ang.index.dip);
-    const middleCurled = isCurled(ang.middle.pip, ang.middle.dip);
-    const ringCurled = isCurled(ang.ring.pip, ang.ring.dip);
-    const pinkyOK = isExtended(ang.pinky.pip, ang.pinky.dip);
-    const score =
-      [thumbOK, indexOK, middleCurled, ringCurled, pinkyOK].filter(Boolean)
-        .length / 5;
-    if (score > 0.8) return { label: 'I Love You', confidence: score };
+  if (q >= 3) {
+    if (streak === 0) intervalDays = 1;
+    else if (streak === 1) intervalDays = 6;
+    else intervalDays = Math.max(1, Math.round(intervalDays * ease));
+    streak += 1;
+  } else {
+    streak = 0;
+    intervalDays = 1;
   }
-  return null;
+  ease = Math.max(1.3, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  return {
+    ...base,
+    ease,
+    intervalDays,
+    streak,
+    due: addDays(startDateISO, intervalDays),
+    lastReview: startDateISO,
+  };
 }
 
-function recogStop(hands) {
-  if (!hands || hands.length < 1) return null;
-  const hand = hands[0];
-  const ang = fingerAngles(hand);
-  const indexOK = isExtended(ang.index.pip, ang.index.dip);
-  const middleOK = isExtended(ang.middle.pip, ang.middle.dip);
-  const ringOK = isExtended(ang.ring.pip, ang.ring.dip);
-  const pinkyOK = isExtended(ang.pinky.pip, ang.pinky.dip);
-  const count = [indexOK, middleOK, ringOK, pinkyOK].filter(Boolean).length;
-  const confidence = count / 4;
-  if (confidence > 0.85) return { label: 'Stop', confidence };
-  return null;
-}
+// FSRS-4.5 with default weights and 90% desired retention.
+const FSRS_W = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const FSRS_RETENTION = 0.9;
+const FSRS_RATING = { again: 1, hard: 2, good: 3, easy: 4 };
 
-function isOShape(hand) {
-  const kp = hand?.keypoints || [];
-  const pSize = palmSize(hand);
-  const thumbTip = kp[4], indexTip = kp[8];
-  if (!thumbTip || !indexTip) return false;
-  const pinch = dist(thumbTip, indexTip) / (pSize || 1);
-  return pinch < 0.35;
-}
+const clampD = (d) => Math.min(10, Math.max(1, d));
+const initStability = (g) => FSRS_W[g - 1];
+const initDifficulty = (g) => clampD(FSRS_W[4] - (g - 3) * FSRS_W[5]);
 
-function handCenter(hand) {
-  const kp = hand?.keypoints || [];
-  const ptsIdx = [0, 5, 9, 13, 17];
-  const pts = ptsIdx.map((i) => kp[i]).filter(Boolean);
-  if (!pts.length) return { x: 0, y: 0 };
-  const x = pts.reduce((s, p) => s + p.x, 0) / pts.length;
-  const y = pts.reduce((s, p) => s + p.y, 0) / pts.length;
-  return { x, y };
+export function retrievability(elapsedDays, stability) {
+  return Math.pow(1 + (FSRS_FACTOR * elapsedDays) / stability, FSRS_DECAY);
 }
 
-function recogMore(hands) {
-  if (!hands || hands.length < 2) return null;
-  const h1 = hands[0], h2 = hands[1];
-  const o1 = isOShape(h1);
-  const o2 = isOShape(h2);
-  if (!(o1 && o2)) return null;
-  const c1 = handCenter(h1), c2 = handCenter(h2);
-  const ps = (palmSize(h1) + palmSize(h2)) / 2 || 1;
-  const centersClose = dist(c1, c2) / ps < 1.2;
-  if (centersClose) return { label: 'More', confidence: 0.9 };
-  return null;
+function fsrsInterval(stability) {
+  const days =
+    (stability / FSRS_FACTOR) * (Math.pow(FSRS_RETENTION, 1 / FSRS_DECAY) - 1);
+  return Math.max(1, Math.round(days));
 }
 
-function isFist(hand) {
-  const ang = fingerAngles(hand);
-  const fingersCurled = [
-    isCurled(ang.index.pip, ang.index.dip),
-    isCurled(ang.middle.pip, ang.middle.dip),
-    isCurled(ang.ring.pip, ang.ring.dip),
-    isCurled(ang.pinky.pip, ang.pinky.dip),
-  ];
-  const count = fingersCurled.filter(Boolean).length;
-  return count >= 3;
-}
+export function fsrs(item, grade, startDateISO) {
+  const base = item || { ease: 2.3, intervalDays: 0, streak: 0 };
+  const g = FSRS_RATING[toGrade(grade)];
+  let { stability, difficulty } = base;
+  let streak = base.streak || 0;
 
-function isFlatPalm(hand) {
-  const ang = fingerAngles(hand);
-  const fingersExt = [
-    isExtended(ang.index.pip, ang.index.dip),
-    isExtended(ang.middle.pip, ang.middle.dip),
-    isExtended(ang.ring.pip, ang.ring.dip),
-    isExtended(ang.pinky.pip, ang.pinky.dip),
-  ];
-  const count = fingersExt.filter(Boolean).length;
-  return count >= 3;
-}
-
-function recogHelp(hands) {
-  if (!hands || hands.length < 2) return null;
-  const [a, b] = hands;
-  const aFist = isFist(a), aFlat = isFlatPalm(a);
-  const bFist = isFist(b), bFlat = isFlatPalm(b);
-  const aC = handCenter(a), bC = handCenter(b);
-  const ps = (palmSize(a) + palmSize(b)) / 2 || 1;
-  const near =
-    Math.abs(aC.x - bC.x) / ps < 1.2 && Math.abs(aC.y - bC.y) / ps < 1.2;
-  const aAbove = aC.y < bC.y;
-  if (aFist && bFlat && near && aAbove)
-    return { label: 'Help', confidence: 0.85 };
-  if (bFist && aFlat && near && !aAbove)
-    return { label: 'Help', confidence: 0.85 };
-  return null;
-}
+  if (stability == null && base.intervalDays > 0) {
+    // Item scheduled by another algorithm: seed from its current interval
+    stability = base.intervalDays;
+    difficulty = initDifficulty(3);
+  }
 
-export function recognize(target, hands) {
-  switch (target) {
-    case 'I Love You':
-      return recogILY(hands);
-    case 'Stop':
-      return recogStop(hands);
-    case 'More':
-      return recogMore(hands);
-    case 'Help':
-      return recogHelp(hands);
-    default:
-      return null;
+  if (stability == null) {
+    stability = initStability(g);
+    difficulty = initDifficulty(g);
+  } else {
+    const last =
+      base.lastReview || addDays(base.due || startDateISO, -base.intervalDays);
+    const elapsed = daysBetween(last, startDateISO);
+    const r = retrievability(elapsed, stability);
+    const d = difficulty;
+    if (g === 1) {
+      stability =
+        FSRS_W[11] *
+        Math.pow(d, -FSRS_W[12]) *
+        (Math.pow(stability + 1, FSRS_W[13]) - 1) *
+        Math.exp(FSRS_W[14] * (1 - r));
+    } else {
+      const hardPenalty = g === 2 ? FSRS_W[15] : 1;
+      const easyBonus = g === 4 ? FSRS_W[16] : 1;
+      stability *=
+        1 +
+        Math.exp(FSRS_W[8]) *
+          (11 - d) *
+          Math.pow(stability, -FSRS_W[9]) *
+          (Math.exp(FSRS_W[10] * (1 - r)) - 1) *
+          hardPenalty *
+          easyBonus;
+    }
+    // Mean reversion toward D0(Good), as in FSRS-4.5 (FSRS-5 uses D0(Easy))
+    const next = d - FSRS_W[6] * (g - 3);
+    difficulty = clampD(FSRS_W[7] * initDifficulty(3) + (1 - FSRS_W[7]) * next);
   }
+
+  streak = g === 1 ? 0 : streak + 1;
+  const intervalDays = g === 1 ? 1 : fsrsInterval(stability);
+  return {
+    ...base,
+    stability,
+    difficulty,
+    intervalDays,
+    streak,
+    due: addDays(startDateISO, intervalDays),
+    lastReview: startDateISO,
+  };
 }
+
+export const SCHEDULERS = {
+  sm2: { label: 'SM-2', schedule: sm2 },
+  fsrs: { label: 'FSRS', schedule: fsrs },
+  // Original SM2-lite pass/fail scheduler
+  lite: {
+    label: 'SM2-lite',
+    schedule: (item, grade, startDateISO) => ({
+      ...item,
+      ...scheduleSim(item, grade !== 'again', startDateISO),
+      lastReview: startDateISO,
+    }),
+  },
+};
+// Unchanged from before graded schedulers, so existing progress keeps its
+// intervals until the learner picks SM-2 or FSRS.
+export const DEFAULT_SCHEDULER = 'lite';
+
+export { recognize } from '../recognizers/index.js';
@@ -0,0 +1,232 @@
+// --- Storage Layer ---
+// Small synchronous data (SRS state, settings) stays in localStorage as
+// versioned JSON; larger data (review history, templates) goes to an
+// IndexedDB key-value store. Failures are reported, not swallowed.
+
+const listeners = new Set();
+// Reported while nobody was listening, e.g. by the loaders that run before
+// the app subscribes; handed to the next listener.
+let unheard = null;
+
+export class StorageError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'StorageError';
+    this.cause = cause;
+  }
+}
+
+export function onStorageError(listener) {
+  listeners.add(listener);
+  if (unheard) {
+    const err = unheard;
+    unheard = null;
+    listener(err);
+  }
+  return () => listeners.delete(listener);
+}
+
+function report(context, e) {
+  const err = new StorageError(
+    `${context}: ${e && e.message ? e.message : e}`,
+    e
+  );
+  console.error('Storage error', err);
+  if (listeners.size === 0) unheard = err;
+  listeners.forEach((l) => l(err));
+}
+
+// --- Profile namespaces ---
+// Each learner profile gets its own copy of per-profile keys. The default
+// profile uses the bare keys so data from before profiles existed is kept.
+let namespace = '';
+
+export function setActiveProfile(profileId) {
+  namespace = profileId && profileId !== 'default' ? `p:${profileId}:` : '';
+}
+
+export function profileKey(key) {
+  return namespace + key;
+}
+
+// Outside the browser (tests, SSR) keep data in memory instead.
+const memory = new Map();
+const hasLocalStorage = () => typeof localStorage !== 'undefined';
+const hasIndexedDb = () => typeof indexedDB !== 'undefined';
+
+// --- localStorage (sync) ---
+export function readJSON(key) {
+  try {
+    const raw = hasLocalStorage() ? localStorage.getItem(key) : memory.get(key);
+    return raw == null ? undefined : JSON.parse(raw);
+  } catch (e) {
+    report(`Could not read ${key}`, e);
+    return undefined;
+  }
+}
+
+export function writeJSON(key, value) {
+  try {
+    const raw = JSON.stringify(value);
+    if (hasLocalStorage()) localStorage.setItem(key, raw);
+    else memory.set(key, raw);
+    return true;
+  } catch (e) {
+    report(`Could not save ${key}`, e);
+    return false;
+  }
+}
+
+// True when something is stored under `key`, readable or not.
+export function hasKey(key) {
+  try {
+    return hasLocalStorage()
+      ? localStorage.getItem(key) != null
+      : memory.has(key);
+  } catch {
+    return false;
+  }
+}
+
+export function removeKey(key) {
+  try {
+    if (hasLocalStorage()) localStorage.removeItem(key);
+    else memory.delete(key);
+  } catch (e) {
+    report(`Could not remove ${key}`, e);
+  }
+}
+
+// --- Schema versioning ---
+// Versioned documents look like { version, ...data }. `migrations[n]` turns a
+// version n-1 document into version n.
+export function migrate(doc, targetVersion, migrations) {
+  let current = doc;
+  let version = current?.version ?? 1;
+  if (version > targetVersion) {
+    throw new StorageError(
+      `Stored data is version ${version}, newer than supported ${targetVersion}`
+    );
+  }
+  while (version < targetVersion) {
+    const step = migrations[version + 1];
+    if (!step) throw new StorageError(`No migration to version ${version + 1}`);
+    current = { ...step(current), version: version + 1 };
+    version += 1;
+  }
+  return current;
+}
+
+// Reads `key`, falling back to `legacyKey` (an unversioned v1 blob) and
+// migrating it forward. Returns undefined when nothing is stored.
+export function loadVersioned(key, { version, migrations, legacyKey }) {
+  let doc = readJSON(key);
+  let fromLegacy = false;
+  if (doc === undefined && legacyKey) {
+    const legacy = readJSON(legacyKey);
+    if (legacy !== undefined) {
+      doc = { version: 1, data: legacy };
+      fromLegacy = true;
+    }
+  }
+  if (doc === undefined) return undefined;
+  try {
+    const migrated = migrate(doc, version, migrations);
+    if (migrated !== doc && writeJSON(key, migrated) && fromLegacy) {
+      removeKey(legacyKey);
+    }
+    return migrated;
+  } catch (e) {
+    report(`Could not migrate ${key}`, e);
+    return undefined;
+  }
+}
+
+// --- IndexedDB key-value store (async) ---
+const DB_NAME = 'asl_trainer';
+const DB_VERSION = 1;
+const KV_STORE = 'kv';
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(KV_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function kvRequest(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(KV_STORE, mode);
+    const req = fn(tx.objectStore(KV_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function kvGet(key) {
+  if (!hasIndexedDb()) return readJSON(key);
+  try {
+    return await kvRequest('readonly', (s) => s.get(key));
+  } catch (e) {
+    report(`Could not read ${key}`, e);
+    return undefined;
+  }
+}
+
+export async function kvSet(key, value) {
+  if (!hasIndexedDb()) return writeJSON(key, value);
+  try {
+    await kvRequest('readwrite', (s) => s.put(value, key));
+    return true;
+  } catch (e) {
+    report(`Could not save ${key}`, e);
+    return false;
+  }
+}
+
+export async function kvDelete(key) {
+  if (!hasIndexedDb()) return removeKey(key);
+  try {
+    await kvRequest('readwrite', (s) => s.delete(key));
+  } catch (e) {
+    report(`Could not remove ${key}`, e);
+  }
+}
+
+// One-time move of a localStorage blob into IndexedDB.
+export async function moveToKv(localKey, kvKey) {
+  if (!hasIndexedDb()) return;
+  const legacy = readJSON(localKey);
+  if (legacy === undefined) return;
+  const existing = await kvGet(kvKey);
+  if (existing === undefined && !(await kvSet(kvKey, legacy))) return;
+  removeKey(localKey);
+}
+
+// Removes every namespaced key of a (non-default) profile.
+export async function removeProfileData(profileId) {
+  if (!profileId || profileId === 'default') return;
+  const prefix = `p:${profileId}:`;
+  try {
+    const keys = hasLocalStorage()
+      ? Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+      : [...memory.keys()];
+    keys.filter((k) => k && k.startsWith(prefix)).forEach(removeKey);
+    if (hasIndexedDb()) {
+      const kvKeys = await kvRequest('readonly', (s) => s.getAllKeys());
+      await Promise.all(
+        kvKeys.filter((k) => String(k).startsWith(prefix)).map(kvDelete)
+      );
+    }
+  } catch (e) {
+    report(`Could not remove profile ${profileId}`, e);
+  }
+}
@@ -0,0 +1,106 @@
+import { palmSize, handCenter } from './landmarks.js';
+import { kvGet, kvSet, moveToKv, profileKey } from './storage.js';
+
+const LEGACY_KEY = 'asl_templates_v1';
+const KV_KEY = 'templates';
+export const MAX_DIST = 1; // mean keypoint distance (palm units) at confidence 0
+
+// --- Normalization ---
+// Wrist-relative keypoints scaled by palm size: [[x, y], ...21].
+export function normalizeHand(hand) {
+  const kp = hand?.keypoints || [];
+  const wrist = kp[0];
+  if (!wrist || kp.length < 21) return null;
+  const ps = palmSize(hand) || 1;
+  const round = (v) => Math.round(v * 1000) / 1000;
+  return kp.map((p) => [round((p.x - wrist.x) / ps), round((p.y - wrist.y) / ps)]);
+}
+
+// Left → right so two-handed snapshots line up regardless of detector order.
+export function normalizeHands(hands) {
+  const sorted = [...(hands || [])].sort(
+    (a, b) => handCenter(a).x - handCenter(b).x
+  );
+  const out = sorted.map(normalizeHand);
+  return out.every(Boolean) ? out : null;
+}
+
+export function templateDistance(a, b) {
+  if (!a || !b || a.length !== b.length || !a.length) return Infinity;
+  let total = 0;
+  for (let h = 0; h < a.length; h++) {
+    let sum = 0;
+    for (let i = 0; i < a[h].length; i++) {
+      sum += Math.hypot(a[h][i][0] - b[h][i][0], a[h][i][1] - b[h][i][1]);
+    }
+    total += sum / a[h].length;
+  }
+  return total / a.length;
+}
+
+// Nearest neighbour over every stored template: { label, distance } or null.
+export function nearestTemplate(hands, templates) {
+  const query = normalizeHands(hands);
+  if (!query || !query.length) return null;
+  let best = null;
+  for (const [label, snaps] of Object.entries(templates || {})) {
+    for (const snap of snaps) {
+      const d = templateDistance(query, snap.hands);
+      if (!best || d < best.distance) best = { label, distance: d };
+    }
+  }
+  return best;
+}
+
+export function matchTemplates(target, hands, templates) {
+  const best = nearestTemplate(hands, templates);
+  if (!best || best.label !== target) return null;
+  const confidence = Math.max(0, 1 - best.distance / MAX_DIST);
+  return { label: target, confidence };
+}
+
+// --- Storage ---
+// Recognizers run every frame, so templates are served from memory;
+// initTemplates() loads the active profile's templates from IndexedDB.
+let cache = {};
+
+export async function initTemplates() {
+  const key = profileKey(KV_KEY);
+  await moveToKv(profileKey(LEGACY_KEY), key);
+  cache = (await kvGet(key)) || {};
+  return cache;
+}
+
+export function loadTemplates() {
+  return cache;
+}
+
+// Serve `templates` without touching storage; the detector worker gets the
+// page's copy this way.
+export function primeTemplates(templates) {
+  cache = templates || {};
+}
+
+export function saveTemplates(templates) {
+  cache = templates;
+  return kvSet(profileKey(KV_KEY), templates);
+}
+
+export function hasTemplates(signId) {
+  return (loadTemplates()[signId] || []).length > 0;
+}
+
+export function addTemplate(signId, hands, t = Date.now()) {
+  const normalized = normalizeHands(hands);
+  if (!normalized || !normalized.length) return false;
+  const all = { ...loadTemplates() };
+  all[signId] = [...(all[signId] || []), { hands: normalized, t }];
+  saveTemplates(all);
+  return true;
+}
+
+export function clearTemplates(signId) {
+  const all = { ...loadTemplates() };
+  delete all[signId];
+  saveTemplates(all);
+}
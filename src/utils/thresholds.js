@@ -0,0 +1,22 @@
+// --- Recognizer Thresholds ---
+// Tunable limits the landmark checks, recognizers and practice acceptance
+// read at runtime. App applies the active profile's calibrated values (see
+// calibration.js); anything not set falls back to the defaults.
+export const DEFAULT_THRESHOLDS = {
+  extendedAngle: 160, // finger straight: PIP and DIP above this (°)
+  curledAngle: 100, // finger curled: PIP and DIP below this (°)
+  pinchRatio: 0.35, // O shape: thumb tip to index tip below this (× palm)
+  minConfidence: 0.8, // practice accepts results above this confidence
+  stableFrames: 8, // … held for this many net frames
+};
+
+let active = { ...DEFAULT_THRESHOLDS };
+
+export function getThresholds() {
+  return active;
+}
+
+// `null` restores the defaults.
+export function setThresholds(thresholds) {
+  active = { ...DEFAULT_THRESHOLDS, ...(thresholds || {}) };
+}
@@ -0,0 +1,118 @@
+import { getThresholds } from './thresholds.js';
+
+// --- Conversation Transcript ---
+// Conversation mode runs every recognizable sign on each frame (scanFrame()
+// in frame.js) and turns the results into a transcript of signs. A sign is
+// accepted with the practice rule: the best passing sign above minConfidence
+// for stableFrames net frames. It is then held until it stops passing for
+// RELEASE_FRAMES frames or the hands leave the view, so one long sign is
+// written once and the next sign starts a new segment.
+export const RELEASE_FRAMES = 4;
+// A pause this long between signs starts a new phrase
+export const PHRASE_GAP_MS = 2500;
+
+/**
+ * Feed one frame at a time: push(scanned, t, handsInView) with scanFrame()
+ * results and a timestamp in ms; returns the accepted entry
+ * { id, t, confidence, newPhrase } or null. `t` in entries is relative to
+ * the first frame. `candidate` is the sign currently building up, if any.
+ */
+export function createSegmenter({
+  releaseFrames = RELEASE_FRAMES,
+  phraseGapMs = PHRASE_GAP_MS,
+} = {}) {
+  let counters = {};
+  let holding = null; // { id, missed, lastSeen }
+  let lastEnd = null;
+  let t0 = null;
+  let candidate = null;
+
+  return {
+    push(scanned, t, handsInView = true) {
+      if (t0 === null) t0 = t;
+      const { minConfidence, stableFrames } = getThresholds();
+      const passing = scanned
+        .filter((r) => r.passed && r.confidence > minConfidence)
+        .sort((a, b) => b.confidence - a.confidence);
+
+      if (holding) {
+        if (handsInView && passing.some((r) => r.id === holding.id)) {
+          holding.missed = 0;
+          holding.lastSeen = t;
+          return null;
+        }
+        holding.missed += 1;
+        if (handsInView && holding.missed < releaseFrames) return null;
+        lastEnd = holding.lastSeen;
+        holding = null;
+      }
+
+      const best = passing[0] || null;
+      for (const id of Object.keys(counters)) {
+        if (id !== best?.id) counters[id] = Math.max(0, counters[id] - 1);
+      }
+      candidate = best;
+      if (!best) return null;
+      counters[best.id] = (counters[best.id] || 0) + 1;
+      if (counters[best.id] < stableFrames) return null;
+
+      counters = {};
+      candidate = null;
+      holding = { id: best.id, missed: 0, lastSeen: t };
+      return {
+        id: best.id,
+        t: Math.round(t - t0),
+        confidence: best.confidence,
+        newPhrase: lastEnd === null || t - lastEnd >= phraseGapMs,
+      };
+    },
+    get candidate() {
+      return candidate;
+    },
+    get holding() {
+      return holding?.id || null;
+    },
+    reset() {
+      counters = {};
+      holding = null;
+      lastEnd = null;
+      t0 = null;
+      candidate = null;
+    },
+  };
+}
+
+// Gloss for the transcript: the sign's gloss, else its name in capitals.
+export function glossOf(id, signs = []) {
+  const sign = signs.find((s) => s.id === id);
+  return sign?.gloss || id.toUpperCase();
+}
+
+// Entries grouped into phrases: [[entry, ...], ...].
+export function toPhrases(entries) {
+  const phrases = [];
+  for (const e of entries) {
+    if (e.newPhrase || !phrases.length) phrases.push([]);
+    phrases[phrases.length - 1].push(e);
+  }
+  return phrases;
+}
+
+export function formatTime(ms) {
+  const s = ms / 1000;
+  const m = Math.floor(s / 60);
+  return `${m}:${(s - m * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Plain-text transcript, one phrase per line with its start time:
+// "0:03.2  MORE EAT PLEASE"
+export function transcriptText(entries, signs = []) {
+  return toPhrases(entries)
+    .map(
+      (phrase) =>
+        `${formatTime(phrase[0].t)}  ${phrase
+          .map((e) => glossOf(e.id, signs))
+          .join(' ')}`
+    )
+    .join('\n');
+}
@@ -0,0 +1,126 @@
+import {
+  createHandDetector,
+  createPoseDetector,
+  detectorConfig,
+} from '../utils/detectors.js';
+import { bodyFrame } from '../utils/body.js';
+import { createLandmarkHistory } from '../utils/motion.js';
+import { drawVideo } from '../utils/draw.js';
+import { analyzeFrame, scanFrame, drawOverlay } from '../utils/frame.js';
+import { setThresholds } from '../utils/thresholds.js';
+import { setDominantHand } from '../utils/handedness.js';
+import { primeTemplates } from '../utils/templates.js';
+import { primeModel, setModelPreferred } from '../utils/classifier.js';
+import { explain } from '../recognizers/index.js';
+
+// --- Detector Worker ---
+// Runs the hand detector, the practice overlay and the recognizers off the
+// main thread. Protocol and page side: utils/detectorWorker.js.
+
+let detector = null;
+let pose = null; // face/body detector when settings.detector.body is on
+let ctx = null;
+let config = {};
+const history = createLandmarkHistory();
+
+function configure(next) {
+  if ('thresholds' in next) setThresholds(next.thresholds);
+  if ('dominantHand' in next) setDominantHand(next.dominantHand);
+  if ('templates' in next) primeTemplates(next.templates);
+  if ('model' in next) primeModel(next.model);
+  if ('preferModel' in next) setModelPreferred(next.preferModel);
+  if ('target' in next && next.target !== config.target) history.clear();
+  config = { ...config, ...next };
+}
+
+async function toBitmap(frame) {
+  if (typeof ImageBitmap === 'function' && frame instanceof ImageBitmap) {
+    return frame;
+  }
+  try {
+    return await createImageBitmap(frame);
+  } finally {
+    frame.close();
+  }
+}
+
+async function processFrame({ frame, draw, recognize, teaching, scan }) {
+  const bitmap = await toBitmap(frame);
+  try {
+    const hands = await detector.estimateHands(bitmap, {
+      flipHorizontal: true,
+    });
+    if (!draw) return { hands };
+    let body = null;
+    if (pose) {
+      const poses = await pose.estimatePoses(bitmap, {
+        flipHorizontal: true,
+      });
+      body = bodyFrame(poses[0]);
+    }
+    history.push(hands, performance.now(), body);
+    const { pairs, explained, fingerHints } = analyzeFrame(
+      hands,
+      history.frames(),
+      { ...config, explain, body, recognize, teaching }
+    );
+    const scanned = scan
+      ? scanFrame(hands, history.frames(), { signs: scan, explain, body })
+      : null;
+    if (ctx) {
+      ctx.canvas.width = bitmap.width;
+      ctx.canvas.height = bitmap.height;
+      drawVideo(ctx, bitmap, config.mirror);
+      drawOverlay(ctx, hands, pairs, config);
+    }
+    return { hands, body, explained, fingerHints, scanned };
+  } finally {
+    bitmap.close();
+  }
+}
+
+async function handle(data) {
+  switch (data.type) {
+    case 'init': {
+      // WebGL on OffscreenCanvas; see runsInWorker()
+      const options = data.options || {};
+      if (detectorConfig(options).runtime !== 'tfjs') {
+        throw new Error('The detector worker only runs TensorFlow.js');
+      }
+      detector = await createHandDetector(options, { dev: data.dev });
+      if (options.body) {
+        try {
+          pose = await createPoseDetector(options, { dev: data.dev });
+        } catch (e) {
+          console.warn('Face/body detector unavailable', e);
+        }
+      }
+      return { body: !!pose };
+    }
+    case 'canvas':
+      ctx = data.canvas.getContext('2d');
+      return null;
+    case 'config':
+      configure(data.config || {});
+      return null;
+    case 'frame':
+      if (!detector) {
+        data.frame.close();
+        throw new Error('Detector not ready');
+      }
+      return processFrame(data);
+    default:
+      throw new Error(`Unknown message: ${data.type}`);
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    const result = await handle(data);
+    if (data.id != null) self.postMessage({ ...result, id: data.id });
+  } catch (e) {
+    if (data.id != null) {
+      self.postMessage({ id: data.id, error: e?.message || String(e) });
+    }
+  }
+};
@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildBackup,
+  parseBackup,
+  mergeBackup,
+  historyToCsv,
+} from '../src/utils/backup.js';
+
+const local = {
+  srs: {
+    Help: { due: '2025-01-10', lastReview: '2025-01-04', streak: 2 },
+    Stop: { due: '2025-01-05', lastReview: '2025-01-01', streak: 1 },
+  },
+  history: [{ id: 'Help', at: '2025-01-04T10:00:00.000Z', grade: 'good' }],
+  templates: { Please: [{ t: 1, hands: [] }] },
+  customSigns: [{ id: 'Nap', category: 'Bedtime', updatedAt: '2025-01-01' }],
+  decks: [{ id: 'bedtime', name: 'Bedtime', signIds: ['Sleep'] }],
+  settings: { scheduler: 'sm2' },
+};
+
+const remote = buildBackup(
+  {
+    srs: {
+      Help: { due: '2025-01-08', lastReview: '2025-01-02', streak: 1 },
+      Stop: { due: '2025-01-20', lastReview: '2025-01-06', streak: 3 },
+    },
+    history: [
+      { id: 'Help', at: '2025-01-04T10:00:00.000Z', grade: 'good' },
+      { id: 'Stop', at: '2025-01-06T09:00:00.000Z', grade: 'easy' },
+    ],
+    templates: { Please: [{ t: 1, hands: [] }, { t: 2, hands: [] }] },
+    customSigns: [{ id: 'Nap', category: 'Naps', updatedAt: '2025-02-01' }],
+    decks: [{ id: 'meals', name: 'Meals', signIds: ['Eat', 'More'] }],
+    settings: { scheduler: 'fsrs' },
+  },
+  new Date('2025-01-07T00:00:00Z')
+);
+
+test('buildBackup round-trips through parseBackup', () => {
+  const parsed = parseBackup(JSON.stringify(remote));
+  assert.equal(parsed.version, 1);
+  assert.deepEqual(parseBackup({ ...remote, decks: undefined }).decks, []);
+  assert.equal(parsed.exportedAt, '2025-01-07T00:00:00.000Z');
+  assert.deepEqual(parsed.srs, remote.srs);
+});
+
+test('parseBackup rejects bad files', () => {
+  assert.throws(() => parseBackup('nope'), /not JSON/);
+  assert.throws(() => parseBackup({ app: 'other' }), /not a backup/);
+  assert.throws(() => parseBackup({ ...remote, version: 99 }), /version/);
+  assert.throws(() => parseBackup({ ...remote, srs: { A: {} } }), /due/);
+  assert.throws(() => parseBackup({ ...remote, history: [{}] }), /history/);
+  assert.throws(() => parseBackup({ ...remote, templates: { A: 1 } }), /templates/);
+  assert.throws(() => parseBackup({ ...remote, decks: [{ id: 'x' }] }), /decks/);
+});
+
+test('keep-newer picks the most recently reviewed item', () => {
+  const merged = mergeBackup(local, parseBackup(remote), 'keep-newer');
+  assert.equal(merged.srs.Help.lastReview, '2025-01-04');
+  assert.equal(merged.srs.Stop.lastReview, '2025-01-06');
+  assert.equal(merged.history.length, 2);
+  assert.equal(merged.templates.Please.length, 2);
+  assert.equal(merged.customSigns.length, 1);
+  assert.equal(merged.customSigns[0].category, 'Naps');
+  assert.deepEqual(
+    merged.decks.map((d) => d.id),
+    ['bedtime', 'meals']
+  );
+  assert.equal(merged.settings.scheduler, 'sm2');
+});
+
+test('keep-both keeps local items and renames conflicting signs', () => {
+  const merged = mergeBackup(local, parseBackup(remote), 'keep-both');
+  assert.equal(merged.srs.Stop.lastReview, '2025-01-01');
+  assert.deepEqual(
+    merged.customSigns.map((s) => s.id),
+    ['Nap', 'Nap (imported)']
+  );
+  assert.equal(merged.history.length, 2);
+});
+
+test('keep-both moves references to a renamed sign with it', () => {
+  const incoming = parseBackup(
+    buildBackup({
+      srs: { Nap: { due: '2025-03-01', lastReview: '2025-02-20' } },
+      history: [{ id: 'Nap', at: '2025-02-20T08:00:00.000Z', grade: 'good' }],
+      templates: { Nap: [{ t: 5, hands: [] }] },
+      customSigns: [{ id: 'Nap', category: 'Naps', updatedAt: '2025-02-01' }],
+      decks: [{ id: 'naps', name: 'Naps', signIds: ['Nap', 'Sleep'] }],
+    })
+  );
+  const merged = mergeBackup(
+    { ...local, srs: { Nap: { due: '2025-01-02' } } },
+    incoming,
+    'keep-both'
+  );
+  const id = 'Nap (imported)';
+  assert.equal(merged.srs.Nap.due, '2025-01-02');
+  assert.equal(merged.srs[id].due, '2025-03-01');
+  assert.deepEqual(merged.templates[id], [{ t: 5, hands: [] }]);
+  assert.equal(merged.templates.Nap, undefined);
+  assert.ok(merged.history.some((e) => e.id === id));
+  assert.deepEqual(merged.decks.find((d) => d.id === 'naps').signIds, [
+    id,
+    'Sleep',
+  ]);
+});
+
+test('overwrite replaces local data', () => {
+  const merged = mergeBackup(local, parseBackup(remote), 'overwrite');
+  assert.deepEqual(merged.srs, remote.srs);
+  assert.deepEqual(merged.decks, remote.decks);
+  assert.equal(merged.settings.scheduler, 'fsrs');
+});
+
+test('historyToCsv escapes cells', () => {
+  const csv = historyToCsv([
+    { id: 'Hold, Me', at: 'x', grade: 'good', passed: true, confidence: null },
+    { id: 'Say "hi"', at: 'y', grade: 'again', passed: false },
+  ]);
+  const lines = csv.trim().split('\n');
+  assert.equal(
+    lines[0],
+    'id,at,date,grade,passed,source,confidence,msToRecognize,track'
+  );
+  assert.equal(lines[1], '"Hold, Me",x,,good,true,,,,');
+  assert.equal(lines[2], '"Say ""hi""",y,,again,false,,,,');
+});
+
+test('receptive SRS track is backed up and merged', () => {
+  const item = (lastReview) => ({ due: '2025-02-01', lastReview });
+  const withQuiz = buildBackup({ receptiveSrs: { Eat: item('2025-01-09') } });
+  assert.deepEqual(parseBackup(remote).receptiveSrs, {});
+  assert.throws(
+    () => parseBackup({ ...withQuiz, receptiveSrs: { Eat: {} } }),
+    /receptiveSrs item Eat/
+  );
+  const merged = mergeBackup(
+    { ...local, receptiveSrs: { Eat: item('2025-01-02') } },
+    parseBackup(withQuiz),
+    'keep-newer'
+  );
+  assert.equal(merged.receptiveSrs.Eat.lastReview, '2025-01-09');
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bodyFrame,
+  toBody,
+  regionDistance,
+  contactPoint,
+  nearestRegion,
+} from '../src/utils/body.js';
+import { handPose } from '../src/utils/poses.js';
+import { explain, isRecognizable } from '../src/recognizers/index.js';
+import { createLandmarkHistory } from '../src/utils/motion.js';
+
+// Face upright: eyes at y 200, mouth at y 260 (one face unit = 60 px)
+function pose({ shoulders = true } = {}) {
+  const kp = (name, x, y) => ({ name, x, y, score: 0.9 });
+  return {
+    keypoints: [
+      kp('nose', 300, 235),
+      kp('left_eye', 280, 200),
+      kp('right_eye', 320, 200),
+      kp('mouth_left', 285, 260),
+      kp('mouth_right', 315, 260),
+      ...(shoulders
+        ? [kp('left_shoulder', 200, 400), kp('right_shoulder', 400, 400)]
+        : []),
+    ],
+  };
+}
+
+// Open hand (5) with the thumb tip at (x, y); thumb tip sits at
+// (-1.2, -1) palm sizes from the wrist
+const openThumbAt = (x, y, size = 60) =>
+  handPose({ shape: 'open', x: x + 1.2 * size, y: y + size, size });
+
+test('bodyFrame places face and chest regions from the pose', () => {
+  const body = bodyFrame(pose());
+  assert.deepEqual(body.origin, { x: 300, y: 200 });
+  assert.equal(body.unit, 60);
+  assert.deepEqual(body.regions.forehead, { x: 300, y: 140, r: 54 });
+  assert.deepEqual(body.regions.mouth, { x: 300, y: 260, r: 33 });
+  assert.deepEqual(body.regions.chin, { x: 300, y: 305, r: 33 });
+  assert.deepEqual(body.regions.chest, { x: 300, y: 490, r: 110 });
+  assert.equal(bodyFrame(pose({ shoulders: false })).regions.chest, undefined);
+  assert.equal(bodyFrame({ keypoints: pose().keypoints.slice(0, 3) }), null);
+  assert.equal(bodyFrame(undefined), null);
+});
+
+test('toBody measures in face units along a tilted face', () => {
+  const body = bodyFrame(pose());
+  assert.deepEqual(toBody({ x: 330, y: 260 }, body), { x: 0.5, y: 1 });
+  // Head tilted 90°: "down the face" points to the image right
+  const tilted = { origin: { x: 0, y: 0 }, unit: 10, down: { x: 1, y: 0 } };
+  const p = toBody({ x: 20, y: 0 }, tilted);
+  assert.ok(Math.abs(p.x) < 1e-9 && p.y === 2);
+});
+
+test('regionDistance and nearestRegion use contact points', () => {
+  const body = bodyFrame(pose());
+  const hand = openThumbAt(300, 305);
+  const thumb = contactPoint(hand, 'thumb');
+  assert.ok(Math.abs(thumb.x - 300) < 1e-9 && Math.abs(thumb.y - 305) < 1e-9);
+  assert.ok(regionDistance(thumb, body, 'chin') < 1e-9);
+  assert.equal(nearestRegion(thumb, body).region, 'chin');
+  assert.equal(regionDistance(thumb, body, 'elbow'), Infinity);
+  assert.equal(regionDistance(null, body, 'chin'), Infinity);
+});
+
+test('Mommy and Daddy need the thumb on the chin or forehead', () => {
+  const body = bodyFrame(pose());
+  const atChin = [openThumbAt(300, 305)];
+  const atForehead = [openThumbAt(300, 140)];
+  assert.equal(explain('Mommy', atChin, [], body).passed, true);
+  assert.equal(explain('Daddy', atChin, [], body).passed, false);
+  assert.equal(explain('Daddy', atForehead, [], body).passed, true);
+
+  const noFace = explain('Mommy', atChin, [], null);
+  assert.equal(noFace.passed, false);
+  assert.deepEqual(noFace.criteria.map((c) => c.hint), [
+    'Keep your face in view',
+  ]);
+  const fist = [handPose({ shape: 'fist', x: 372, y: 365 })];
+  assert.equal(explain('Mommy', fist, [], body).passed, false);
+});
+
+test('Grandma starts at the chin and moves forward', () => {
+  const body = bodyFrame(pose());
+  const history = createLandmarkHistory();
+  const start = [openThumbAt(300, 305)];
+  history.push(start, 0, body);
+  const still = explain('Grandma', start, history.frames(), body);
+  assert.equal(still.passed, false);
+  const closer = [openThumbAt(300, 330, 75)];
+  history.push(closer, 400, body);
+  assert.equal(explain('Grandma', closer, history.frames(), body).passed, true);
+});
+
+test('Eat adds a mouth check only when the body is tracked', () => {
+  const body = bodyFrame(pose());
+  const hands = [handPose({ shape: 'flatO', x: 300, y: 600 })];
+  const without = explain('Eat', hands, [], null);
+  const withBody = explain('Eat', hands, [], body);
+  assert.equal(withBody.criteria.length, without.criteria.length + 1);
+  assert.equal(withBody.criteria.at(-1).name, 'Fingertips at mouth');
+  assert.equal(withBody.criteria.at(-1).passed, false);
+});
+
+test('location signs are recognizable only with face/body tracking', () => {
+  assert.equal(isRecognizable('Mommy'), false);
+  assert.equal(isRecognizable('Mommy', { body: true }), true);
+  assert.equal(isRecognizable('Eat'), true);
+  assert.equal(isRecognizable('Spoon', { body: true }), false);
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { handPose } from '../src/utils/poses.js';
+import {
+  isExtended,
+  isCurled,
+  isOShape,
+  fingerAngles,
+} from '../src/utils/landmarks.js';
+import { deriveThresholds } from '../src/utils/calibration.js';
+import {
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  setThresholds,
+} from '../src/utils/thresholds.js';
+import { explain } from '../src/recognizers/index.js';
+
+const at = { x: 300, y: 300, size: 50 };
+
+function blend(a, b, u) {
+  return {
+    keypoints: a.keypoints.map((p, i) => ({
+      x: p.x + (b.keypoints[i].x - p.x) * u,
+      y: p.y + (b.keypoints[i].y - p.y) * u,
+    })),
+  };
+}
+
+// Open palm whose fingers only straighten to about 150° at the PIP joint.
+function stiffPalm() {
+  const flat = handPose({ shape: 'flat', ...at });
+  return {
+    keypoints: flat.keypoints.map((p, i) =>
+      [6, 10, 14, 18].includes(i) ? { x: p.x + 0.08 * at.size, y: p.y } : p
+    ),
+  };
+}
+
+const flat = handPose({ shape: 'flat', ...at });
+const fist = handPose({ shape: 'fist', ...at });
+const pinch = handPose({ shape: 'flatO', ...at });
+
+test('a hand that passes the defaults keeps them', () => {
+  const { thresholds } = deriveThresholds({
+    open: [flat, flat],
+    fist: [fist],
+    pinch: [pinch],
+  });
+  assert.deepEqual(thresholds, DEFAULT_THRESHOLDS);
+});
+
+test('limited mobility loosens the thresholds it needs to', () => {
+  const open = stiffPalm();
+  const looseFist = blend(flat, fist, 0.6);
+  const loosePinch = blend(pinch, flat, 0.3);
+  assert.equal(isExtended(fingerAngles(open).index.pip), false);
+  assert.equal(isOShape(loosePinch), false);
+
+  const { thresholds, measured } = deriveThresholds(
+    { open: [open], fist: [looseFist], pinch: [loosePinch] },
+    { ...DEFAULT_THRESHOLDS, stableFrames: 5 }
+  );
+  assert.equal(Math.round(measured.straightAngle), 150);
+  assert.equal(thresholds.extendedAngle, 140);
+  assert.equal(thresholds.curledAngle, DEFAULT_THRESHOLDS.curledAngle);
+  assert.equal(thresholds.pinchRatio, 0.54);
+  assert.equal(thresholds.stableFrames, 5);
+
+  try {
+    setThresholds(thresholds);
+    const { index } = fingerAngles(open);
+    assert.ok(isExtended(index.pip, index.dip));
+    assert.ok(isOShape(loosePinch));
+    const stop = explain('Stop', [open]);
+    assert.ok(stop.passed);
+    assert.equal(stop.criteria[0].threshold, 140);
+  } finally {
+    setThresholds(null);
+  }
+  assert.deepEqual(getThresholds(), DEFAULT_THRESHOLDS);
+});
+
+test('overlapping straight and curled ranges are split down the middle', () => {
+  const looseFist = blend(flat, fist, 0.5);
+  const { thresholds } = deriveThresholds({
+    open: [stiffPalm()],
+    fist: [looseFist],
+    pinch: [pinch],
+  });
+  assert.ok(thresholds.extendedAngle - thresholds.curledAngle >= 20);
+  try {
+    setThresholds(thresholds);
+    const open = fingerAngles(stiffPalm()).index;
+    const curled = fingerAngles(looseFist).index;
+    assert.ok(isExtended(open.pip, open.dip));
+    assert.ok(isCurled(curled.pip, curled.dip));
+  } finally {
+    setThresholds(null);
+  }
+});
+
+test('deriveThresholds needs samples of every pose', () => {
+  assert.throws(
+    () => deriveThresholds({ open: [flat], fist: [], pinch: [pinch] }),
+    /Fist/
+  );
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { videoConstraints, openCamera, listCameras } from '../src/utils/camera.js';
+import { loadSettings } from '../src/utils/settings.js';
+
+const devices = [
+  { deviceId: 'built-in', label: 'FaceTime HD' },
+  { deviceId: 'usb', label: 'USB Webcam' },
+];
+
+test('videoConstraints picks a device exactly and a resolution ideally', () => {
+  assert.deepEqual(videoConstraints(loadSettings().camera), {
+    width: { ideal: 640 },
+    height: { ideal: 480 },
+    facingMode: { ideal: 'user' },
+  });
+  assert.deepEqual(
+    videoConstraints({ deviceId: 'usb', resolution: '720p' }, devices),
+    {
+      width: { ideal: 1280 },
+      height: { ideal: 720 },
+      deviceId: { exact: 'usb' },
+    }
+  );
+  // An unplugged camera falls back to the facing mode
+  assert.deepEqual(
+    videoConstraints({ deviceId: 'gone', facingMode: 'environment' }, devices)
+      .facingMode,
+    { ideal: 'environment' }
+  );
+});
+
+// Stand-in for navigator.mediaDevices; records each getUserMedia request.
+function fakeMediaDevices(t, { fail } = {}) {
+  const requests = [];
+  const mediaDevices = {
+    async getUserMedia({ video }) {
+      requests.push(video);
+      if (fail && video.deviceId) {
+        throw Object.assign(new Error('gone'), { name: fail });
+      }
+      return { video };
+    },
+    async enumerateDevices() {
+      return [
+        { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+        { kind: 'videoinput', deviceId: 'usb', label: '' },
+      ];
+    },
+  };
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { mediaDevices },
+    configurable: true,
+  });
+  t.after(() => delete globalThis.navigator);
+  return requests;
+}
+
+test('openCamera retries by facing mode when the saved device is missing', async (t) => {
+  const requests = fakeMediaDevices(t, { fail: 'NotFoundError' });
+  const stream = await openCamera({ deviceId: 'usb' });
+  assert.equal(requests.length, 2);
+  assert.deepEqual(stream.video.facingMode, { ideal: 'user' });
+});
+
+test('openCamera does not retry permission errors', async (t) => {
+  fakeMediaDevices(t, { fail: 'NotAllowedError' });
+  await assert.rejects(openCamera({ deviceId: 'usb' }), /gone/);
+});
+
+test('listCameras keeps video inputs and labels unnamed ones', async (t) => {
+  fakeMediaDevices(t);
+  assert.deepEqual(await listCameras(), [
+    { deviceId: 'usb', label: 'Camera 1' },
+  ]);
+});
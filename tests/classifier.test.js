@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import {
+  NONE,
+  FEATURE_SIZE,
+  handFeatures,
+  datasetFromFixtures,
+  trainKnn,
+  trainMlp,
+  trainModel,
+  predict,
+  parseModel,
+  modelSigns,
+  primeModel,
+  hasModel,
+  setModelPreferred,
+} from '../src/utils/classifier.js';
+import { parseFixture } from '../src/utils/recording.js';
+import { evaluateFixtures } from '../src/utils/replay.js';
+import { explain, isRecognizable } from '../src/recognizers/index.js';
+import { handPose } from '../src/utils/poses.js';
+
+const FIXTURE_DIR = new URL('./fixtures/landmarks/', import.meta.url);
+const fixtures = readdirSync(FIXTURE_DIR)
+  .filter((f) => f.endsWith('.json'))
+  .map((f) => parseFixture(readFileSync(new URL(f, FIXTURE_DIR), 'utf8')));
+
+// Synthetic frames for two custom signs, at varying places and sizes
+const frames = (shape) =>
+  [0, 1, 2, 3, 4, 5].map((i) => [
+    handPose({ shape, x: 200 + i * 40, y: 300 - i * 10, size: 50 + i * 4 }),
+  ]);
+const samples = [
+  ...frames('fist').map((hands) => ({ x: handFeatures(hands), label: 'Rock' })),
+  ...frames('point').map((hands) => ({ x: handFeatures(hands), label: 'One' })),
+];
+
+function withModel(model, preferred, fn) {
+  primeModel(model);
+  setModelPreferred(preferred);
+  try {
+    fn();
+  } finally {
+    primeModel(null);
+    setModelPreferred(false);
+  }
+}
+
+test('handFeatures fills one slot per hand plus the hand count', () => {
+  const one = handFeatures([handPose({ shape: 'fist', x: 100, y: 100 })]);
+  assert.equal(one.length, FEATURE_SIZE);
+  assert.deepEqual(one.slice(0, 2), [0, 0]);
+  assert.equal(one.at(-1), 1);
+  assert.ok(one.slice(42, 84).every((v) => v === 0));
+  const big = handFeatures([
+    handPose({ shape: 'fist', x: 400, y: 50, size: 90 }),
+  ]);
+  assert.ok(one.every((v, i) => Math.abs(v - big[i]) < 0.01));
+  assert.equal(handFeatures([]), null);
+});
+
+test('datasetFromFixtures labels negative sessions as NONE', () => {
+  const data = datasetFromFixtures(fixtures);
+  const labels = new Set(data.map((s) => s.label));
+  assert.ok(labels.has(NONE));
+  assert.ok(labels.has('Stop'));
+  assert.ok(data.every((s) => s.x.length === FEATURE_SIZE));
+});
+
+test('k-NN and MLP separate two handshapes', () => {
+  const fist = [handPose({ shape: 'fist', x: 320, y: 260, size: 70 })];
+  const point = [handPose({ shape: 'point', x: 150, y: 320, size: 45 })];
+  for (const model of [trainKnn(samples, { k: 3 }), trainMlp(samples)]) {
+    assert.deepEqual(model.labels, ['Rock', 'One']);
+    assert.equal(predict(model, fist).label, 'Rock');
+    assert.equal(predict(model, point).label, 'One');
+    assert.ok(predict(model, point).confidence > 0.8);
+    assert.equal(predict(model, []), null);
+  }
+});
+
+test('MLP training is deterministic for a seed', () => {
+  const a = trainMlp(samples, { epochs: 5, seed: 7 });
+  const b = trainMlp(samples, { epochs: 5, seed: 7 });
+  assert.deepEqual(a.mlp, b.mlp);
+});
+
+test('trainModel needs labelled frames', () => {
+  assert.throws(() => trainModel([]), /No frames/);
+  const negatives = samples.map((s) => ({ ...s, label: NONE }));
+  assert.throws(() => trainModel(negatives), /labelled fixture/);
+  // One sign alone would match any hand with confidence 1
+  const rock = samples.filter((s) => s.label === 'Rock');
+  assert.throws(() => trainKnn(rock), /second sign or a negative/);
+  assert.throws(() => trainMlp(rock), /second sign or a negative/);
+  const withNone = [...rock, { ...samples.at(-1), label: NONE }];
+  assert.deepEqual(trainKnn(withNone).labels, ['Rock', NONE]);
+  assert.throws(() => trainModel(samples, { type: 'svm' }), /Unknown model/);
+});
+
+test('parseModel round-trips and rejects malformed models', () => {
+  const model = trainKnn(samples);
+  assert.deepEqual(parseModel(JSON.stringify(model)), model);
+  assert.throws(() => parseModel({ ...model, version: 9 }), /version/);
+  assert.throws(() => parseModel({ ...model, type: 'svm' }), /Unknown model/);
+  const broken = { ...model, knn: { k: 3, points: [{ x: [1], y: 0 }] } };
+  assert.throws(() => parseModel(broken), /Malformed knn/);
+});
+
+test('explain falls back to the model for signs without a recognizer', () => {
+  const fist = [handPose({ shape: 'fist', x: 300, y: 300 })];
+  assert.equal(explain('Rock', fist), null);
+  withModel(trainKnn(samples, { k: 3 }), false, () => {
+    assert.ok(hasModel('Rock'));
+    assert.ok(isRecognizable('Rock'));
+    const res = explain('Rock', fist);
+    assert.equal(res.passed, true);
+    const wrong = explain('One', fist);
+    assert.equal(wrong.passed, false);
+    assert.equal(wrong.criteria[1].hint, 'Looks more like “Rock”');
+  });
+});
+
+test('a preferred model replaces built-in recognizers it covers', () => {
+  const model = trainModel(datasetFromFixtures(fixtures));
+  const labelled = fixtures.filter((fx) => fx.label).map((fx) => fx.label);
+  assert.deepEqual(modelSigns(model).sort(), [...new Set(labelled)].sort());
+  const stop = fixtures.find((fx) => fx.label === 'Stop').frames.at(-1).hands;
+  withModel(model, false, () => {
+    assert.notEqual(explain('Stop', stop).criteria[0].name, 'Model confidence');
+  });
+  withModel(model, true, () => {
+    assert.equal(explain('Stop', stop).criteria[0].name, 'Model confidence');
+    const report = evaluateFixtures(fixtures, modelSigns(model));
+    assert.equal(report.Stop.tp, 1);
+    assert.equal(report.Open.fp, 0);
+  });
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameMeter, handReport } from '../src/utils/debug.js';
+import { handPose } from '../src/utils/poses.js';
+import { explainAll } from '../src/recognizers/index.js';
+import { AI_SUPPORTED } from '../src/data/signs.js';
+
+test('createFrameMeter averages fps and latency over its window', () => {
+  const meter = createFrameMeter(3);
+  assert.deepEqual(meter.stats(), { fps: 0, latencyMs: 0, maxLatencyMs: 0 });
+  meter.tick(0, 100);
+  meter.tick(50, 10);
+  meter.tick(100, 20);
+  meter.tick(150, 30);
+  assert.deepEqual(meter.stats(), { fps: 20, latencyMs: 20, maxLatencyMs: 30 });
+  meter.reset();
+  assert.equal(meter.stats().fps, 0);
+});
+
+test('handReport lists per-finger angles and states', () => {
+  const report = handReport(handPose({ shape: 'ily', x: 200, y: 300, size: 50 }));
+  assert.equal(report.palmSize, 50);
+  assert.equal(report.keypoints.length, 21);
+  assert.deepEqual(
+    report.fingers.map((f) => f.state),
+    ['extended', 'extended', 'curled', 'curled', 'extended']
+  );
+  assert.ok(report.fingers[0].mcp !== undefined);
+});
+
+test('explainAll scores every recognizer sign on one frame', () => {
+  const hands = [handPose({ shape: 'ily', x: 300, y: 300 })];
+  const scores = explainAll(hands);
+  assert.deepEqual(
+    scores.map((s) => s.id),
+    Object.keys(AI_SUPPORTED)
+  );
+  const passed = scores.filter((s) => s.result?.passed).map((s) => s.id);
+  assert.ok(passed.includes('I Love You'));
+});
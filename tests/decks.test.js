@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateCustomSign,
+  makeCustomSign,
+  createDeck,
+  toggleDeckSign,
+  removeSignFromDecks,
+  deckSigns,
+  allSigns,
+  ALL_DECK_ID,
+} from '../src/utils/decks.js';
+import { recognize, isRecognizable } from '../src/recognizers/index.js';
+import { addTemplate, clearTemplates } from '../src/utils/templates.js';
+import { flatHand } from './helpers/hands.js';
+
+test('validateCustomSign rejects blank and duplicate names', () => {
+  const custom = [makeCustomSign({ id: 'Nap' })];
+  assert.match(validateCustomSign({ id: '  ' }, custom), /required/);
+  assert.match(validateCustomSign({ id: 'help' }, custom), /exists/);
+  assert.match(validateCustomSign({ id: 'nap' }, custom), /exists/);
+  assert.equal(validateCustomSign({ id: 'Bath' }, custom), null);
+});
+
+test('makeCustomSign trims fields and defaults the category', () => {
+  const sign = makeCustomSign(
+    { id: ' Bath ', gloss: 'bath', notes: '' },
+    new Date('2025-03-01T00:00:00Z')
+  );
+  assert.deepEqual(sign, {
+    id: 'Bath',
+    category: 'Custom',
+    custom: true,
+    updatedAt: '2025-03-01T00:00:00.000Z',
+    gloss: 'BATH',
+  });
+  assert.equal(allSigns([sign]).at(-1), sign);
+});
+
+test('createDeck slugs names and keeps ids unique', () => {
+  let decks = createDeck([], 'Bed Time!');
+  decks = createDeck(decks, 'bed time');
+  decks = createDeck(decks, 'All');
+  assert.deepEqual(
+    decks.map((d) => d.id),
+    ['bed-time', 'bed-time-2', 'all-2']
+  );
+  assert.equal(createDeck(decks, '   '), decks);
+});
+
+test('deck membership drives deckSigns', () => {
+  const signs = allSigns([]);
+  let decks = createDeck([], 'Meals');
+  decks = toggleDeckSign(decks, 'meals', 'More');
+  decks = toggleDeckSign(decks, 'meals', 'Eat');
+  assert.deepEqual(
+    deckSigns(signs, decks, 'meals').map((s) => s.id),
+    signs.filter((s) => s.id === 'More' || s.id === 'Eat').map((s) => s.id)
+  );
+  assert.equal(deckSigns(signs, decks, ALL_DECK_ID), signs);
+
+  decks = toggleDeckSign(decks, 'meals', 'More');
+  decks = removeSignFromDecks(decks, 'Eat');
+  assert.deepEqual(decks[0].signIds, []);
+});
+
+test('custom signs become recognizable once taught', () => {
+  assert.equal(isRecognizable('Bath'), false);
+  assert.equal(recognize('Bath', [flatHand(100, 200)]), null);
+  addTemplate('Bath', [flatHand(100, 200)], 1);
+  assert.equal(isRecognizable('Bath'), true);
+  assert.equal(recognize('Bath', [flatHand(300, 250, 70)]).label, 'Bath');
+  clearTemplates('Bath');
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ALL_SIGNS } from '../src/data/signs.js';
+import { handPose } from '../src/utils/poses.js';
+import { targetPose } from '../src/utils/feedback.js';
+import { analyzeFrame } from '../src/utils/frame.js';
+import { explain } from '../src/recognizers/index.js';
+import {
+  connectWorker,
+  workerSupported,
+  runsInWorker,
+} from '../src/utils/detectorWorker.js';
+
+// Stand-in for a Worker: records posts, answers via reply()
+function fakeWorker() {
+  const worker = {
+    posted: [],
+    terminated: false,
+    postMessage(data, transfer) {
+      worker.posted.push({ data, transfer });
+    },
+    terminate() {
+      worker.terminated = true;
+    },
+    reply(data) {
+      worker.onmessage({ data });
+    },
+  };
+  return worker;
+}
+
+test('connectWorker matches answers to requests by id', async () => {
+  const worker = fakeWorker();
+  const rpc = connectWorker(worker);
+  const frame = { close() {} };
+  const first = rpc.request('frame', { frame }, [frame]);
+  const second = rpc.request('frame', { frame }, [frame]);
+  const [a, b] = worker.posted;
+  assert.equal(a.data.type, 'frame');
+  assert.deepEqual(a.transfer, [frame]);
+  assert.notEqual(a.data.id, b.data.id);
+
+  worker.reply({ id: b.data.id, hands: ['b'] });
+  worker.reply({ id: a.data.id, error: 'Detector not ready' });
+  assert.deepEqual((await second).hands, ['b']);
+  await assert.rejects(first, /Detector not ready/);
+  assert.equal(rpc.pending, 0);
+});
+
+test('post() does not wait, and terminate() rejects pending requests', async () => {
+  const worker = fakeWorker();
+  const rpc = connectWorker(worker);
+  rpc.post('config', { config: { mirror: false } });
+  assert.deepEqual(worker.posted[0].data, {
+    type: 'config',
+    config: { mirror: false },
+  });
+  const pending = rpc.request('init');
+  rpc.terminate();
+  assert.equal(worker.terminated, true);
+  await assert.rejects(pending, /stopped/);
+});
+
+// A browser global scope with everything the worker needs
+function workerScope() {
+  const fn = function () {};
+  return {
+    Worker: fn,
+    OffscreenCanvas: fn,
+    createImageBitmap: fn,
+    HTMLCanvasElement: { prototype: { transferControlToOffscreen: fn } },
+  };
+}
+
+test('workerSupported needs Worker, OffscreenCanvas and canvas transfer', () => {
+  const scope = workerScope();
+  assert.equal(workerSupported(scope), true);
+  assert.equal(workerSupported({ ...scope, OffscreenCanvas: undefined }), false);
+  assert.equal(workerSupported({ ...scope, HTMLCanvasElement: Object }), false);
+  assert.equal(workerSupported(globalThis), false);
+});
+
+test('runsInWorker only takes the TF.js runtime off the page', () => {
+  const scope = workerScope();
+  const tfjs = { runtime: 'tfjs', worker: true };
+  assert.equal(runsInWorker(tfjs, scope), true);
+  assert.equal(runsInWorker({ ...tfjs, worker: false }, scope), false);
+  assert.equal(runsInWorker({ ...tfjs, runtime: 'mediapipe' }, scope), false);
+  assert.equal(runsInWorker({ worker: true }, scope), false);
+  assert.equal(runsInWorker(tfjs, globalThis), false);
+});
+
+test('analyzeFrame scores the target and compares fingers', () => {
+  const sign = ALL_SIGNS.find((s) => s.id === 'I Love You');
+  const options = { target: sign.id, targetHands: targetPose(sign), explain };
+  const ily = [handPose({ shape: 'ily', x: 300, y: 300 })];
+
+  const passing = analyzeFrame(ily, [], { ...options, recognize: true });
+  assert.equal(passing.pairs.length, 1);
+  assert.equal(passing.explained.passed, true);
+  assert.deepEqual(passing.fingerHints, []);
+
+  const fist = [handPose({ shape: 'fist', x: 300, y: 300 })];
+  const failing = analyzeFrame(fist, [], options);
+  assert.equal(failing.explained, null);
+  assert.ok(failing.fingerHints.includes('Index finger should be straight'));
+
+  const teaching = analyzeFrame(fist, [], { ...options, teaching: true });
+  assert.deepEqual(teaching.pairs, []);
+  assert.deepEqual(teaching.fingerHints, []);
+});
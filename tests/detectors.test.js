@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectorConfig,
+  poseConfig,
+  offlineOptions,
+  DEFAULT_DETECTOR,
+} from '../src/utils/detectors.js';
+import { loadSettings } from '../src/utils/settings.js';
+
+test('detectorConfig defaults to the bundled MediaPipe lite model', () => {
+  assert.deepEqual(loadSettings().detector, DEFAULT_DETECTOR);
+  assert.deepEqual(detectorConfig(), {
+    runtime: 'mediapipe',
+    modelType: 'lite',
+    solutionPath: '/hands',
+  });
+  assert.equal(
+    detectorConfig({ modelType: 'full' }, { dev: true }).solutionPath,
+    '/node_modules/@mediapipe/hands'
+  );
+});
+
+test('detectorConfig switches runtime and model, ignoring unknown values', () => {
+  assert.deepEqual(detectorConfig({ runtime: 'tfjs', modelType: 'full' }), {
+    runtime: 'tfjs',
+    modelType: 'full',
+  });
+  assert.deepEqual(detectorConfig({ runtime: 'onnx', modelType: 'huge' }), {
+    runtime: 'mediapipe',
+    modelType: 'lite',
+    solutionPath: '/hands',
+  });
+});
+
+test('poseConfig follows the hand runtime with the lite model', () => {
+  assert.deepEqual(poseConfig(DEFAULT_DETECTOR), {
+    runtime: 'mediapipe',
+    modelType: 'lite',
+    solutionPath: '/pose',
+  });
+  assert.deepEqual(poseConfig({ runtime: 'tfjs', modelType: 'full' }), {
+    runtime: 'tfjs',
+    modelType: 'lite',
+  });
+});
+
+test('offlineOptions keeps detection on the bundled MediaPipe runtime', () => {
+  const options = { runtime: 'tfjs', modelType: 'full', worker: true };
+  const online = { navigator: { onLine: true } };
+  const offline = { navigator: { onLine: false } };
+  assert.equal(offlineOptions(options, online), options);
+  assert.equal(offlineOptions(options, {}), options);
+  assert.deepEqual(offlineOptions(options, offline), {
+    runtime: 'mediapipe',
+    modelType: 'full',
+    worker: false,
+  });
+});
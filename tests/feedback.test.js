@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ALL_SIGNS } from '../src/data/signs.js';
+import { fingerStates, palmSize } from '../src/utils/landmarks.js';
+import { handPose } from '../src/utils/poses.js';
+import { normalizeHands } from '../src/utils/templates.js';
+import {
+  targetPose,
+  matchTarget,
+  fingerFeedback,
+  liveHints,
+} from '../src/utils/feedback.js';
+
+const sign = (id) => ALL_SIGNS.find((s) => s.id === id);
+
+test('fingerStates reports extended, curled and bent fingers', () => {
+  assert.deepEqual(fingerStates(handPose({ shape: 'ily', x: 0, y: 0 })), {
+    thumb: 'extended',
+    index: 'extended',
+    middle: 'curled',
+    ring: 'curled',
+    pinky: 'extended',
+  });
+  assert.equal(fingerStates(handPose({ shape: 'fist', x: 0, y: 0 })).thumb, 'bent');
+});
+
+test('targetPose uses the demonstration, then taught templates', () => {
+  assert.equal(targetPose(sign('Help')).length, 2);
+  const custom = { id: 'Nap', category: 'Bedtime', custom: true };
+  assert.equal(targetPose(custom), null);
+  const hands = normalizeHands([handPose({ shape: 'point', x: 0, y: 0 })]);
+  assert.equal(targetPose(custom, { Nap: [{ hands, t: 1 }] }), hands);
+});
+
+test('matchTarget aligns the target to the learner wrist and palm size', () => {
+  const learner = handPose({ shape: 'flat', x: 200, y: 300, size: 80 });
+  const [pair] = matchTarget(targetPose(sign('I Love You')), [learner]);
+  assert.deepEqual(pair.target.keypoints[0], { x: 200, y: 300 });
+  assert.ok(Math.abs(palmSize(pair.target) - 80) < 1e-9);
+  assert.equal(pair.side, null);
+});
+
+test('fingerFeedback names the fingers to fix', () => {
+  const learner = handPose({ shape: 'flat', x: 200, y: 300 });
+  const pairs = matchTarget(targetPose(sign('I Love You')), [learner]);
+  assert.deepEqual(fingerFeedback(pairs), [
+    'Thumb should be straight',
+    'Middle finger should be curled',
+    'Ring finger should be curled',
+  ]);
+  const mirroredIly = handPose({ shape: 'ily', x: 200, y: 300, mirror: -1 });
+  const ok = matchTarget(targetPose(sign('I Love You')), [mirroredIly]);
+  assert.deepEqual(fingerFeedback(ok), []);
+});
+
+test('two-handed targets pair hands and ask for both', () => {
+  const target = targetPose(sign('Help'));
+  const fist = handPose({ shape: 'fist', x: 400, y: 300 });
+  const flat = handPose({ shape: 'flat', x: 250, y: 300 });
+  const both = matchTarget(target, [fist, flat]);
+  assert.deepEqual(
+    both.map((p) => p.side),
+    ['left', 'right']
+  );
+  assert.deepEqual(fingerFeedback(both, target.length), []);
+
+  const one = matchTarget(target, [handPose({ shape: 'point', x: 300, y: 300 })]);
+  assert.deepEqual(fingerFeedback(one, target.length), [
+    'Use both hands',
+    'Index finger should be curled',
+  ]);
+});
+
+test('liveHints prefers advice from failed recognizer criteria', () => {
+  const result = {
+    criteria: [
+      { passed: false, hint: 'Use both hands' },
+      { passed: true, hint: 'Curl your ring finger' },
+      { passed: false, hint: 'Use both hands' },
+    ],
+  };
+  assert.deepEqual(liveHints(result, ['Thumb should be straight']), [
+    'Use both hands',
+  ]);
+  assert.deepEqual(liveHints(null, ['Thumb should be straight']), [
+    'Thumb should be straight',
+  ]);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { handPose, posesAt, keyframesDuration } from '../src/utils/poses.js';
+import { isFist } from '../src/utils/landmarks.js';
+import { flipHands } from '../src/utils/draw.js';
+import { DEMOS } from '../src/data/demos.js';
+import { explain } from '../src/recognizers/index.js';
+import {
+  splitHands,
+  handSide,
+  setDominantHand,
+} from '../src/utils/handedness.js';
+
+const labelled = (hand, handedness) => ({ ...hand, handedness });
+
+test('splitHands prefers handedness labels, then position', () => {
+  const a = handPose({ shape: 'flat', x: 100, y: 300 });
+  const b = handPose({ shape: 'fist', x: 400, y: 300 });
+  assert.equal(splitHands([a, b]).dominant, b);
+  assert.equal(splitHands([a, b], 'left').dominant, a);
+  assert.equal(splitHands([b]).dominant, b);
+
+  const right = labelled(a, 'Right');
+  const left = labelled(b, 'Left');
+  const split = splitHands([left, right]);
+  assert.equal(split.dominant, right);
+  assert.equal(split.labelled, true);
+  // Matching labels are unreliable, so fall back to position
+  const same = [labelled(a, 'Right'), labelled(b, 'Right')];
+  assert.equal(splitHands(same).labelled, false);
+  assert.equal(handSide({ handedness: 'Left' }), 'left');
+  assert.equal(handSide({}), null);
+});
+
+// Final Help pose from the demonstration, labelled so the fist is `fistSide`.
+function helpHands(fistSide) {
+  const kf = DEMOS.Help.keyframes;
+  const hands = posesAt(kf, keyframesDuration(kf));
+  const other = fistSide === 'right' ? 'Left' : 'Right';
+  const cap = fistSide === 'right' ? 'Right' : 'Left';
+  return hands.map((h) => labelled(h, isFist(h) ? cap : other));
+}
+
+test('Help wants the fist on the dominant hand when hands are labelled', () => {
+  try {
+    assert.ok(explain('Help', helpHands('right')).passed);
+    const wrong = explain('Help', helpHands('left'));
+    assert.equal(wrong.passed, false);
+    assert.deepEqual(
+      wrong.criteria.filter((c) => !c.passed).map((c) => c.hint),
+      ['Make the fist with your right hand']
+    );
+    setDominantHand('left');
+    assert.ok(explain('Help', helpHands('left')).passed);
+  } finally {
+    setDominantHand('right');
+  }
+  // Without labels either hand may be the fist
+  const unlabelled = helpHands('left').map(({ keypoints }) => ({ keypoints }));
+  assert.ok(explain('Help', unlabelled).passed);
+});
+
+test('Stop reads the dominant hand', () => {
+  const fist = labelled(handPose({ shape: 'fist', x: 100, y: 300 }), 'Left');
+  const flat = labelled(handPose({ shape: 'flat', x: 400, y: 300 }), 'Right');
+  assert.ok(explain('Stop', [fist, flat]).passed);
+  try {
+    setDominantHand('left');
+    assert.equal(explain('Stop', [fist, flat]).passed, false);
+  } finally {
+    setDominantHand('right');
+  }
+});
+
+test('flipHands mirrors keypoints within the canvas', () => {
+  const hand = { handedness: 'Left', keypoints: [{ x: 40, y: 5 }] };
+  assert.deepEqual(flipHands([hand], 640), [
+    { handedness: 'Left', keypoints: [{ x: 600, y: 5 }] },
+  ]);
+});
@@ -0,0 +1,24 @@
+// Synthetic 21-point hands; palm size (wrist → middle MCP) equals `s`.
+export function flatHand(cx, cy, s = 50, mirror = 1) {
+  const kp = [{ x: cx, y: cy }];
+  const m = (dx) => cx + dx * s * mirror;
+  for (let k = 1; k <= 4; k++) kp.push({ x: m(-0.3 * k), y: cy - 0.25 * s * k });
+  [-0.3, 0, 0.3, 0.6].forEach((dx) => {
+    for (let k = 0; k < 4; k++) kp.push({ x: m(dx), y: cy - s - 0.3 * s * k });
+  });
+  return { keypoints: kp };
+}
+
+export function flatO(cx, cy, s = 50) {
+  const tip = { x: cx, y: cy - 1.4 * s };
+  const kp = [{ x: cx, y: cy }];
+  kp.push({ x: cx - 0.3 * s, y: cy - 0.3 * s }, { x: cx - 0.4 * s, y: cy - 0.7 * s });
+  kp.push({ x: cx - 0.2 * s, y: cy - 1.1 * s }, { ...tip });
+  [-0.3, 0, 0.3, 0.6].forEach((dx) => {
+    const mcp = { x: cx + dx * s, y: cy - s };
+    const pip = { x: mcp.x, y: mcp.y - 0.3 * s };
+    const dip = { x: (pip.x + tip.x) / 2, y: pip.y - 0.2 * s };
+    kp.push(mcp, pip, dip, { ...tip });
+  });
+  return { keypoints: kp };
+}
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  makeReview,
+  recordReview,
+  streakHistory,
+  signStats,
+  reviewsPerDay,
+  dueForecast,
+  overallStats,
+} from '../src/utils/history.js';
+
+const at = (iso) => new Date(`${iso}T12:00:00`);
+
+function log(entries) {
+  return entries.map(([id, grade, date, meta]) =>
+    makeReview(id, grade, meta, at(date))
+  );
+}
+
+test('makeReview records grade, source and timing', () => {
+  const r = makeReview('Stop', 'good', { source: 'ai', confidence: 0.9, ms: 1200 }, at('2025-01-05'));
+  assert.equal(r.date, '2025-01-05');
+  assert.equal(r.passed, true);
+  assert.equal(r.source, 'ai');
+  assert.equal(r.confidence, 0.9);
+  assert.equal(r.msToRecognize, 1200);
+  const m = makeReview('Stop', 'again');
+  assert.equal(m.passed, false);
+  assert.equal(m.source, 'manual');
+  assert.equal(m.confidence, null);
+});
+
+test('recordReview appends without mutating', () => {
+  const h = [];
+  const next = recordReview(h, 'Help', 'hard');
+  assert.equal(h.length, 0);
+  assert.equal(next.length, 1);
+});
+
+test('streakHistory splits runs on failures', () => {
+  const entries = log([
+    ['A', 'good', '2025-01-01'],
+    ['A', 'easy', '2025-01-02'],
+    ['A', 'again', '2025-01-03'],
+    ['A', 'again', '2025-01-04'],
+    ['A', 'hard', '2025-01-05'],
+  ]);
+  assert.deepEqual(streakHistory(entries), [2, 1]);
+});
+
+test('signStats computes retention and streaks per sign', () => {
+  const h = log([
+    ['A', 'good', '2025-01-01', { source: 'ai', confidence: 0.8, ms: 1000 }],
+    ['B', 'again', '2025-01-01'],
+    ['A', 'again', '2025-01-02'],
+    ['A', 'good', '2025-01-03', { source: 'ai', confidence: 1, ms: 3000 }],
+  ]);
+  const a = signStats(h, 'A');
+  assert.equal(a.reviews, 3);
+  assert.ok(Math.abs(a.retention - 2 / 3) < 1e-9);
+  assert.equal(a.currentStreak, 1);
+  assert.equal(a.bestStreak, 1);
+  assert.equal(a.lastReviewed, '2025-01-03');
+  assert.ok(Math.abs(a.avgConfidence - 0.9) < 1e-9);
+  assert.equal(a.avgMsToRecognize, 2000);
+  assert.deepEqual(a.recent, [true, false, true]);
+  assert.equal(signStats(h, 'B').currentStreak, 0);
+  assert.equal(signStats(h, 'C').retention, null);
+});
+
+test('reviewsPerDay buckets by date ending today', () => {
+  const h = log([
+    ['A', 'good', '2025-01-09'],
+    ['B', 'good', '2025-01-10'],
+    ['A', 'good', '2025-01-10'],
+  ]);
+  const days = reviewsPerDay(h, 3, '2025-01-10');
+  assert.deepEqual(days, [
+    { date: '2025-01-08', count: 0 },
+    { date: '2025-01-09', count: 1 },
+    { date: '2025-01-10', count: 2 },
+  ]);
+});
+
+test('dueForecast counts overdue items today', () => {
+  const srs = {
+    A: { due: '2025-01-01' },
+    B: { due: '2025-01-10' },
+    C: { due: '2025-01-11' },
+    D: { due: '2025-02-01' },
+  };
+  const f = dueForecast(srs, 3, '2025-01-10');
+  assert.deepEqual(f.map((d) => d.count), [2, 1, 0]);
+});
+
+test('overallStats summarises the log', () => {
+  const h = log([
+    ['A', 'good', '2025-01-09', { source: 'ai' }],
+    ['B', 'again', '2025-01-10'],
+  ]);
+  const o = overallStats(h, {}, '2025-01-10');
+  assert.equal(o.reviews, 2);
+  assert.equal(o.retention, 0.5);
+  assert.equal(o.aiShare, 0.5);
+  assert.equal(o.studyDays, 2);
+  assert.equal(o.perDay.length, 14);
+  assert.equal(o.forecast.length, 14);
+});
+
+test('stats leave Mark Known entries out', () => {
+  const h = log([
+    ['A', 'again', '2025-01-09'],
+    ['A', 'easy', '2025-01-10', { source: 'known' }],
+    ['B', 'easy', '2025-01-10', { source: 'known' }],
+  ]);
+  const o = overallStats(h, {}, '2025-01-10');
+  assert.equal(o.reviews, 1);
+  assert.equal(o.retention, 0);
+  assert.equal(o.studyDays, 1);
+  assert.equal(o.perDay.at(-1).count, 0);
+  const a = signStats(h, 'A');
+  assert.equal(a.reviews, 1);
+  assert.equal(a.retention, 0);
+  assert.equal(signStats(h, 'B').reviews, 0);
+});
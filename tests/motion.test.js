@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createLandmarkHistory,
+  countStrokes,
+  matchMotion,
+} from '../src/utils/motion.js';
+import { recognize } from '../src/utils/srs.js';
+import { flatHand, flatO } from './helpers/hands.js';
+
+function framesOf(handsPerFrame) {
+  const h = createLandmarkHistory({ windowMs: 10000, maxFrames: 100 });
+  handsPerFrame.forEach((hands, i) => h.push(hands, i * 50));
+  return h.frames();
+}
+
+test('history drops frames outside the window', () => {
+  const h = createLandmarkHistory({ windowMs: 100, maxFrames: 3 });
+  for (let t = 0; t <= 200; t += 50) h.push([flatHand(0, 0)], t);
+  const frames = h.frames();
+  assert.equal(frames.length, 3);
+  assert.equal(frames[0].t, 100);
+  h.clear();
+  assert.equal(h.frames().length, 0);
+});
+
+test('countStrokes counts direction changes above amplitude', () => {
+  assert.equal(countStrokes([0, 0.05, 0, 0.05], 0.2), 0);
+  assert.equal(countStrokes([0, 0.5], 0.2), 1);
+  assert.equal(countStrokes([0, 0.5, 0, 0.5, 0], 0.2), 4);
+});
+
+test('matchMotion needs enough frames', () => {
+  const frames = framesOf([[flatHand(100, 100)]]);
+  assert.equal(matchMotion(frames, { hands: 1, direction: 'down' }), 0);
+});
+
+test('Eat: repeated flat-O taps', () => {
+  const ys = [200, 210, 220, 210, 200, 210, 220, 210, 200, 210];
+  const frames = framesOf(ys.map((y) => [flatO(300, y)]));
+  assert.equal(recognize('Eat', [], frames)?.label, 'Eat');
+  const still = framesOf(ys.map(() => [flatO(300, 200)]));
+  assert.equal(recognize('Eat', [], still), null);
+});
+
+test('Sleep: open hand closes while moving down', () => {
+  const seq = [];
+  for (let i = 0; i < 12; i++) {
+    const y = 150 + i * 4;
+    seq.push([i < 5 ? flatHand(300, y) : flatO(300, y)]);
+  }
+  assert.equal(recognize('Sleep', [], framesOf(seq))?.label, 'Sleep');
+});
+
+test('Open vs Close: two flat hands moving apart / together', () => {
+  const apart = [];
+  for (let i = 0; i < 10; i++) {
+    apart.push([flatHand(300 - i * 10, 300), flatHand(340 + i * 10, 300)]);
+  }
+  assert.equal(recognize('Open', [], framesOf(apart))?.label, 'Open');
+  assert.equal(recognize('Close', [], framesOf(apart)), null);
+  const together = [...apart].reverse();
+  assert.equal(recognize('Close', [], framesOf(together))?.label, 'Close');
+});
+
+test('All Done: palms flip over', () => {
+  const seq = [];
+  for (let i = 0; i < 10; i++) {
+    const mirror = i < 5 ? 1 : -1;
+    seq.push([flatHand(200, 300, 50, mirror), flatHand(400, 300, 50, -mirror)]);
+  }
+  assert.equal(recognize('All Done', [], framesOf(seq))?.label, 'All Done');
+});
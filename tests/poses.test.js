@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ALL_SIGNS } from '../src/data/signs.js';
+import {
+  handPose,
+  posesAt,
+  sampleKeyframes,
+  keyframesDuration,
+} from '../src/utils/poses.js';
+import { advancePlayback, frameAt } from '../src/utils/playback.js';
+import { replayFixture } from '../src/utils/replay.js';
+import {
+  palmSize,
+  isFlatPalm,
+  isFist,
+  isFlatO,
+} from '../src/utils/landmarks.js';
+
+test('handPose builds shapes the landmark checks agree with', () => {
+  const at = { x: 300, y: 300, size: 50 };
+  assert.equal(palmSize(handPose({ shape: 'flat', ...at })), 50);
+  assert.ok(isFlatPalm(handPose({ shape: 'flat', ...at })));
+  assert.ok(isFlatPalm(handPose({ shape: 'open', ...at, mirror: -1 })));
+  assert.ok(isFist(handPose({ shape: 'fist', ...at })));
+  assert.ok(isFlatO(handPose({ shape: 'flatO', ...at, rotate: 30 })));
+  assert.throws(() => handPose({ shape: 'nope', ...at }), /handshape/);
+});
+
+test('posesAt interpolates between keyframes', () => {
+  const keyframes = [
+    { t: 0, hands: [{ shape: 'flat', x: 100, y: 200 }] },
+    { t: 1000, hands: [{ shape: 'flat', x: 300, y: 200 }] },
+  ];
+  assert.equal(posesAt(keyframes, 500)[0].keypoints[0].x, 200);
+  assert.equal(posesAt(keyframes, 5000)[0].keypoints[0].x, 300);
+  assert.equal(keyframesDuration(keyframes), 1000);
+  assert.equal(sampleKeyframes(keyframes, 250).length, 5);
+});
+
+test('every sign has a written description', () => {
+  for (const sign of ALL_SIGNS) {
+    const { handshape, location, movement } = sign.howTo || {};
+    assert.ok(handshape && location && movement, sign.id);
+  }
+});
+
+test('every sign has a demonstration', () => {
+  for (const sign of ALL_SIGNS) assert.ok(sign.media, sign.id);
+});
+
+test('skeleton demonstrations are accepted by their recognizers', () => {
+  const demos = ALL_SIGNS.filter(
+    (s) => s.recognizer && s.media?.type === 'skeleton'
+  );
+  assert.ok(demos.length > 0);
+  for (const sign of demos) {
+    // Location signs are checked against the demonstration's body frame
+    const body = sign.media.body || null;
+    const frames = sampleKeyframes(sign.media.keyframes, 50).map((f) => ({
+      ...f,
+      body,
+    }));
+    assert.ok(replayFixture({ frames }, [sign.id]).has(sign.id), sign.id);
+  }
+});
+
+test('advancePlayback loops or stops at the end', () => {
+  assert.equal(advancePlayback(0, 400, 1000, { speed: 0.5 }), 200);
+  assert.equal(advancePlayback(900, 300, 1000), 200);
+  assert.equal(advancePlayback(900, 300, 1000, { loop: false }), 1000);
+  assert.equal(advancePlayback(0, 100, 0), 0);
+});
+
+test('frameAt picks the last frame at or before t', () => {
+  const frames = [{ t: 0 }, { t: 100 }, { t: 200 }];
+  assert.equal(frameAt(frames, 150).t, 100);
+  assert.equal(frameAt(frames, 500).t, 200);
+  assert.equal(frameAt([], 10), null);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import {
+  HANDS_ASSETS,
+  POSE_ASSETS,
+  precacheManifest,
+} from '../src/utils/precache.js';
+
+test('precacheManifest lists app and detector files once', () => {
+  const { cache, urls } = precacheManifest([
+    'index.html',
+    'assets/index-abc.js',
+    'assets/index-abc.js.map',
+    'hands/hands.js',
+    'hands/hand_landmark_full.tflite',
+    'pose/pose.js',
+    'sw.js',
+    'icons\\icon-192.png',
+    'hands/hands.js',
+  ]);
+  assert.deepEqual(urls, [
+    '/',
+    '/assets/index-abc.js',
+    '/hands/hands.js',
+    '/icons/icon-192.png',
+    '/index.html',
+  ]);
+  assert.match(cache, /^asl-trainer-[0-9a-f]{8}$/);
+});
+
+test('the cache name changes with the build output', () => {
+  const a = precacheManifest(['assets/index-abc.js']).cache;
+  assert.equal(precacheManifest(['assets/index-abc.js']).cache, a);
+  assert.notEqual(precacheManifest(['assets/index-def.js']).cache, a);
+});
+
+test('every bundled detector asset exists in @mediapipe/hands', () => {
+  for (const file of HANDS_ASSETS) {
+    const path = `../node_modules/@mediapipe/hands/${file}`;
+    assert.ok(existsSync(new URL(path, import.meta.url)), file);
+  }
+});
+
+test('every bundled face/body asset exists in @mediapipe/pose', () => {
+  for (const file of POSE_ASSETS) {
+    const path = `../node_modules/@mediapipe/pose/${file}`;
+    assert.ok(existsSync(new URL(path, import.meta.url)), file);
+  }
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadProfiles,
+  createProfile,
+  switchProfile,
+  renameProfile,
+  deleteProfile,
+} from '../src/utils/profiles.js';
+import { profileKey, readJSON } from '../src/utils/storage.js';
+import { loadSrs, schedule } from '../src/utils/srs.js';
+import { loadSettings, saveSettings } from '../src/utils/settings.js';
+
+test('default profile uses the bare storage keys', () => {
+  const state = loadProfiles();
+  assert.equal(state.activeId, 'default');
+  assert.equal(profileKey('asl_srs_v2'), 'asl_srs_v2');
+});
+
+test('profiles keep separate SRS state and settings', () => {
+  let state = loadProfiles();
+  const before = loadSrs().Help.due;
+
+  state = createProfile(state, 'Grandma Jo');
+  assert.equal(state.activeId, 'grandma-jo');
+  assert.equal(profileKey('asl_srs_v2'), 'p:grandma-jo:asl_srs_v2');
+  const srs = loadSrs();
+  schedule(srs, 'Help', 'easy', '2030-01-01');
+  saveSettings({ ...loadSettings(), scheduler: 'fsrs' });
+  assert.notEqual(loadSrs().Help.due, before);
+
+  state = switchProfile(state, 'default');
+  assert.equal(loadSrs().Help.due, before);
+  assert.equal(loadSettings().scheduler, 'lite');
+
+  state = switchProfile(state, 'grandma-jo');
+  assert.equal(loadSettings().scheduler, 'fsrs');
+  assert.equal(loadProfiles().activeId, 'grandma-jo');
+});
+
+test('profile ids are unique and names can change', () => {
+  let state = loadProfiles();
+  state = createProfile(state, 'Grandma Jo');
+  assert.equal(state.activeId, 'grandma-jo-2');
+  state = renameProfile(state, 'grandma-jo-2', 'Nana');
+  assert.equal(state.profiles.find((p) => p.id === 'grandma-jo-2').name, 'Nana');
+  assert.equal(createProfile(state, '   '), state);
+});
+
+test('deleting a profile removes its data and falls back to default', async () => {
+  let state = switchProfile(loadProfiles(), 'grandma-jo');
+  state = await deleteProfile(state, 'grandma-jo');
+  assert.equal(state.activeId, 'default');
+  assert.ok(!state.profiles.some((p) => p.id === 'grandma-jo'));
+  assert.equal(readJSON('p:grandma-jo:asl_srs_v2'), undefined);
+  assert.equal(await deleteProfile(state, 'default'), state);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isQuizzable,
+  quizOptions,
+  buildQuiz,
+  quizGrade,
+} from '../src/utils/quiz.js';
+import { loadSrs, schedule } from '../src/utils/srs.js';
+import { makeReview, trackHistory } from '../src/utils/history.js';
+import { readJSON } from '../src/utils/storage.js';
+import { ALL_SIGNS } from '../src/data/signs.js';
+
+// Deterministic stand-in for Math.random
+function seq(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+const signs = [
+  { id: 'Eat', category: 'Mealtime', howTo: {} },
+  { id: 'Drink', category: 'Mealtime', howTo: {} },
+  { id: 'More', category: 'Mealtime', media: { type: 'video', url: 'x' } },
+  { id: 'Sleep', category: 'Bedtime', howTo: {} },
+  { id: 'Nap', category: 'Bedtime', custom: true },
+];
+
+test('quizOptions includes the answer and prefers its category', () => {
+  const options = quizOptions('Eat', signs, { rand: seq(0.3, 0.7, 0.1) });
+  assert.equal(options.length, 4);
+  assert.ok(options.includes('Eat'));
+  assert.equal(new Set(options).size, 4);
+  assert.ok(options.includes('Drink') && options.includes('More'));
+  assert.equal(quizOptions('Eat', signs.slice(0, 2)).length, 2);
+});
+
+test('buildQuiz keeps signs with something to show', () => {
+  assert.equal(isQuizzable(signs[4]), false);
+  assert.equal(isQuizzable(signs[2]), true);
+  assert.deepEqual(buildQuiz(['Nap', 'Eat', 'More'], signs), ['Eat', 'More']);
+  assert.deepEqual(buildQuiz(['Eat', 'More'], signs, { limit: 1 }), ['Eat']);
+  assert.ok(ALL_SIGNS.every(isQuizzable));
+});
+
+test('quizGrade: wrong is Again, replayed is Hard', () => {
+  assert.equal(quizGrade(false), 'again');
+  assert.equal(quizGrade(true), 'good');
+  assert.equal(quizGrade(true, { replays: 2 }), 'hard');
+});
+
+test('receptive track is scheduled and stored apart from production', () => {
+  const production = loadSrs();
+  const receptive = loadSrs(ALL_SIGNS, 'receptive');
+  schedule(receptive, 'Help', 'good', '2025-01-01', 'sm2', 'receptive');
+  assert.equal(readJSON('asl_srs_receptive_v2').items.Help.intervalDays, 1);
+  assert.deepEqual(loadSrs().Help, production.Help);
+  assert.equal(loadSrs(ALL_SIGNS, 'receptive').Help.lastReview, '2025-01-01');
+});
+
+test('reviews are logged per track', () => {
+  const log = [
+    makeReview('Help', 'good', { source: 'ai' }),
+    makeReview('Help', 'again', { track: 'receptive' }),
+    { id: 'Stop', at: 'x', grade: 'good' }, // logged before tracks
+  ];
+  assert.equal(log[0].track, 'production');
+  assert.deepEqual(
+    trackHistory(log, 'production').map((e) => e.id),
+    ['Help', 'Stop']
+  );
+  assert.equal(trackHistory(log, 'receptive')[0].grade, 'again');
+});
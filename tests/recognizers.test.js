@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ALL_SIGNS, AI_SUPPORTED } from '../src/data/signs.js';
+import {
+  recognize,
+  explain,
+  describe,
+  registerRecognizer,
+  getRecognizer,
+} from '../src/recognizers/index.js';
+import { handPose } from '../src/utils/poses.js';
+import { flatO } from './helpers/hands.js';
+
+test('AI_SUPPORTED is derived from declared recognizers', () => {
+  const declared = ALL_SIGNS.filter((s) => s.recognizer).map((s) => s.id);
+  assert.deepEqual(Object.keys(AI_SUPPORTED).sort(), declared.sort());
+  assert.equal(AI_SUPPORTED.Please, undefined);
+});
+
+test('every declared recognizer is registered', () => {
+  for (const sign of ALL_SIGNS.filter((s) => s.recognizer)) {
+    assert.equal(typeof getRecognizer(sign.recognizer), 'function', sign.id);
+  }
+});
+
+test('registerRecognizer rejects unknown types', () => {
+  assert.throws(() =>
+    registerRecognizer({ type: 'magic', name: 'x', recognize: () => null })
+  );
+});
+
+test('type-level fallback is used when no named recognizer exists', () => {
+  registerRecognizer({
+    type: 'model',
+    recognize: (hands, frames, sign) => ({ label: sign.id, confidence: 1 }),
+  });
+  const fn = getRecognizer({ type: 'model', name: 'anything' });
+  assert.deepEqual(fn([], [], { id: 'Please' }), {
+    label: 'Please',
+    confidence: 1,
+  });
+});
+
+test('recognize returns null for signs without a recognizer', () => {
+  assert.equal(recognize('Please', []), null);
+  assert.equal(recognize('Not A Sign', []), null);
+});
+
+test('explain reports each criterion with measured values', () => {
+  const flat = handPose({ shape: 'flat', x: 300, y: 300 });
+  const r = explain('I Love You', [flat]);
+  assert.equal(r.passed, false);
+  assert.equal(recognize('I Love You', [flat]), null);
+  const middle = r.criteria.find((c) => c.name === 'Middle finger curled');
+  assert.equal(middle.passed, false);
+  assert.equal(middle.threshold, 100);
+  assert.equal(describe(middle), '180° (needs < 100°)');
+  assert.equal(middle.hint, 'Curl your middle finger');
+
+  const ily = handPose({ shape: 'ily', x: 300, y: 300 });
+  assert.equal(explain('I Love You', [ily]).passed, true);
+  assert.equal(recognize('I Love You', [ily]).confidence, 1);
+});
+
+test('explain flags missing hands and failed motion checks', () => {
+  const more = explain('More', [flatO(300, 300)]);
+  assert.deepEqual(
+    more.criteria.map((c) => [c.name, c.passed]),
+    [['Hands in view', false]]
+  );
+  assert.equal(more.criteria[0].hint, 'Use both hands');
+
+  const frames = Array.from({ length: 10 }, (_, i) => ({
+    t: i * 50,
+    hands: [flatO(300, 200)],
+  }));
+  const eat = explain('Eat', [], frames);
+  const failed = eat.criteria.filter((c) => !c.passed).map((c) => c.name);
+  assert.deepEqual(failed, ['Repetitions']);
+  assert.equal(explain('Please', []), null);
+});
+
+test('Stop allows a resting other hand but not a second flat hand', () => {
+  const palm = handPose({ shape: 'flat', x: 400, y: 300 });
+  const fist = handPose({ shape: 'fist', x: 200, y: 300 });
+  assert.equal(explain('Stop', [palm]).passed, true);
+  assert.equal(explain('Stop', [palm, fist]).passed, true);
+
+  // Both palms up and flat is Open
+  const other = handPose({ shape: 'flat', x: 200, y: 300, mirror: -1 });
+  const open = explain('Stop', [palm, other]);
+  assert.equal(open.passed, false);
+  const check = open.criteria.find((c) => c.name === 'Other hand not flat');
+  assert.equal(check.passed, false);
+  assert.equal(check.hint, 'Lower your other hand');
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { AI_SUPPORTED } from '../src/data/signs.js';
+import {
+  createSessionRecorder,
+  parseFixture,
+  fixtureFilename,
+} from '../src/utils/recording.js';
+import {
+  replayFixture,
+  evaluateFixtures,
+  formatReport,
+} from '../src/utils/replay.js';
+import { flatHand } from './helpers/hands.js';
+
+// Drop recordings exported from PracticeView ("Record session") in here.
+const FIXTURE_DIR = new URL('./fixtures/landmarks/', import.meta.url);
+const LABELS = Object.keys(AI_SUPPORTED);
+// Signs that must keep at least one labelled fixture, and the session-level
+// precision/recall every sign with fixtures has to reach
+const REQUIRED = ['Stop', 'Open', 'I Love You', 'More', 'Help'];
+const MIN_PRECISION = 0.9;
+const MIN_RECALL = 0.9;
+
+const fixtures = readdirSync(FIXTURE_DIR)
+  .filter((f) => f.endsWith('.json'))
+  .map((f) => ({
+    name: f,
+    fixture: parseFixture(readFileSync(new URL(f, FIXTURE_DIR), 'utf8')),
+  }));
+
+test('recorder produces a valid fixture', () => {
+  const rec = createSessionRecorder('Stop', { width: 640, height: 480 });
+  rec.push([flatHand(100.123, 100)], 500);
+  rec.push([], 550);
+  const fx = parseFixture(JSON.stringify(rec.toFixture()));
+  assert.equal(fx.label, 'Stop');
+  assert.equal(fx.frames.length, 2);
+  assert.deepEqual(fx.frames.map((f) => f.t), [0, 50]);
+  assert.equal(fx.frames[0].hands[0].keypoints[0].x, 100.1);
+  assert.match(fixtureFilename(fx), /^stop-.*\.json$/);
+});
+
+test('parseFixture rejects malformed input', () => {
+  assert.throws(() => parseFixture({ version: 99, label: 'Stop', frames: [] }));
+  assert.throws(() => parseFixture({ version: 1, label: 3, frames: [] }));
+  assert.throws(() => parseFixture({ version: 1, label: 'Stop' }));
+});
+
+for (const { name, fixture } of fixtures) {
+  if (!fixture.label) continue;
+  test(`replay ${name} recognizes ${fixture.label}`, () => {
+    assert.ok(replayFixture(fixture, [fixture.label]).has(fixture.label));
+  });
+}
+
+test('per-sign precision/recall over fixtures', (t) => {
+  const report = evaluateFixtures(
+    fixtures.map((f) => f.fixture),
+    LABELS
+  );
+  // *-synthetic.json are smoke data built from idealised poses; only
+  // recorded sessions exercise the recognizers on real hands
+  const synthetic = fixtures.filter((f) => f.name.endsWith('-synthetic.json'));
+  t.diagnostic(
+    `${fixtures.length} fixture(s), ${synthetic.length} synthetic (smoke only)`
+  );
+  formatReport(report).split('\n').forEach((line) => t.diagnostic(line));
+  for (const label of REQUIRED) {
+    assert.ok(report[label].tp + report[label].fn > 0, `no fixture: ${label}`);
+  }
+  for (const [label, row] of Object.entries(report)) {
+    if (row.recall !== null) {
+      assert.ok(row.recall >= MIN_RECALL, `${label} recall ${row.recall}`);
+    }
+    if (row.precision !== null) {
+      assert.ok(
+        row.precision >= MIN_PRECISION,
+        `${label} precision ${row.precision}`
+      );
+    }
+  }
+});
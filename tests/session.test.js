@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SESSION,
+  sessionOptions,
+  isNewItem,
+  reviewedToday,
+  buildSession,
+  buildAheadSession,
+  summarizeSession,
+} from '../src/utils/session.js';
+import { newItem, schedule } from '../src/utils/srs.js';
+import { makeReview } from '../src/utils/history.js';
+
+const TODAY = '2024-03-10';
+const at = (date) => new Date(`${date}T12:00:00`);
+
+const signs = [
+  { id: 'Eat', category: 'Mealtime' },
+  { id: 'More', category: 'Mealtime' },
+  { id: 'Sleep', category: 'Bedtime' },
+  { id: 'Milk', category: 'Mealtime' },
+  { id: 'Nap', category: 'Bedtime' },
+  { id: 'Bath', category: 'Bedtime' },
+];
+
+// Learned item due on `due`
+const learned = (due) => ({
+  ease: 2.5,
+  intervalDays: 3,
+  due,
+  streak: 2,
+  lastReview: '2024-03-01',
+});
+
+function srsFixture() {
+  return {
+    Eat: learned('2024-03-09'),
+    More: learned('2024-03-05'),
+    Sleep: learned('2024-03-10'),
+    Milk: newItem('2024-03-01'),
+    Nap: newItem('2024-03-01'),
+    Bath: learned('2024-03-20'),
+  };
+}
+
+test('sessionOptions clamps limits and drops unknown choices', () => {
+  assert.deepEqual(sessionOptions(), DEFAULT_SESSION);
+  const o = sessionOptions({
+    maxReviews: '12',
+    newPerDay: -3,
+    order: 'alphabetical',
+    newPlacement: 'first',
+  });
+  assert.deepEqual(o, {
+    maxReviews: 12,
+    newPerDay: 0,
+    order: DEFAULT_SESSION.order,
+    newPlacement: 'first',
+  });
+});
+
+test('sessionOptions keeps the default limits for blank or junk input', () => {
+  const o = sessionOptions({ maxReviews: '', newPerDay: 'lots' });
+  assert.equal(o.maxReviews, DEFAULT_SESSION.maxReviews);
+  assert.equal(o.newPerDay, DEFAULT_SESSION.newPerDay);
+  assert.equal(sessionOptions({ newPerDay: null }).newPerDay, 5);
+  assert.equal(sessionOptions({ newPerDay: '0' }).newPerDay, 0);
+});
+
+test('isNewItem is true until the first review', () => {
+  const srs = { Eat: newItem(TODAY) };
+  assert.equal(isNewItem(srs.Eat), true);
+  schedule(srs, 'Eat', 'again', TODAY, 'sm2');
+  assert.equal(isNewItem(srs.Eat), false);
+  assert.equal(isNewItem(learned(TODAY)), false);
+});
+
+test('reviewedToday splits introduced and reviewed signs', () => {
+  const history = [
+    makeReview('Eat', 'good', {}, at('2024-03-02')),
+    makeReview('Eat', 'good', {}, at(TODAY)),
+    makeReview('Eat', 'again', {}, at(TODAY)),
+    makeReview('Milk', 'good', {}, at(TODAY)),
+    makeReview('Nap', 'good', { track: 'receptive' }, at(TODAY)),
+  ];
+  assert.deepEqual(reviewedToday(history, TODAY), { reviews: 1, newSigns: 1 });
+});
+
+test('reviewedToday leaves Mark Known out of the daily counts', () => {
+  const known = { source: 'known' };
+  const history = [
+    makeReview('Eat', 'good', {}, at('2024-03-02')),
+    makeReview('Eat', 'easy', known, at(TODAY)),
+    makeReview('Bath', 'easy', known, at(TODAY)),
+  ];
+  assert.equal(history[1].source, 'known');
+  assert.deepEqual(reviewedToday(history, TODAY), { reviews: 0, newSigns: 0 });
+});
+
+test('buildSession orders most overdue first with new signs mixed in', () => {
+  const session = buildSession(srsFixture(), signs, [], {}, { today: TODAY });
+  const { queue, newSigns, held } = session;
+  assert.deepEqual(queue, ['More', 'Milk', 'Eat', 'Nap', 'Sleep']);
+  assert.deepEqual(newSigns, ['Milk', 'Nap']);
+  assert.equal(held, 0);
+});
+
+test('buildSession applies daily limits, counting reviews logged today', () => {
+  const history = [
+    makeReview('Bath', 'good', {}, at('2024-03-02')),
+    makeReview('Bath', 'good', {}, at(TODAY)),
+  ];
+  const opts = { maxReviews: 3, newPerDay: 1, newPlacement: 'last' };
+  const { queue, held } = buildSession(srsFixture(), signs, history, opts, {
+    today: TODAY,
+  });
+  assert.deepEqual(queue, ['More', 'Eat', 'Milk']);
+  assert.equal(held, 2);
+
+  const none = buildSession(
+    srsFixture(),
+    signs,
+    history,
+    { maxReviews: 1, newPerDay: 0 },
+    { today: TODAY }
+  );
+  assert.deepEqual(none.queue, []);
+  assert.equal(none.held, 5);
+});
+
+test('buildSession can group by category and shuffle', () => {
+  const byCategory = buildSession(
+    srsFixture(),
+    signs,
+    [],
+    { order: 'category', newPlacement: 'first' },
+    { today: TODAY }
+  );
+  assert.deepEqual(byCategory.queue, ['Milk', 'Nap', 'More', 'Eat', 'Sleep']);
+
+  const random = buildSession(
+    srsFixture(),
+    signs,
+    [],
+    { order: 'random', newPerDay: 0 },
+    { today: TODAY, rand: () => 0 }
+  );
+  assert.deepEqual([...random.queue].sort(), ['Eat', 'More', 'Sleep']);
+  assert.notDeepEqual(random.queue, ['More', 'Eat', 'Sleep']);
+});
+
+test('buildAheadSession offers learned signs not yet due, soonest first', () => {
+  const srs = {
+    ...srsFixture(),
+    Eat: learned('2024-03-15'),
+    More: learned('2024-03-12'),
+  };
+  assert.deepEqual(buildAheadSession(srs, signs, {}, { today: TODAY }), [
+    'More',
+    'Eat',
+    'Bath',
+  ]);
+  assert.deepEqual(
+    buildAheadSession(srs, signs, { maxReviews: 1 }, { today: TODAY }),
+    ['More']
+  );
+});
+
+test('summarizeSession counts grades, passes and AI checks', () => {
+  const s = summarizeSession([
+    { id: 'Eat', grade: 'good', source: 'ai' },
+    { id: 'More', grade: 'again', source: 'manual' },
+    { id: 'Sleep', grade: 'easy', source: 'manual' },
+  ]);
+  assert.equal(s.total, 3);
+  assert.equal(s.passed, 2);
+  assert.equal(s.ai, 1);
+  assert.deepEqual(s.grades, { again: 1, hard: 0, good: 1, easy: 1 });
+  assert.deepEqual(s.missed, ['More']);
+});
@@ -1,6 +1,16 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { scheduleSim, isDue, recognize } from '../src/utils/srs.js';
+import {
+  scheduleSim,
+  isDue,
+  recognize,
+  sm2,
+  fsrs,
+  schedule,
+  toGrade,
+  retrievability,
+} from '../src/utils/srs.js';
+import { loadSettings } from '../src/utils/settings.js';
 
 const start = '2025-01-01';
 
@@ -71,3 +81,88 @@ test('interval increases over wins', () => {
   const i2 = scheduleSim(sim, true, start).intervalDays;
   assert.ok(i2 >= i1);
 });
+
+test('toGrade maps booleans and rejects unknown grades', () => {
+  assert.equal(toGrade(true), 'good');
+  assert.equal(toGrade(false), 'again');
+  assert.equal(toGrade('easy'), 'easy');
+  assert.equal(toGrade('perfect'), 'again');
+});
+
+test('sm2: 1 -> 6 -> interval × EF on Good', () => {
+  let item = sm2(undefined, 'good', start);
+  assert.equal(item.intervalDays, 1);
+  assert.equal(item.due, '2025-01-02');
+  item = sm2(item, 'good', start);
+  assert.equal(item.intervalDays, 6);
+  item = sm2(item, 'good', start);
+  assert.equal(item.intervalDays, Math.round(6 * item.ease));
+  assert.equal(item.streak, 3);
+});
+
+test('sm2: EF changes by grade and never drops below 1.3', () => {
+  const base = { ease: 2.5, intervalDays: 6, due: start, streak: 2 };
+  assert.ok(Math.abs(sm2(base, 'good', start).ease - 2.5) < 1e-9);
+  assert.ok(sm2(base, 'easy', start).ease > 2.5);
+  assert.ok(sm2(base, 'hard', start).ease < 2.5);
+  let item = base;
+  for (let i = 0; i < 10; i++) item = sm2(item, 'again', start);
+  assert.equal(item.ease, 1.3);
+  assert.equal(item.intervalDays, 1);
+  assert.equal(item.streak, 0);
+});
+
+test('fsrs: first review stability ordered by grade', () => {
+  const [again, hard, good, easy] = ['again', 'hard', 'good', 'easy'].map(
+    (g) => fsrs(undefined, g, start)
+  );
+  assert.ok(again.stability < hard.stability);
+  assert.ok(hard.stability < good.stability);
+  assert.ok(good.stability < easy.stability);
+  assert.ok(easy.difficulty < again.difficulty);
+});
+
+test('fsrs: success grows interval, lapse resets it', () => {
+  let item = fsrs(undefined, 'good', start);
+  const first = item.intervalDays;
+  item = fsrs(item, 'good', item.due);
+  assert.ok(item.intervalDays > first);
+  const lapsed = fsrs(item, 'again', item.due);
+  assert.equal(lapsed.intervalDays, 1);
+  assert.equal(lapsed.streak, 0);
+  assert.ok(lapsed.stability < item.stability);
+});
+
+test('fsrs: Good leaves difficulty at D0(Good), Hard raises it', () => {
+  const first = fsrs(undefined, 'good', start);
+  assert.equal(first.difficulty, 5.1618);
+  const good = fsrs(first, 'good', first.due);
+  assert.ok(Math.abs(good.difficulty - 5.1618) < 1e-9);
+  const hard = fsrs(first, 'hard', first.due);
+  assert.ok(Math.abs(hard.difficulty - 6.0314775) < 1e-9);
+});
+
+test('fsrs: seeds from an SM-2 item and retrievability decays', () => {
+  const seeded = { ease: 2.5, intervalDays: 10, due: start, streak: 3 };
+  const item = fsrs(seeded, 'good', start);
+  assert.ok(item.intervalDays > 10);
+  assert.ok(retrievability(0, 5) === 1);
+  assert.ok(retrievability(10, 5) < retrievability(5, 5));
+});
+
+test('schedule dispatches to the selected scheduler', () => {
+  const srs = { Help: { ease: 2.5, intervalDays: 1, due: start, streak: 1 } };
+  schedule(srs, 'Help', 'good', start, 'sm2');
+  assert.equal(srs.Help.intervalDays, 6);
+  schedule(srs, 'Help', false, start, 'lite');
+  assert.equal(srs.Help.intervalDays, 1);
+  schedule(srs, 'Help', 'good', start, 'fsrs');
+  assert.ok(srs.Help.stability > 0);
+});
+
+test('schedule keeps SM2-lite intervals unless another is picked', () => {
+  assert.equal(loadSettings().scheduler, 'lite');
+  const srs = { Help: { ease: 2.5, intervalDays: 1, due: start, streak: 1 } };
+  schedule(srs, 'Help', 'good', start);
+  assert.equal(srs.Help.intervalDays, 3);
+});
@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  migrate,
+  readJSON,
+  writeJSON,
+  removeKey,
+  loadVersioned,
+  kvGet,
+  kvSet,
+  onStorageError,
+  StorageError,
+} from '../src/utils/storage.js';
+import { loadSrs, saveSrs, reconcileSrs } from '../src/utils/srs.js';
+import { ALL_SIGNS } from '../src/data/signs.js';
+
+const MIGRATIONS = {
+  2: ({ data }) => ({ items: data }),
+  3: (doc) => ({ ...doc, extra: true }),
+};
+
+test('migrate applies each step in order', () => {
+  const out = migrate({ version: 1, data: { a: 1 } }, 3, MIGRATIONS);
+  assert.deepEqual(out, { version: 3, items: { a: 1 }, extra: true });
+});
+
+test('migrate refuses newer or unreachable versions', () => {
+  assert.throws(() => migrate({ version: 4 }, 3, MIGRATIONS), StorageError);
+  assert.throws(() => migrate({ version: 1 }, 5, MIGRATIONS), StorageError);
+});
+
+test('loadVersioned migrates a legacy key and removes it', () => {
+  writeJSON('legacy_v1', { a: 1 });
+  const doc = loadVersioned('doc_v3', {
+    version: 3,
+    migrations: MIGRATIONS,
+    legacyKey: 'legacy_v1',
+  });
+  assert.equal(doc.version, 3);
+  assert.deepEqual(readJSON('doc_v3'), doc);
+  assert.equal(readJSON('legacy_v1'), undefined);
+});
+
+test('loadVersioned reports migration failures', () => {
+  writeJSON('future', { version: 9 });
+  const errors = [];
+  const off = onStorageError((e) => errors.push(e));
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const doc = loadVersioned('future', { version: 2, migrations: MIGRATIONS });
+    assert.equal(doc, undefined);
+  } finally {
+    console.error = originalError;
+    off();
+  }
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0] instanceof StorageError);
+});
+
+test('reconcileSrs adds new signs and drops removed ones', () => {
+  const items = { A: { due: '2025-01-01' }, Gone: { due: '2025-01-01' } };
+  const { items: next, changed } = reconcileSrs(items, ['A', 'B'], '2025-02-01');
+  assert.equal(changed, true);
+  assert.deepEqual(Object.keys(next), ['A', 'B']);
+  assert.equal(next.A.due, '2025-01-01');
+  assert.equal(next.B.due, '2025-02-01');
+  assert.equal(reconcileSrs(next, ['A', 'B']).changed, false);
+});
+
+test('loadSrs migrates asl_srs_v1 into asl_srs_v2', () => {
+  writeJSON('asl_srs_v1', {
+    Help: { ease: 2.6, intervalDays: 6, due: '2030-01-01', streak: 2 },
+  });
+  const srs = loadSrs();
+  assert.equal(srs.Help.intervalDays, 6);
+  assert.equal(Object.keys(srs).length, ALL_SIGNS.length);
+  assert.equal(readJSON('asl_srs_v1'), undefined);
+  assert.equal(readJSON('asl_srs_v2').version, 2);
+});
+
+// Storage errors are expected here; keep them out of the test output
+function quietly(fn) {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.error = originalError;
+  }
+}
+
+test('loadSrs leaves a newer asl_srs_v2 doc untouched', () => {
+  const future = {
+    version: 3,
+    items: { Help: { ease: 2.6, intervalDays: 400, due: '2030-01-01' } },
+  };
+  writeJSON('asl_srs_v2', future);
+  const srs = quietly(() => loadSrs());
+  assert.equal(Object.keys(srs).length, ALL_SIGNS.length);
+  assert.deepEqual(readJSON('asl_srs_v2'), future);
+  // Nor do later saves from this session overwrite it
+  saveSrs(srs);
+  assert.deepEqual(readJSON('asl_srs_v2'), future);
+  removeKey('asl_srs_v2');
+});
+
+test('loadSrs leaves a corrupt asl_srs_v2 doc untouched', () => {
+  const store = new Map([['asl_srs_v2', '{"version": 2, "items": {']]);
+  globalThis.localStorage = {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, String(v)),
+    removeItem: (k) => store.delete(k),
+  };
+  try {
+    quietly(() => saveSrs(loadSrs()));
+    assert.equal(store.get('asl_srs_v2'), '{"version": 2, "items": {');
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
+
+test('errors from loads before anyone listens reach the next listener', () => {
+  onStorageError(() => {})(); // drop anything earlier tests left unheard
+  const store = new Map([['asl_srs_v2', '{"version": 2, "items": {']]);
+  globalThis.localStorage = {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, String(v)),
+    removeItem: (k) => store.delete(k),
+  };
+  const errors = [];
+  try {
+    quietly(() => loadSrs());
+    const off = onStorageError((e) => errors.push(e));
+    off();
+    onStorageError((e) => errors.push(e))();
+  } finally {
+    delete globalThis.localStorage;
+  }
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0] instanceof StorageError);
+  assert.match(errors[0].message, /asl_srs_v2/);
+});
+
+test('loadSrs saves fresh items when nothing is stored', () => {
+  removeKey('asl_srs_v2');
+  loadSrs();
+  assert.equal(readJSON('asl_srs_v2').version, 2);
+});
+
+test('kv store round-trips without IndexedDB', async () => {
+  assert.equal(await kvGet('missing'), undefined);
+  await kvSet('history', [{ id: 'Help' }]);
+  assert.deepEqual(await kvGet('history'), [{ id: 'Help' }]);
+});
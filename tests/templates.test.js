@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeHand,
+  templateDistance,
+  nearestTemplate,
+  addTemplate,
+  clearTemplates,
+  hasTemplates,
+} from '../src/utils/templates.js';
+import { recognize, isRecognizable } from '../src/recognizers/index.js';
+import { flatHand, flatO } from './helpers/hands.js';
+
+test('normalizeHand is wrist-relative and scale-invariant', () => {
+  const small = normalizeHand(flatHand(100, 100, 40));
+  const big = normalizeHand(flatHand(400, 300, 80));
+  assert.deepEqual(small[0], [0, 0]);
+  assert.ok(templateDistance([small], [big]) < 1e-6);
+  assert.equal(normalizeHand({ keypoints: [] }), null);
+});
+
+test('templateDistance rejects mismatched hand counts', () => {
+  const a = normalizeHand(flatHand(0, 0));
+  assert.equal(templateDistance([a], [a, a]), Infinity);
+});
+
+test('nearestTemplate picks the closest label', () => {
+  const templates = {
+    Please: [{ hands: [normalizeHand(flatHand(0, 0))] }],
+    Baby: [{ hands: [normalizeHand(flatO(0, 0))] }],
+  };
+  assert.equal(nearestTemplate([flatO(200, 200, 60)], templates).label, 'Baby');
+  assert.equal(nearestTemplate([flatHand(50, 50)], templates).label, 'Please');
+  assert.equal(nearestTemplate([], templates), null);
+});
+
+test('recognize falls back to recorded templates', () => {
+  assert.equal(isRecognizable('Please'), false);
+  assert.ok(addTemplate('Please', [flatHand(100, 100)]));
+  assert.ok(addTemplate('Baby', [flatO(100, 100)]));
+  assert.equal(hasTemplates('Please'), true);
+  assert.equal(isRecognizable('Please'), true);
+  const r = recognize('Please', [flatHand(300, 250, 70)]);
+  assert.equal(r.label, 'Please');
+  assert.ok(r.confidence > 0.8);
+  assert.equal(recognize('Please', [flatO(300, 250)]), null);
+  clearTemplates('Please');
+  clearTemplates('Baby');
+  assert.equal(isRecognizable('Please'), false);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSegmenter,
+  toPhrases,
+  transcriptText,
+  formatTime,
+} from '../src/utils/transcript.js';
+import { scanFrame } from '../src/utils/frame.js';
+import { explain } from '../src/recognizers/index.js';
+import { handPose } from '../src/utils/poses.js';
+
+const hit = (id, confidence = 0.9) => [{ id, confidence, passed: true }];
+
+// Feed `frames` scan results 50 ms apart from `t`; returns accepted entries
+function feed(segmenter, frames, t = 0, handsInView = true) {
+  const out = [];
+  frames.forEach((scanned, i) => {
+    const entry = segmenter.push(scanned, t + i * 50, handsInView);
+    if (entry) out.push(entry);
+  });
+  return out;
+}
+
+const times = (n, scanned) => Array.from({ length: n }, () => scanned);
+
+test('scanFrame runs every listed recognizer on the frame', () => {
+  const ily = [handPose({ shape: 'ily', x: 300, y: 300 })];
+  const scanned = scanFrame(ily, [], {
+    signs: ['I Love You', 'Stop', 'Please'],
+    explain,
+  });
+  assert.deepEqual(
+    scanned.map((r) => r.id),
+    ['I Love You', 'Stop']
+  );
+  assert.equal(scanned[0].passed, true);
+  assert.equal(scanned[1].passed, false);
+});
+
+test('a held sign is written once after stableFrames', () => {
+  const seg = createSegmenter();
+  const entries = feed(seg, times(30, hit('More')));
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].id, 'More');
+  assert.equal(entries[0].t, 7 * 50);
+  assert.equal(entries[0].newPhrase, true);
+  assert.equal(seg.holding, 'More');
+});
+
+test('low confidence and failed checks are ignored', () => {
+  const seg = createSegmenter();
+  const weak = [{ id: 'More', confidence: 0.5, passed: true }];
+  const failed = [{ id: 'More', confidence: 0.95, passed: false }];
+  assert.deepEqual(feed(seg, [...times(10, weak), ...times(10, failed)]), []);
+});
+
+test('signs are segmented by a release between them', () => {
+  const seg = createSegmenter();
+  const entries = feed(seg, [
+    ...times(10, hit('More')),
+    ...times(2, []),
+    ...times(10, hit('More')), // still the same sign: too short a gap
+    ...times(5, []),
+    ...times(10, [...hit('Eat', 0.95), ...hit('More', 0.85)]),
+  ]);
+  assert.deepEqual(
+    entries.map((e) => e.id),
+    ['More', 'Eat']
+  );
+  assert.equal(entries[1].newPhrase, false);
+});
+
+test('hands leaving the view release the sign at once', () => {
+  const seg = createSegmenter();
+  assert.equal(feed(seg, times(8, hit('Stop'))).length, 1);
+  seg.push([], 500, false);
+  assert.equal(seg.holding, null);
+  assert.equal(feed(seg, times(8, hit('Stop')), 550).length, 1);
+});
+
+test('a long pause starts a new phrase', () => {
+  const seg = createSegmenter({ phraseGapMs: 1000 });
+  const first = feed(seg, [...times(8, hit('More')), ...times(4, [])]);
+  const second = feed(seg, times(8, hit('Eat')), 5000);
+  assert.equal(first[0].newPhrase, true);
+  assert.equal(second[0].newPhrase, true);
+  assert.equal(second[0].t, 5350);
+});
+
+test('transcriptText writes one phrase per line with glosses', () => {
+  const entries = [
+    { id: 'More', t: 3200, newPhrase: true },
+    { id: 'Eat', t: 4100, newPhrase: false },
+    { id: 'All Done', t: 65000, newPhrase: true },
+  ];
+  assert.equal(toPhrases(entries).length, 2);
+  assert.equal(formatTime(65000), '1:05.0');
+  assert.equal(
+    transcriptText(entries, [{ id: 'All Done', gloss: 'FINISH' }]),
+    '0:03.2  MORE EAT\n1:05.0  FINISH'
+  );
+});
@@ -1,7 +1,68 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'node:fs'
+import {
+  HANDS_ASSETS,
+  POSE_ASSETS,
+  precacheManifest,
+} from './src/utils/precache.js'
+
+const handsDir = new URL('./node_modules/@mediapipe/hands/', import.meta.url)
+const poseDir = new URL('./node_modules/@mediapipe/pose/', import.meta.url)
+const publicDir = new URL('./public/', import.meta.url)
+
+function listPublic(dir = publicDir, prefix = '') {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? listPublic(new URL(`${entry.name}/`, dir), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`],
+  )
+}
+
+// Copies the MediaPipe Hands and Pose runtimes to /hands and /pose (the
+// production solutionPaths) and emits /sw.js with the precache list, so the
+// build runs offline.
+function offlineBundle() {
+  return {
+    name: 'asl-offline-bundle',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      for (const file of HANDS_ASSETS) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `hands/${file}`,
+          source: readFileSync(new URL(file, handsDir)),
+        })
+      }
+      for (const file of POSE_ASSETS) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `pose/${file}`,
+          source: readFileSync(new URL(file, poseDir)),
+        })
+      }
+      const manifest = precacheManifest([
+        ...Object.keys(bundle),
+        ...HANDS_ASSETS.map((f) => `hands/${f}`),
+        ...listPublic(),
+      ])
+      const sw = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: sw.replace(
+          'self.__PRECACHE_MANIFEST__',
+          JSON.stringify(manifest),
+        ),
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), offlineBundle()],
+  // The detector worker imports the TF.js backend on demand
+  worker: { format: 'es' },
 })